@@ -4,6 +4,9 @@ import path from "path";
 import crypto from "crypto";
 import pg from "pg";
 import { google } from "googleapis";
+import { parseNotifyTargets, ensureNotificationSchema, notificationTargetWarnings, enqueueNotification as enqueueOutboxNotification } from "./lib/notifications.js";
+import { loadRedactionPolicy, redactDeep } from "./lib/redaction.js";
+import { defineMetric, incMetric, setMetric, observeMetric, renderMetrics } from "./lib/metrics.js";
 
 const { Pool } = pg;
 
@@ -44,6 +47,9 @@ const DRIVE_EXPORTER_BATCH_SIZE = Math.min(
 const DRIVE_EXPORTER_INCLUDE_RAW_REQUEST_SUMMARY = (process.env.DRIVE_EXPORTER_INCLUDE_RAW_REQUEST_SUMMARY || "0").trim() === "1";
 const DRIVE_EXPORTER_SKIP_DRIVE_UPLOAD = (process.env.DRIVE_EXPORTER_SKIP_DRIVE_UPLOAD || "0").trim() === "1";
 const DRIVE_EXPORTER_LOCAL_OUTPUT_DIR = (process.env.DRIVE_EXPORTER_LOCAL_OUTPUT_DIR || "").trim();
+const DRIVE_EXPORTER_METRICS_TEXTFILE = (process.env.DRIVE_EXPORTER_METRICS_TEXTFILE || "").trim();
+const NOTIFY_DEDUP_WINDOW_SEC = parseInt(process.env.NOTIFY_DEDUP_WINDOW_SEC || "900", 10);
+const REDACTION_POLICY_PATH = (process.env.REDACTION_POLICY_PATH || "./redaction_policy.json").trim();
 const DRIVE_RUNS_FOLDER_NAME = (process.env.DRIVE_RUNS_FOLDER_NAME || "runs").trim();
 const DRIVE_LATEST_FOLDER_NAME = (process.env.DRIVE_LATEST_FOLDER_NAME || "latest").trim();
 
@@ -101,6 +107,22 @@ if (!DRIVE_EXPORTER_SKIP_DRIVE_UPLOAD && (!GOOGLE_OAUTH_CLIENT_ID || !GOOGLE_OAU
   process.exit(1);
 }
 
+let REDACTION_POLICY;
+try {
+  REDACTION_POLICY = loadRedactionPolicy(REDACTION_POLICY_PATH);
+} catch (e) {
+  console.error(`FATAL: invalid redaction policy ${REDACTION_POLICY_PATH}: ${e?.message || String(e)}`);
+  process.exit(1);
+}
+
+let NOTIFY_TARGETS;
+try {
+  NOTIFY_TARGETS = parseNotifyTargets(process.env.NOTIFY_WEBHOOK_URLS);
+} catch (e) {
+  console.error(`FATAL: ${e.message}`);
+  process.exit(1);
+}
+
 function scrubDbUrl(url) {
   if (!url) return "";
   try {
@@ -384,7 +406,9 @@ function normalizeRecord(rec, requestId, recordIndex, ingestTs) {
     ((streamId === "B1M" && rowType === "BAR") ? rec.uid : "") ||
     ((streamId === "B1M" && rowType === "EVAL") ? rec.parent_uid : "")
   );
-  const rawJson = clampForCell(JSON.stringify(rec));
+  const counts = {};
+  const rawJson = clampForCell(JSON.stringify(redactDeep(REDACTION_POLICY, rec, { counts })));
+  for (const [rule, n] of Object.entries(counts)) incMetric("drive_exporter_redactions_total", { rule }, n);
   const out = { ...rec };
 
   out.request_id = requestId;
@@ -703,6 +727,7 @@ async function ensureExporterSchema() {
       primary key (run_id, phase, logical_name)
     );
   `);
+  await ensureNotificationSchema({ query: dbQuery });
 }
 
 async function acquireExporterLock() {
@@ -851,6 +876,10 @@ async function markRunSuccess(runId, manifest, publicationSummary, uploadedFiles
   ]);
 }
 
+function enqueueNotification(notification) {
+  return enqueueOutboxNotification({ query: dbQuery }, { source: "drive_exporter", dedupWindowSec: NOTIFY_DEDUP_WINDOW_SEC }, notification);
+}
+
 async function markRunFailure(runId, err) {
   const note = `${err?.name || "Error"}: ${err?.message || String(err)}`;
   if (runId) {
@@ -866,6 +895,14 @@ async function markRunFailure(runId, err) {
     set last_finished_at = now(), last_status = 'FAILED', last_error = $2, updated_at = now()
     where slot_name = $1
   `, [DRIVE_EXPORTER_SLOT_NAME, note]).catch(() => {});
+
+  await enqueueNotification({
+    kind: "export_failed",
+    severity: "error",
+    dedup_key: `export_failed:${DRIVE_EXPORTER_SLOT_NAME}`,
+    summary: `drive export failed for slot ${DRIVE_EXPORTER_SLOT_NAME}: ${note}`,
+    details: { slot_name: DRIVE_EXPORTER_SLOT_NAME, run_id: runId ? String(runId) : null, error: note },
+  }).catch((e) => console.error("notification enqueue failed:", e?.message || String(e)));
 }
 
 async function requireMaterializerState() {
@@ -891,11 +928,14 @@ async function fetchTableCounts(sourceWatermark) {
 
 async function fetchNonMaterializedCounts(sourceWatermark) {
   if (!(await tableExists("raw_events"))) return {};
+  const cols = await tableColumns("raw_events");
+  const generationFilter = cols.has("replay_generation") ? "and replay_generation = 0" : "";
   const rs = await dbQuery(`
     select coalesce(row_type, 'NULL') as row_type, count(*)::bigint as n
     from raw_events
     where id <= $1
       and coalesce(row_type, '') not in ('CONFIG', 'BAR', 'EVAL')
+      ${generationFilter}
     group by coalesce(row_type, 'NULL')
     order by coalesce(row_type, 'NULL') asc
   `, [sourceWatermark.toString()]);
@@ -904,6 +944,28 @@ async function fetchNonMaterializedCounts(sourceWatermark) {
   return out;
 }
 
+async function fetchOpenSeqGaps() {
+  if (!(await tableExists("seq_gaps"))) return [];
+  const rs = await dbQuery(`
+    select run_id,
+           count(*)::bigint as open_gaps,
+           sum(last_missing_seq - first_missing_seq + 1)::bigint as missing_seqs,
+           min(first_missing_seq)::bigint as first_missing_seq,
+           min(detected_at) as first_detected_at
+    from seq_gaps
+    where status = 'OPEN'
+    group by run_id
+    order by run_id asc
+  `);
+  return rs.rows.map((row) => ({
+    run_id: row.run_id,
+    open_gaps: Number(row.open_gaps || 0),
+    missing_seqs: Number(row.missing_seqs || 0),
+    first_missing_seq: Number(row.first_missing_seq || 0),
+    first_detected_at: row.first_detected_at ? new Date(row.first_detected_at).toISOString() : null,
+  }));
+}
+
 async function makeRawEventsCompatibilityInfo() {
   const cols = await tableColumns("raw_events");
   return {
@@ -1186,6 +1248,7 @@ function buildManifest({
   gapCounters,
   nonMaterializedCounts,
   unknownStreamCounts,
+  openSeqGaps = [],
 }) {
   const producerVersionSet = {};
   const scriptIdentitySet = {};
@@ -1216,6 +1279,10 @@ function buildManifest({
     }
   }
 
+  for (const gap of openSeqGaps) {
+    knownGaps.push(`run_id ${gap.run_id} has ${gap.open_gaps} open seq gap(s) covering ${gap.missing_seqs} missing seq values, first at seq ${gap.first_missing_seq} (detected ${gap.first_detected_at}).`);
+  }
+
   const artifacts = REQUIRED_ARTIFACT_ORDER.map((name) => artifactMetadata[name]).filter(Boolean);
   if (artifactMetadata["raw_request_summary.csv"]) artifacts.push(artifactMetadata["raw_request_summary.csv"]);
 
@@ -1253,6 +1320,7 @@ function buildManifest({
     script_identity_set: scriptIdentitySet,
     csv_wide_gap_summary: gapCounters,
     non_materialized_raw_event_counts: nonMaterializedCounts,
+    open_seq_gaps: openSeqGaps,
     unexpected_materialized_stream_counts: unknownStreamCounts,
     known_omissions_or_open_gaps: knownGaps,
     status: knownGaps.length ? "OK_WITH_VISIBLE_GAPS" : "OK",
@@ -1385,6 +1453,7 @@ async function buildArtifacts(localDir, sourceWatermark) {
   artifactMetadata["DATA_DICTIONARY.csv"] = fileMetaFromDisk("DATA_DICTIONARY.csv", dictionaryPath, "text/csv", dictionaryRows.length - 1);
 
   const nonMaterializedCounts = await fetchNonMaterializedCounts(sourceWatermark);
+  const openSeqGaps = await fetchOpenSeqGaps();
   const exportedAt = new Date();
   const exportId = path.basename(localDir);
   const manifestPreview = buildManifest({
@@ -1397,6 +1466,7 @@ async function buildArtifacts(localDir, sourceWatermark) {
     gapCounters,
     nonMaterializedCounts,
     unknownStreamCounts,
+    openSeqGaps,
   });
   const readmeText = buildReadmeText({
     exportId,
@@ -1418,6 +1488,7 @@ async function buildArtifacts(localDir, sourceWatermark) {
     gapCounters,
     nonMaterializedCounts,
     unknownStreamCounts,
+    openSeqGaps,
     exportedAt,
   };
 }
@@ -1555,8 +1626,29 @@ async function publishToDrive(artifacts) {
   };
 }
 
+defineMetric("drive_exporter_runs_total", "counter", "Export runs by status.");
+defineMetric("drive_exporter_redactions_total", "counter", "Values redacted from exported records by policy rule.");
+defineMetric("drive_exporter_export_duration_seconds", "gauge", "Duration of the last export run by phase.");
+defineMetric("drive_exporter_artifact_rows", "gauge", "Row counts of artifacts in the last export run.");
+defineMetric("drive_exporter_source_watermark", "gauge", "Materializer watermark exported by the last run.");
+defineMetric("drive_exporter_last_run_timestamp_seconds", "gauge", "Unix time the last export run finished, by status.");
+
+function writeMetricsTextfile() {
+  if (!DRIVE_EXPORTER_METRICS_TEXTFILE) return;
+  const tmpPath = `${DRIVE_EXPORTER_METRICS_TEXTFILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, renderMetrics(), "utf8");
+  fs.renameSync(tmpPath, DRIVE_EXPORTER_METRICS_TEXTFILE);
+}
+
+function secondsSince(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
 async function run() {
   await ensureExporterSchema();
+  for (const warning of await notificationTargetWarnings({ query: dbQuery }, NOTIFY_TARGETS)) console.warn(`WARN: ${warning}`);
+  const runStartedAt = process.hrtime.bigint();
+  let runStatus = "failure";
 
   const gotLock = await acquireExporterLock();
   if (!gotLock) throw new Error("drive-exporter is already running");
@@ -1585,7 +1677,13 @@ async function run() {
     const runLocalDir = path.join(baseLocalDir, runFolderName);
     fs.mkdirSync(runLocalDir, { recursive: true });
 
+    const buildStartedAt = process.hrtime.bigint();
     const built = await buildArtifacts(runLocalDir, sourceWatermark);
+    setMetric("drive_exporter_export_duration_seconds", { phase: "build" }, secondsSince(buildStartedAt));
+    setMetric("drive_exporter_source_watermark", {}, Number(sourceWatermark));
+    for (const [name, meta] of Object.entries(built.artifactMetadata)) {
+      if (meta.row_count != null) setMetric("drive_exporter_artifact_rows", { artifact: name }, Number(meta.row_count));
+    }
     const manifest = buildManifest({
       exportId,
       exportedAt: built.exportedAt,
@@ -1596,6 +1694,7 @@ async function run() {
       gapCounters: built.gapCounters,
       nonMaterializedCounts: built.nonMaterializedCounts,
       unknownStreamCounts: built.unknownStreamCounts,
+      openSeqGaps: built.openSeqGaps,
     });
 
     const manifestPath = path.join(runLocalDir, "MANIFEST.json");
@@ -1612,6 +1711,7 @@ async function run() {
 
     let publicationSummary;
     let uploadedFiles;
+    const publishStartedAt = process.hrtime.bigint();
     if (DRIVE_EXPORTER_SKIP_DRIVE_UPLOAD) {
       publicationSummary = {
         immutable_folder_id: null,
@@ -1634,6 +1734,8 @@ async function run() {
       ];
     }
 
+    setMetric("drive_exporter_export_duration_seconds", { phase: "publish" }, secondsSince(publishStartedAt));
+
     const byPhase = new Map();
     for (const file of uploadedFiles) {
       if (!byPhase.has(file.phase)) byPhase.set(file.phase, []);
@@ -1644,6 +1746,7 @@ async function run() {
     }
 
     await markRunSuccess(runId, manifest, publicationSummary, uploadedFiles);
+    runStatus = "success";
 
     const counts = await fetchTableCounts(sourceWatermark);
     console.log(
@@ -1657,6 +1760,14 @@ async function run() {
     await markRunFailure(runId, err);
     throw err;
   } finally {
+    setMetric("drive_exporter_export_duration_seconds", { phase: "total" }, secondsSince(runStartedAt));
+    incMetric("drive_exporter_runs_total", { status: runStatus });
+    setMetric("drive_exporter_last_run_timestamp_seconds", { status: runStatus }, Math.floor(Date.now() / 1000));
+    try {
+      writeMetricsTextfile();
+    } catch (e) {
+      console.error("metrics textfile write failed:", e?.message || e);
+    }
     await releaseExporterLock();
     await pool.end().catch(() => {});
   }
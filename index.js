@@ -1,19 +1,84 @@
+import fs from "fs";
+import path from "path";
 import express from "express";
 import pg from "pg";
 import crypto from "crypto";
+import net from "net";
+import zlib from "zlib";
+import readline from "readline";
+import { PassThrough } from "stream";
+import Ajv from "ajv";
+import { loadSessionCalendar, calendarFor, sessionOpenMsBetween } from "./lib/session_calendar.js";
+import { parseNotifyTargets, ensureNotificationSchema, registerNotificationTargets, enqueueNotification as enqueueOutboxNotification } from "./lib/notifications.js";
+import { loadRedactionPolicy, redactDeep } from "./lib/redaction.js";
+import { defineMetric, incMetric, setMetric, observeMetric, renderMetrics } from "./lib/metrics.js";
 
 const { Pool } = pg;
 const app = express();
 
-app.use(express.text({ type: "*/*", limit: "2mb" }));
+app.use(readRequestBody);
+app.use((_req, res, next) => {
+  if (lifecycle.drainingSince !== null) res.set("connection", "close");
+  next();
+});
 
 const PORT = parseInt(process.env.PORT || "8080", 10);
 const RECEIVER_ENV = (process.env.RECEIVER_ENV || "prod").trim().toLowerCase();
 const DATABASE_URL_RAW = (process.env.DATABASE_URL || "").trim();
+const RECEIVER_APPLICATION_NAME = (process.env.RECEIVER_APPLICATION_NAME || "tv-receiver").trim();
 const CA_CERT = (process.env.CA_CERT || process.env.DATABASE_CA_CERT || "").trim();
 const PGSSL_INSECURE = (process.env.PGSSL_INSECURE || "").trim() === "1";
 const TV_ALLOWED_IPS = (process.env.TV_ALLOWED_IPS || "").trim();
 const ALLOW_UNTRUSTED_INGRESS = (process.env.ALLOW_UNTRUSTED_INGRESS || "").trim() === "1";
+const TV_REQUIRE_ROUTE_KEY = (process.env.TV_REQUIRE_ROUTE_KEY || "").trim() === "1";
+const TV_TRUSTED_PROXIES = (process.env.TV_TRUSTED_PROXIES || "").trim();
+const TV_TRUSTED_PROXY_HOPS_RAW = (process.env.TV_TRUSTED_PROXY_HOPS || "").trim();
+const TV_BODY_DECODERS = new Set(
+  (process.env.TV_BODY_DECODERS || "json,ndjson,kv,delimited").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean)
+);
+const TV_DELIMITED_FIELDS = (process.env.TV_DELIMITED_FIELDS || "symbol,close").split(",").map((s) => s.trim()).filter(Boolean);
+const SCHEMA_REGISTRY_DIR = (process.env.SCHEMA_REGISTRY_DIR || "./schema_registry").trim();
+const SCHEMA_REGISTRY_STRICT = (process.env.SCHEMA_REGISTRY_STRICT || "").trim() === "1";
+const ADMIN_API_TOKEN = (process.env.ADMIN_API_TOKEN || "").trim();
+const REPLAY_MAX_REQUESTS = parseInt(process.env.REPLAY_MAX_REQUESTS || "10000", 10);
+const WATCHDOG_INTERVAL_MS = parseInt(process.env.WATCHDOG_INTERVAL_MS || "60000", 10);
+const WATCHDOG_STALE_MULTIPLE = parseFloat(process.env.WATCHDOG_STALE_MULTIPLE || "3");
+const WATCHDOG_MIN_SILENCE_MS = parseInt(process.env.WATCHDOG_MIN_SILENCE_MS || "120000", 10);
+const WATCHDOG_LOOKBACK_MS = parseInt(process.env.WATCHDOG_LOOKBACK_HOURS || "24", 10) * 3_600_000;
+const WATCHDOG_MIN_SAMPLES = parseInt(process.env.WATCHDOG_MIN_SAMPLES || "5", 10);
+const WATCHDOG_SESSION_CALENDAR_PATH = (process.env.WATCHDOG_SESSION_CALENDAR_PATH || process.env.MATERIALIZER_SESSION_CALENDAR_PATH || "./session_calendar.json").trim();
+const NOTIFY_DEDUP_WINDOW_SEC = parseInt(process.env.NOTIFY_DEDUP_WINDOW_SEC || "900", 10);
+const NOTIFY_DISPATCH_INTERVAL_MS = parseInt(process.env.NOTIFY_DISPATCH_INTERVAL_MS || "5000", 10);
+const NOTIFY_TIMEOUT_MS = parseInt(process.env.NOTIFY_TIMEOUT_MS || "10000", 10);
+const NOTIFY_MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS || "8", 10);
+const NOTIFY_BACKOFF_BASE_MS = parseInt(process.env.NOTIFY_BACKOFF_BASE_MS || "5000", 10);
+const NOTIFY_BACKOFF_MAX_MS = parseInt(process.env.NOTIFY_BACKOFF_MAX_MS || String(30 * 60 * 1000), 10);
+const NOTIFY_BATCH_SIZE = parseInt(process.env.NOTIFY_BATCH_SIZE || "20", 10);
+const NOTIFY_REJECT_SPIKE_THRESHOLD = parseInt(process.env.NOTIFY_REJECT_SPIKE_THRESHOLD || "20", 10);
+const NOTIFY_REJECT_SPIKE_WINDOW_SEC = parseInt(process.env.NOTIFY_REJECT_SPIKE_WINDOW_SEC || "60", 10);
+const RETENTION_ARCHIVE_DIR = (process.env.RETENTION_ARCHIVE_DIR || "./archive").trim();
+const RETENTION_MAX_AGE_DAYS = parseInt(process.env.RETENTION_MAX_AGE_DAYS || "30", 10);
+const RETENTION_BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE || "1000", 10);
+const RETENTION_RESTORE_HOLD_HOURS = parseInt(process.env.RETENTION_RESTORE_HOLD_HOURS || "72", 10);
+const RAW_BODY_KEYS = (process.env.RAW_BODY_KEYS || "").trim();
+const RAW_BODY_KEYS_FILE = (process.env.RAW_BODY_KEYS_FILE || "").trim();
+const RAW_BODY_ACTIVE_KEY_ID = (process.env.RAW_BODY_ACTIVE_KEY_ID || "").trim();
+const HASH_PEPPERS_RAW = (process.env.HASH_PEPPERS || "").trim();
+const HASH_PEPPERS_FILE = (process.env.HASH_PEPPERS_FILE || "").trim();
+const HASH_PEPPER_VERSION = (process.env.HASH_PEPPER_VERSION || "").trim();
+const HASH_PEPPER_PREVIOUS_VERSION = (process.env.HASH_PEPPER_PREVIOUS_VERSION || "").trim();
+const UNKEYED_HASH_VERSION = "sha256";
+const REDACTION_POLICY_PATH = (process.env.REDACTION_POLICY_PATH || "./redaction_policy.json").trim();
+const SPOOL_DIR = (process.env.SPOOL_DIR || "./spool").trim();
+const SPOOL_SEGMENT_MAX_BYTES = parseInt(process.env.SPOOL_SEGMENT_MAX_BYTES || String(64 * 1024 * 1024), 10);
+const SPOOL_DRAIN_INTERVAL_MS = parseInt(process.env.SPOOL_DRAIN_INTERVAL_MS || "5000", 10);
+const SHUTDOWN_DRAIN_DEADLINE_MS = parseInt(process.env.SHUTDOWN_DRAIN_DEADLINE_MS || "25000", 10);
+const TV_MAX_BODY_BYTES = parseInt(process.env.TV_MAX_BODY_BYTES || String(2 * 1024 * 1024), 10);
+const TV_MAX_DECOMPRESSED_BYTES = parseInt(process.env.TV_MAX_DECOMPRESSED_BYTES || String(16 * 1024 * 1024), 10);
+const BACKFILL_MAX_DECOMPRESSED_BYTES = parseInt(process.env.BACKFILL_MAX_DECOMPRESSED_BYTES || String(1024 * 1024 * 1024), 10);
+const UNKNOWN_FIELD_SAMPLE_MAX_CHARS = parseInt(process.env.UNKNOWN_FIELD_SAMPLE_MAX_CHARS || "200", 10);
+const SEQ_EXPECTED_START = parseInt(process.env.SEQ_EXPECTED_START || "0", 10);
+const TV_DELIMITED_MAX_CHARS = parseInt(process.env.TV_DELIMITED_MAX_CHARS || "4096", 10);
 
 if (!DATABASE_URL_RAW) {
   console.error("FATAL: DATABASE_URL is not set");
@@ -31,11 +96,132 @@ if (ALLOW_UNTRUSTED_INGRESS && RECEIVER_ENV === "prod") {
   console.error("FATAL: ALLOW_UNTRUSTED_INGRESS=1 is forbidden when RECEIVER_ENV=prod");
   process.exit(1);
 }
+if (ADMIN_API_TOKEN && ADMIN_API_TOKEN.length < 32 && RECEIVER_ENV === "prod") {
+  console.error("FATAL: ADMIN_API_TOKEN must be at least 32 characters when RECEIVER_ENV=prod");
+  process.exit(1);
+}
+if (!Number.isInteger(SEQ_EXPECTED_START)) {
+  console.error("FATAL: SEQ_EXPECTED_START must be an integer");
+  process.exit(1);
+}
+if (!Number.isInteger(BACKFILL_MAX_DECOMPRESSED_BYTES) || BACKFILL_MAX_DECOMPRESSED_BYTES < 1) {
+  console.error("FATAL: BACKFILL_MAX_DECOMPRESSED_BYTES must be a positive integer");
+  process.exit(1);
+}
 if (RECEIVER_ENV === "prod" && !TV_ALLOWED_IPS) {
   console.error("FATAL: TV_ALLOWED_IPS must be set in prod");
   process.exit(1);
 }
 
+let NOTIFY_TARGETS;
+try {
+  NOTIFY_TARGETS = parseNotifyTargets(process.env.NOTIFY_WEBHOOK_URLS);
+} catch (e) {
+  console.error(`FATAL: ${e.message}`);
+  process.exit(1);
+}
+
+function loadHashPeppers() {
+  const entries = [];
+  let fileActive = null;
+  let filePrevious = null;
+  if (HASH_PEPPERS_FILE) {
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(HASH_PEPPERS_FILE, "utf8"));
+    } catch (e) {
+      console.error(`FATAL: could not read HASH_PEPPERS_FILE: ${e?.message || String(e)}`);
+      process.exit(1);
+    }
+    fileActive = isNonEmptyString(doc?.active) ? doc.active.trim() : null;
+    filePrevious = isNonEmptyString(doc?.previous) ? doc.previous.trim() : null;
+    for (const [version, secret] of Object.entries(doc?.peppers || {})) entries.push([version, secret]);
+  }
+  for (const part of HASH_PEPPERS_RAW.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const sep = part.indexOf(":");
+    entries.push(sep > 0 ? [part.slice(0, sep), part.slice(sep + 1)] : ["", part]);
+  }
+
+  const peppers = new Map();
+  for (const [version, secret] of entries) {
+    if (!/^[A-Za-z0-9_.-]{1,32}$/.test(version) || version === UNKEYED_HASH_VERSION || String(secret || "").length < 32) {
+      console.error(`FATAL: hash pepper ${version ? `"${version}"` : "[unnamed]"} must be <version>:<secret of at least 32 chars>`);
+      process.exit(1);
+    }
+    peppers.set(version, String(secret));
+  }
+  const active = HASH_PEPPER_VERSION || fileActive || [...peppers.keys()].pop() || null;
+  const previous = HASH_PEPPER_PREVIOUS_VERSION || filePrevious || null;
+  if (active && !peppers.has(active)) {
+    console.error(`FATAL: active hash pepper "${active}" is not in the configured peppers`);
+    process.exit(1);
+  }
+  if (previous && (previous === active || (previous !== UNKEYED_HASH_VERSION && !peppers.has(previous)))) {
+    console.error(`FATAL: previous hash pepper "${previous}" must be a configured version other than the active one, or "${UNKEYED_HASH_VERSION}"`);
+    process.exit(1);
+  }
+  return { active, previous, peppers };
+}
+
+const HASH_PEPPERS = loadHashPeppers();
+
+if (RECEIVER_ENV === "prod" && !HASH_PEPPERS.active) {
+  console.error("FATAL: HASH_PEPPERS (or HASH_PEPPERS_FILE) must be set in prod");
+  process.exit(1);
+}
+
+function loadRawBodyKeyring() {
+  const entries = [];
+  let fileActive = null;
+  if (RAW_BODY_KEYS_FILE) {
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(RAW_BODY_KEYS_FILE, "utf8"));
+    } catch (e) {
+      console.error(`FATAL: could not read RAW_BODY_KEYS_FILE: ${e?.message || String(e)}`);
+      process.exit(1);
+    }
+    fileActive = isNonEmptyString(doc?.active) ? doc.active.trim() : null;
+    for (const [kid, key] of Object.entries(doc?.keys || {})) entries.push([kid, key]);
+  }
+  for (const part of RAW_BODY_KEYS.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const sep = part.indexOf(":");
+    entries.push(sep > 0 ? [part.slice(0, sep), part.slice(sep + 1)] : ["", part]);
+  }
+
+  const keys = new Map();
+  for (const [kid, encoded] of entries) {
+    const key = Buffer.from(String(encoded || ""), "base64");
+    if (!/^[A-Za-z0-9_.-]{1,64}$/.test(kid) || key.length !== 32) {
+      console.error(`FATAL: raw body key ${kid ? `"${kid}"` : "[unnamed]"} must be <kid>:<base64 of 32 bytes>`);
+      process.exit(1);
+    }
+    keys.set(kid, key);
+  }
+  const active = RAW_BODY_ACTIVE_KEY_ID || fileActive || [...keys.keys()].pop() || null;
+  if (active && !keys.has(active)) {
+    console.error(`FATAL: active raw body key "${active}" is not in the configured keys`);
+    process.exit(1);
+  }
+  return { active, keys };
+}
+
+const RAW_BODY_KEYRING = loadRawBodyKeyring();
+const RAW_BODY_POLICY = (process.env.RAW_BODY_POLICY || (RAW_BODY_KEYRING.active ? "encrypt" : "drop")).trim().toLowerCase();
+
+if (!["encrypt", "drop", "plaintext"].includes(RAW_BODY_POLICY)) {
+  console.error("FATAL: RAW_BODY_POLICY must be encrypt, drop or plaintext");
+  process.exit(1);
+}
+if (RAW_BODY_POLICY === "encrypt" && !RAW_BODY_KEYRING.active) {
+  console.error("FATAL: RAW_BODY_POLICY=encrypt requires RAW_BODY_KEYS or RAW_BODY_KEYS_FILE");
+  process.exit(1);
+}
+if (RAW_BODY_POLICY === "plaintext" && RECEIVER_ENV === "prod") {
+  console.error("FATAL: RAW_BODY_POLICY=plaintext is not allowed in prod");
+  process.exit(1);
+}
+
 function scrubDbUrl(url) {
   if (!url) return "";
   try {
@@ -69,25 +255,69 @@ function pgSslConfig() {
 const pool = new Pool({
   connectionString: scrubDbUrl(DATABASE_URL_RAW),
   ssl: pgSslConfig(),
+  application_name: RECEIVER_APPLICATION_NAME,
   max: 10,
   idleTimeoutMillis: 30_000,
   connectionTimeoutMillis: 10_000,
 });
 
-const SUPPORTED_ROW_TYPES = new Set(["CONFIG", "BAR", "EVAL", "ERROR", "INGRESS_REJECT", "DUPLICATE"]);
-const REDACT_KEYS = new Set([
-  "secret",
-  "webhook_secret",
-  "webhooksecret",
-  "token",
-  "authorization",
-  "api_key",
-  "apikey",
-  "password",
-]);
+pool.on("error", (e) => {
+  console.error("idle database client error:", e?.message || String(e));
+});
+
+defineMetric("tv_receiver_requests_total", "counter", "Ingest requests by path and outcome.");
+defineMetric("tv_receiver_records_total", "counter", "Logical records by path, outcome and row_type.");
+defineMetric("tv_receiver_rejections_total", "counter", "Rejected requests and records by reason.");
+defineMetric(
+  "tv_receiver_ingest_duration_seconds",
+  "histogram",
+  "Time from request receipt to response.",
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+defineMetric(
+  "tv_receiver_event_latency_ms",
+  "histogram",
+  "Record latency_ms (received minus event time) by stream.",
+  [100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 300000, 900000, 3600000]
+);
+defineMetric("tv_receiver_placeholder_records_total", "counter", "Records with unrendered placeholders by stream.");
+defineMetric("tv_receiver_pool_clients", "gauge", "Postgres pool clients by state.");
+defineMetric("tv_receiver_spool_depth", "gauge", "Spooled requests not yet persisted.");
+defineMetric("tv_receiver_spool_oldest_age_seconds", "gauge", "Age of the oldest spooled request.");
+defineMetric("tv_receiver_in_flight_requests", "gauge", "Ingest requests currently being processed.");
+defineMetric("tv_receiver_draining", "gauge", "1 while the receiver is shutting down.");
+defineMetric("tv_receiver_stale_streams", "gauge", "Streams currently flagged STALE by the watchdog.");
+defineMetric("tv_receiver_redactions_total", "counter", "Values redacted from request bodies by policy rule.");
+defineMetric("tv_receiver_notifications_total", "counter", "Notification delivery attempts by resulting status.");
+defineMetric("tv_receiver_stream_transitions_total", "counter", "Watchdog stream state transitions by target state.");
+
+function reasonLabel(reason) {
+  return String(reason || "unknown").split(":")[0];
+}
+
+function collectReceiverGauges() {
+  setMetric("tv_receiver_pool_clients", { state: "total" }, pool.totalCount);
+  setMetric("tv_receiver_pool_clients", { state: "idle" }, pool.idleCount);
+  setMetric("tv_receiver_pool_clients", { state: "waiting" }, pool.waitingCount);
+  const stats = spoolStats();
+  setMetric("tv_receiver_spool_depth", {}, stats.depth);
+  setMetric("tv_receiver_spool_oldest_age_seconds", {}, stats.oldest_age_ms / 1000);
+  setMetric("tv_receiver_in_flight_requests", {}, lifecycle.inFlight);
+  setMetric("tv_receiver_draining", {}, lifecycle.drainingSince === null ? 0 : 1);
+}
+
+const SEQ_TRACKED_ROW_TYPES = new Set(["CONFIG", "BAR", "EVAL"]);
+const SUPPORTED_ROW_TYPES = new Set(["CONFIG", "BAR", "EVAL", "ALERT", "ERROR", "INGRESS_REJECT", "DUPLICATE"]);
+let REDACTION_POLICY;
+try {
+  REDACTION_POLICY = loadRedactionPolicy(REDACTION_POLICY_PATH);
+} catch (e) {
+  console.error(`FATAL: invalid redaction policy ${REDACTION_POLICY_PATH}: ${e?.message || String(e)}`);
+  process.exit(1);
+}
 
 const CORE_ALLOWED_FIELDS = new Set([
-  "row_type", "schema_version", "log_tag", "producer", "producer_version", "event_type",
+  "row_type", "schema_version", "log_tag", "producer", "producer_id", "producer_version", "event_type",
   "json_schema_version", "wide_schema_version", "csv_schema_version",
   "env", "deployment_id", "timezone_id", "timezone", "schema_registry_version", "schema_registry_hash",
   "script_id", "script_sha", "stream_id", "universe_id", "alert_tag",
@@ -125,7 +355,8 @@ const CORE_ALLOWED_FIELDS = new Set([
   "wt_profile", "parity_profile", "ml_profile", "pivot_simple_profile", "pivot_standard_profile", "compression_note",
   "W", "windowHigh", "windowLow", "barsToHigh", "barsToLow", "close_eval", "atr14_eval",
   "bundle_version", "bundle_type", "bundle_sent_at_ms", "sent_at_ms",
-  "request_id", "ip_hash", "user_agent_hash", "path", "notes"
+  "request_id", "ip_hash", "user_agent_hash", "path", "notes",
+  "decoder", "alert_text"
 ]);
 
 const ALLOWED_PREFIXES = [
@@ -143,21 +374,71 @@ const CONTEXT_KEYS = [
   "price_quote", "contracts_def", "event_type"
 ];
 
-function parseAllowedIps(raw) {
-  const set = new Set();
+function parseIpRule(raw) {
+  const s = String(raw || "").trim();
+  if (s === "*") return { rule: "*", any: true };
+  const slash = s.indexOf("/");
+  const address = normalizeClientIp(slash >= 0 ? s.slice(0, slash) : s);
+  const family = net.isIP(address);
+  if (!family) return null;
+  const maxPrefix = family === 4 ? 32 : 128;
+  const prefix = slash >= 0 ? Number(s.slice(slash + 1)) : maxPrefix;
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) return null;
+  const list = new net.BlockList();
+  list.addSubnet(address, prefix, family === 4 ? "ipv4" : "ipv6");
+  return { rule: slash >= 0 ? `${address}/${prefix}` : address, any: false, family, list };
+}
+
+function parseIpRules(raw, envName) {
+  const rules = [];
   for (const part of String(raw || "").split(",")) {
-    const ip = normalizeClientIp(part.trim());
-    if (ip) set.add(ip);
+    if (!part.trim()) continue;
+    const rule = parseIpRule(part);
+    if (!rule) {
+      console.error(`FATAL: ${envName} contains an invalid address or CIDR block: ${part.trim()}`);
+      process.exit(1);
+    }
+    rules.push(rule);
+  }
+  return rules;
+}
+
+function matchIpRule(rules, ip) {
+  const address = normalizeClientIp(ip);
+  const family = net.isIP(address);
+  for (const rule of rules) {
+    if (rule.any) return rule.rule;
+    if (!family) continue;
+    if (rule.family === family && rule.list.check(address, family === 4 ? "ipv4" : "ipv6")) return rule.rule;
   }
-  return set;
+  return null;
 }
 
-const ALLOWED_IP_SET = parseAllowedIps(TV_ALLOWED_IPS);
-if (RECEIVER_ENV === "prod" && ALLOWED_IP_SET.has("*")) {
+const ALLOWED_IP_RULES = parseIpRules(TV_ALLOWED_IPS, "TV_ALLOWED_IPS");
+if (RECEIVER_ENV === "prod" && ALLOWED_IP_RULES.some((rule) => rule.any)) {
   console.error("FATAL: TV_ALLOWED_IPS=* is forbidden when RECEIVER_ENV=prod");
   process.exit(1);
 }
 
+const TRUSTED_PROXY_RULES = parseIpRules(TV_TRUSTED_PROXIES, "TV_TRUSTED_PROXIES");
+if (TRUSTED_PROXY_RULES.some((rule) => rule.any)) {
+  console.error("FATAL: TV_TRUSTED_PROXIES=* is not allowed; list the proxy addresses or CIDR blocks");
+  process.exit(1);
+}
+
+const TRUSTED_PROXY_HOPS = TV_TRUSTED_PROXY_HOPS_RAW === "" ? null : Number(TV_TRUSTED_PROXY_HOPS_RAW);
+if (TRUSTED_PROXY_HOPS !== null && (!Number.isInteger(TRUSTED_PROXY_HOPS) || TRUSTED_PROXY_HOPS < 0)) {
+  console.error("FATAL: TV_TRUSTED_PROXY_HOPS must be a non-negative integer");
+  process.exit(1);
+}
+if (TRUSTED_PROXY_HOPS !== null && TRUSTED_PROXY_RULES.length) {
+  console.error("FATAL: set either TV_TRUSTED_PROXIES or TV_TRUSTED_PROXY_HOPS, not both");
+  process.exit(1);
+}
+if (RECEIVER_ENV === "prod" && TRUSTED_PROXY_HOPS === null && !TRUSTED_PROXY_RULES.length) {
+  console.warn("WARNING: neither TV_TRUSTED_PROXIES nor TV_TRUSTED_PROXY_HOPS is set; the client address comes from the spoofable first X-Forwarded-For entry");
+}
+
 function sha256Hex(value) {
   const h = crypto.createHash("sha256");
   h.update(typeof value === "string" ? value : String(value ?? ""));
@@ -185,31 +466,183 @@ function asObject(maybeJson) {
   return null;
 }
 
-function parseJsonBody(raw) {
-  const s = typeof raw === "string" ? raw.trim() : "";
-  if (!s) return { ok: false, error: "empty_body", raw_preview: "" };
+const BODY_DECODERS = [
+  { name: "json", decode: decodeJsonBody },
+  { name: "ndjson", decode: decodeNdjsonBody },
+  { name: "kv", decode: decodeKeyValueBody },
+  { name: "delimited", decode: decodeDelimitedBody },
+];
+
+for (const name of TV_BODY_DECODERS) {
+  if (!BODY_DECODERS.some((decoder) => decoder.name === name)) {
+    console.error(`FATAL: TV_BODY_DECODERS contains unknown decoder: ${name}`);
+    process.exit(1);
+  }
+}
+
+function looksLikeJson(s) {
+  return (s.startsWith("{") && !s.startsWith("{{")) || s.startsWith("[");
+}
+
+function decodeJsonBody(s) {
+  if (!looksLikeJson(s)) return null;
   try {
-    return { ok: true, value: JSON.parse(s) };
+    const value = JSON.parse(s);
+    return Array.isArray(value) ? value : [value];
   } catch {
-    return { ok: false, error: "json_parse_failed", raw_preview: s.slice(0, 5000) };
+    return null;
   }
 }
 
-function redactDeep(value) {
-  if (value === null || value === undefined) return value;
-  if (Array.isArray(value)) return value.map((v) => redactDeep(v));
-  if (typeof value !== "object") return value;
+function decodeNdjsonBody(s) {
+  const lines = s.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length < 2 || !lines.every(looksLikeJson)) return null;
+  const documents = [];
+  for (const line of lines) {
+    try {
+      documents.push(JSON.parse(line));
+    } catch {
+      return null;
+    }
+  }
+  return documents;
+}
 
-  const out = {};
-  for (const [k, v] of Object.entries(value)) {
-    const key = String(k).toLowerCase();
-    if (REDACT_KEYS.has(key)) {
-      out[k] = "[REDACTED]";
-    } else {
-      out[k] = redactDeep(v);
+function decodeKeyValueBody(s, contentType) {
+  if (looksLikeJson(s)) return null;
+  const formEncoded = /application\/x-www-form-urlencoded/i.test(contentType);
+  const parts = s.split(/[;&\r\n]+/).map((part) => part.trim()).filter(Boolean);
+  if (!parts.length) return null;
+  const rec = {};
+  for (const part of parts) {
+    const m = /^([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*)$/.exec(part);
+    if (!m) return null;
+    let value = m[2].trim();
+    if (formEncoded) {
+      try {
+        value = decodeURIComponent(value.replace(/\+/g, " "));
+      } catch {
+        return null;
+      }
     }
+    rec[m[1]] = value;
+  }
+  return [{ row_type: "ALERT", ...rec }];
+}
+
+function decodeDelimitedBody(s) {
+  if (looksLikeJson(s) || /[\r\n]/.test(s) || s.length > TV_DELIMITED_MAX_CHARS) return null;
+  if (/[\u0000-\u0008\u000e-\u001f\u007f]/.test(s)) return null;
+  const sep = ["\t", "|", ";", ","].find((c) => s.includes(c));
+  if (!sep) return null;
+  const values = s.split(sep).map((v) => v.trim());
+  if (values.length < TV_DELIMITED_FIELDS.length || values.slice(0, TV_DELIMITED_FIELDS.length).some((v) => v === "")) return null;
+  const rec = { row_type: "ALERT", alert_text: s };
+  values.forEach((value, i) => {
+    const field = TV_DELIMITED_FIELDS[i] || `field_${i + 1}`;
+    if (value !== "" && rec[field] === undefined) rec[field] = value;
+  });
+  return [rec];
+}
+
+function decodeBody(raw, contentType) {
+  const s = typeof raw === "string" ? raw.trim() : "";
+  if (!s) return { ok: false, error: "empty_body", raw_preview: "" };
+
+  for (const decoder of BODY_DECODERS) {
+    if (!TV_BODY_DECODERS.has(decoder.name)) continue;
+    const documents = decoder.decode(s, contentType || "");
+    if (documents) return { ok: true, decoder: decoder.name, documents };
+  }
+
+  return {
+    ok: false,
+    error: looksLikeJson(s) ? "json_parse_failed" : "body_decode_failed",
+    raw_preview: s.slice(0, 5000),
+  };
+}
+
+const CONTENT_DECODERS = {
+  gzip: zlib.gunzip,
+  "x-gzip": zlib.gunzip,
+  deflate: zlib.inflate,
+  br: zlib.brotliDecompress,
+};
+
+class BodyReadError extends Error {
+  constructor(status, reason) {
+    super(reason);
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+function readWireBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const declared = toInt(req.headers["content-length"]);
+    if (declared !== null && declared > limit) {
+      reject(new BodyReadError(413, "body_too_large"));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.pause();
+        reject(new BodyReadError(413, "body_too_large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", () => reject(new BodyReadError(400, "body_read_failed")));
+  });
+}
+
+function decompressBody(buffer, encoding) {
+  const decode = CONTENT_DECODERS[encoding];
+  return new Promise((resolve, reject) => {
+    decode(buffer, { maxOutputLength: TV_MAX_DECOMPRESSED_BYTES }, (err, out) => {
+      if (!err) return resolve(out);
+      if (err.code === "ERR_BUFFER_TOO_LARGE" || err instanceof RangeError) {
+        return reject(new BodyReadError(413, "decompressed_body_too_large"));
+      }
+      return reject(new BodyReadError(400, "body_decompress_failed"));
+    });
+  });
+}
+
+async function readRequestBody(req, res, next) {
+  // Same match as express's default (case-insensitive, optional trailing slash) routing.
+  if (/^\/admin\/backfill\/?$/i.test(req.path)) return next();
+  const encodings = String(req.headers["content-encoding"] || "identity")
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .filter((e) => e && e !== "identity");
+
+  try {
+    const unsupported = encodings.find((e) => !CONTENT_DECODERS[e]);
+    if (unsupported) throw new BodyReadError(415, "unsupported_content_encoding");
+
+    let body = await readWireBody(req, TV_MAX_BODY_BYTES);
+    const compressedSize = body.length;
+    for (const encoding of encodings.reverse()) body = await decompressBody(body, encoding);
+
+    req.body = body.toString("utf8");
+    req.bodyInfo = {
+      content_encoding: encodings.length ? encodings.reverse().join(", ") : null,
+      compressed_size_bytes: compressedSize,
+      decompressed_size_bytes: body.length,
+    };
+    return next();
+  } catch (e) {
+    if (!(e instanceof BodyReadError)) return next(e);
+    incMetric("tv_receiver_rejections_total", { reason: e.reason });
+    res.set("connection", "close");
+    return res.status(e.status).json({ ok: false, error: e.reason });
   }
-  return out;
 }
 
 function isMissing(v) {
@@ -273,33 +706,89 @@ function sessionIdFromUTC(ms) {
 }
 
 function normalizeClientIp(raw) {
-  const s = String(raw || "").trim();
+  let s = String(raw || "").trim();
   if (!s) return "";
-  const first = s.split(",")[0].trim();
-  return first.startsWith("::ffff:") ? first.slice(7) : first;
+  s = s.split(",")[0].trim();
+  const bracketed = s.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) s = bracketed[1];
+  const v4WithPort = s.match(/^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/);
+  if (v4WithPort) s = v4WithPort[1];
+  return s.toLowerCase().startsWith("::ffff:") && net.isIPv4(s.slice(7)) ? s.slice(7) : s;
 }
 
-function getClientIp(req) {
-  const xf = (req.headers["x-forwarded-for"] || "").toString();
-  if (xf) return normalizeClientIp(xf);
-  return normalizeClientIp(req.socket?.remoteAddress || "");
+function resolveClientAddress(req) {
+  const forwarded = (req.headers["x-forwarded-for"] || "").toString()
+    .split(",")
+    .map((part) => normalizeClientIp(part))
+    .filter(Boolean);
+  const remote = normalizeClientIp(req.socket?.remoteAddress || "");
+  const chain = remote ? [...forwarded, remote] : forwarded;
+  if (!chain.length) return { ip: "", chain, source: "none" };
+
+  if (TRUSTED_PROXY_HOPS !== null) {
+    const index = Math.max(0, chain.length - 1 - TRUSTED_PROXY_HOPS);
+    return { ip: chain[index], chain, source: `proxy_hops:${TRUSTED_PROXY_HOPS}` };
+  }
+
+  if (TRUSTED_PROXY_RULES.length) {
+    let index = chain.length - 1;
+    while (index > 0 && matchIpRule(TRUSTED_PROXY_RULES, chain[index])) index -= 1;
+    return { ip: chain[index], chain, source: "trusted_proxies" };
+  }
+
+  if (forwarded.length) return { ip: forwarded[0], chain, source: "x_forwarded_for_first" };
+  return { ip: remote, chain, source: "socket" };
 }
 
 function getUserAgent(req) {
   return (req.headers["user-agent"] || "").toString();
 }
 
-function isTrustedSource(ip) {
-  if (ALLOW_UNTRUSTED_INGRESS) return true;
-  if (ALLOWED_IP_SET.has("*")) return true;
-  if (!ip) return false;
-  return ALLOWED_IP_SET.has(normalizeClientIp(ip));
+function matchAllowRule(ip) {
+  if (ALLOW_UNTRUSTED_INGRESS) return "ALLOW_UNTRUSTED_INGRESS";
+  if (!ip) return null;
+  return matchIpRule(ALLOWED_IP_RULES, ip);
 }
 
 function makeRequestId() {
   return crypto.randomUUID ? crypto.randomUUID() : sha256Hex(`${Date.now()}|${Math.random()}`);
 }
 
+function makeRouteKey() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function ingressPath(req) {
+  if (req.params?.routeKey == null) return req.path;
+  return String(req.route?.path || req.path).replace(/\/:routeKey$/, "");
+}
+
+async function findIngestProfile(client, routeKeySha256) {
+  const rs = await client.query(
+    `
+      select profile_name, stream_id, env, deployment_id, status,
+             route_key_sha256 = $1 as current_key
+      from ingest_profiles
+      where route_key_sha256 = $1
+         or (previous_route_key_sha256 = $1 and previous_key_valid_until > now())
+      limit 1
+    `,
+    [routeKeySha256]
+  );
+  const profile = rs.rows[0] || null;
+  if (!profile) return { profile: null, reason: "route_key_unknown" };
+  if (profile.status !== "ACTIVE") return { profile: null, reason: "route_key_revoked" };
+  return { profile, reason: null };
+}
+
+function profileMismatchFields(profile, prepared) {
+  const fields = [];
+  if (isNonEmptyString(profile.stream_id) && prepared.stream_id !== profile.stream_id) fields.push("stream_id");
+  if (isNonEmptyString(profile.env) && prepared.env !== profile.env) fields.push("env");
+  if (isNonEmptyString(profile.deployment_id) && prepared.deployment_id !== profile.deployment_id) fields.push("deployment_id");
+  return fields;
+}
+
 function inferProducerId(rec) {
   const raw = String(rec.producer_id || rec.producer || rec.stream_id || "").toUpperCase().trim();
   if (raw.includes("A1M")) return "A1M";
@@ -398,13 +887,140 @@ function requiredKeysForRowType(rowType) {
   return common;
 }
 
+function schemaRegistryKey(streamId, rowType, schemaVersion) {
+  return `${streamId}|${rowType}|${schemaVersion}`;
+}
+
+function listDirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name);
+}
+
+function loadSchemaRegistry(dir) {
+  const documents = new Map();
+  const byHash = new Map();
+  if (!fs.existsSync(dir)) return { dir, documents, byHash };
+
+  for (const streamId of listDirs(dir)) {
+    for (const rowTypeDir of listDirs(path.join(dir, streamId))) {
+      const rowDir = path.join(dir, streamId, rowTypeDir);
+      for (const file of fs.readdirSync(rowDir)) {
+        const m = /^(\d+)\.json$/.exec(file);
+        if (!m) continue;
+        const filePath = path.join(rowDir, file);
+        let doc;
+        let validate;
+        try {
+          doc = JSON.parse(fs.readFileSync(filePath, "utf8"));
+          validate = new Ajv({ allErrors: true, strict: false }).compile(doc);
+        } catch (e) {
+          console.error(`FATAL: invalid schema registry document ${filePath}: ${e?.message || String(e)}`);
+          process.exit(1);
+        }
+        const entry = {
+          stream_id: streamId,
+          row_type: rowTypeDir.toUpperCase(),
+          schema_version: parseInt(m[1], 10),
+          sha256: sha256Hex(stableStringify(doc)),
+          file: filePath,
+          validate,
+        };
+        documents.set(schemaRegistryKey(entry.stream_id, entry.row_type, entry.schema_version), entry);
+        byHash.set(entry.sha256, entry);
+      }
+    }
+  }
+  return { dir, documents, byHash };
+}
+
+const SCHEMA_REGISTRY = loadSchemaRegistry(SCHEMA_REGISTRY_DIR);
+
+let SESSION_CALENDAR;
+try {
+  SESSION_CALENDAR = loadSessionCalendar(WATCHDOG_SESSION_CALENDAR_PATH);
+} catch (e) {
+  console.error(`FATAL: invalid session calendar ${WATCHDOG_SESSION_CALENDAR_PATH}: ${e?.message || String(e)}`);
+  process.exit(1);
+}
+
+function findSchemaDocument(streamId, rowType, schemaVersion) {
+  return SCHEMA_REGISTRY.documents.get(schemaRegistryKey(streamId, rowType, schemaVersion))
+    || SCHEMA_REGISTRY.documents.get(schemaRegistryKey("_default", rowType, schemaVersion))
+    || null;
+}
+
+function schemaErrorPath(err) {
+  const base = err.instancePath || "";
+  if (err.keyword === "required") return `${base}/${err.params.missingProperty}`;
+  if (err.keyword === "additionalProperties") return `${base}/${err.params.additionalProperty}`;
+  return base || "/";
+}
+
+function declaredHashViolation(declaredHash, doc) {
+  if (!declaredHash || declaredHash === doc?.sha256) return null;
+  return SCHEMA_REGISTRY.byHash.has(declaredHash) ? "schema_registry_hash_mismatch" : "schema_registry_hash_unknown";
+}
+
+function checkRecordSchema(rec, { stream_id, row_type, schema_version, declared_hash }) {
+  const doc = findSchemaDocument(stream_id, row_type, schema_version);
+  if (!doc) {
+    const hashViolation = declaredHashViolation(declared_hash, null);
+    return {
+      source: "required_keys",
+      document_sha256: null,
+      violations: [
+        ...(SCHEMA_REGISTRY_STRICT ? ["schema_not_registered"] : []),
+        ...(hashViolation ? [hashViolation] : []),
+      ],
+    };
+  }
+
+  const violations = [];
+  if (!doc.validate(rec)) {
+    for (const err of doc.validate.errors || []) {
+      const violation = schemaErrorPath(err);
+      if (!violations.includes(violation)) violations.push(violation);
+    }
+  }
+  const hashViolation = declaredHashViolation(declared_hash, doc);
+  if (hashViolation) violations.push(hashViolation);
+  return { source: "registry", document_sha256: doc.sha256, violations };
+}
+
+const PLACEHOLDER_RE = /\{\{\s*[^{}]+?\s*\}\}/;
+
+function findPlaceholderFields(value, path = "", out = []) {
+  if (typeof value === "string") {
+    if (PLACEHOLDER_RE.test(value)) out.push(path || "(root)");
+  } else if (Array.isArray(value)) {
+    value.forEach((v, i) => findPlaceholderFields(v, `${path}[${i}]`, out));
+  } else if (value && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) {
+      findPlaceholderFields(v, path ? `${path}.${k}` : k, out);
+    }
+  }
+  return out;
+}
+
+const placeholderStats = new Map();
+
+function notePlaceholderRecord(row) {
+  const key = row.stream_id || "UNKNOWN";
+  const stat = placeholderStats.get(key) || { records: 0, last_seen_at: null, last_uid: null, last_fields: [] };
+  stat.records += 1;
+  stat.last_seen_at = new Date().toISOString();
+  stat.last_uid = row.uid;
+  stat.last_fields = row.placeholder_fields;
+  placeholderStats.set(key, stat);
+  incMetric("tv_receiver_placeholder_records_total", { stream_id: key });
+}
+
 function isKnownField(key) {
   if (CORE_ALLOWED_FIELDS.has(key)) return true;
   return ALLOWED_PREFIXES.some((prefix) => key.startsWith(prefix));
 }
 
-function unknownKeysCount(rec) {
-  return Object.keys(rec || {}).filter((key) => !isKnownField(key)).length;
+function unknownKeys(rec) {
+  return Object.keys(rec || {}).filter((key) => !isKnownField(key)).sort();
 }
 
 function minimumRequiredMissingCount(rec, rowType) {
@@ -422,19 +1038,21 @@ function buildFailureRecord({
   path,
   ip_hash,
   user_agent_hash,
+  hash_key_version = null,
   t_received_ms,
   auth_ok,
   parse_ok,
   raw_payload,
   record_index = 0,
   raw_request_id = null,
+  profile_name = null,
 }) {
-  const payload = redactDeep({
+  const payload = redactDeep(REDACTION_POLICY, {
     reason,
     request_id,
     path,
     raw_payload,
-  });
+  }, { scan: "all" });
   const payloadString = stableStringify(payload);
   const uid = `${row_type}|${request_id || t_received_ms}|${record_index}`;
   return {
@@ -495,10 +1113,12 @@ function buildFailureRecord({
     payload_size_bytes: Buffer.byteLength(payloadString, "utf8"),
     ip_hash,
     user_agent_hash,
+    hash_key_version,
     request_id,
     path,
     script_sha: null,
     notes: reason,
+    profile_name,
     payload,
   };
 }
@@ -585,6 +1205,7 @@ function prepareLogicalRecord(rec, meta) {
       request_id: meta.request_id,
       path: meta.path,
       ip_hash: meta.ip_hash,
+      hash_key_version: meta.hash_key_version,
       user_agent_hash: meta.user_agent_hash,
       t_received_ms: meta.t_received_ms,
       auth_ok: meta.auth_ok,
@@ -616,14 +1237,15 @@ function prepareLogicalRecord(rec, meta) {
   const streamId = inferStreamId(rec);
   const env = envFrom(rec);
 
-  const payload = redactDeep({
+  const payload = redactDeep(REDACTION_POLICY, {
     ...rec,
+    ...(meta.decoder ? { decoder: meta.decoder } : {}),
     producer_id: producerId,
     stream_id: streamId,
     cfg_sig_raw: cfg.cfg_sig_raw,
     cfg_sig_full: cfg.cfg_sig_full,
     cfg_sig_sha256: cfg.cfg_sig_sha256,
-  });
+  }, { scan: "all" });
   const payloadString = stableStringify(payload);
 
   const working = {
@@ -647,7 +1269,21 @@ function prepareLogicalRecord(rec, meta) {
   };
 
   const missingRequired = minimumRequiredMissingCount(working, rowTypeRaw);
-  const unknownCount = unknownKeysCount(payload);
+  const unknownKeyList = unknownKeys(rec);
+  const placeholderFields = findPlaceholderFields(rec);
+  const declaredSchemaHash = isNonEmptyString(rec.schema_registry_hash) ? String(rec.schema_registry_hash).trim() : null;
+  const schemaCheck = checkRecordSchema(rec, {
+    stream_id: streamId,
+    row_type: rowTypeRaw,
+    schema_version: working.schema_version,
+    declared_hash: declaredSchemaHash,
+  });
+  const schemaOk = schemaCheck.violations.length === 0
+    && (schemaCheck.source === "registry" || missingRequired === 0);
+  const notes = [
+    placeholderFields.length ? `unrendered_placeholders:${placeholderFields.join(",")}` : null,
+    schemaCheck.violations.length ? `schema_violations:${schemaCheck.violations.join(",")}` : null,
+  ].filter(Boolean).join(";");
 
   return {
     raw_request_id: meta.raw_request_id,
@@ -661,9 +1297,7 @@ function prepareLogicalRecord(rec, meta) {
     cfg_sig_full: cfg.cfg_sig_full,
     cfg_sig_sha256: cfg.cfg_sig_sha256,
     schema_version: working.schema_version,
-    schema_registry_hash: isNonEmptyString(rec.schema_registry_hash)
-      ? String(rec.schema_registry_hash).trim()
-      : "0".repeat(64),
+    schema_registry_hash: declaredSchemaHash || "0".repeat(64),
     producer: isNonEmptyString(rec.producer) ? String(rec.producer).trim() : "INGRESS",
     producer_id: producerId,
     producer_version: isNonEmptyString(rec.producer_version) ? String(rec.producer_version).trim() : null,
@@ -702,15 +1336,22 @@ function prepareLogicalRecord(rec, meta) {
     session_id: sessionIdFromUTC(working.t_subject_ms),
     auth_ok: Boolean(meta.auth_ok),
     parse_ok: true,
-    schema_match_ok: missingRequired === 0 && SUPPORTED_ROW_TYPES.has(rowTypeRaw),
-    unknown_keys_count: unknownCount,
+    schema_match_ok: schemaOk && placeholderFields.length === 0 && SUPPORTED_ROW_TYPES.has(rowTypeRaw),
+    schema_check_source: schemaCheck.source,
+    schema_document_sha256: schemaCheck.document_sha256,
+    schema_violations: schemaCheck.violations.length ? schemaCheck.violations : null,
+    unknown_keys_count: unknownKeyList.length,
+    unknown_keys: unknownKeyList.length ? unknownKeyList : null,
     missing_required_count: missingRequired,
     request_id: meta.request_id,
     ip_hash: meta.ip_hash,
+    hash_key_version: meta.hash_key_version,
     user_agent_hash: meta.user_agent_hash,
     path: meta.path,
     script_sha: isNonEmptyString(rec.script_sha) ? String(rec.script_sha).trim() : null,
-    notes: null,
+    notes: notes || null,
+    placeholder_fields: placeholderFields.length ? placeholderFields : null,
+    profile_name: meta.profile_name ?? null,
     payload_sha256: sha256Hex(payloadString),
     payload_size_bytes: Buffer.byteLength(payloadString, "utf8"),
     payload,
@@ -760,6 +1401,49 @@ async function ensureSchema() {
     );
   `);
 
+  const addRequestColumns = [
+    ["profile_name", "text"],
+    ["reject_reason", "text"],
+    ["client_ip_source", "text"],
+    ["allow_rule", "text"],
+    ["body_decoder", "text"],
+    ["content_encoding", "text"],
+    ["compressed_size_bytes", "integer"],
+    ["decompressed_size_bytes", "integer"],
+    ["archived_at", "timestamptz"],
+    ["archive_id", "bigint"],
+    ["raw_body_enc", "jsonb"],
+    ["raw_body_key_id", "text"],
+    ["raw_body_policy", "text"],
+    ["hash_key_version", "text"],
+    ["source_ip_hash_prev", "text"],
+    ["user_agent_hash_prev", "text"],
+    ["hash_prev_key_version", "text"],
+    ["proxy_chain_hashes", "jsonb"],
+    ["redaction_counts", "jsonb"],
+  ];
+
+  for (const [col, type] of addRequestColumns) {
+    await pool.query(`alter table raw_requests add column if not exists ${col} ${type};`);
+  }
+
+  await pool.query(`
+    create table if not exists ingest_profiles (
+      profile_name text primary key,
+      route_key_sha256 text not null unique,
+      previous_route_key_sha256 text,
+      previous_key_valid_until timestamptz,
+      stream_id text,
+      env text,
+      deployment_id text,
+      status text not null default 'ACTIVE',
+      created_at timestamptz not null default now(),
+      rotated_at timestamptz,
+      revoked_at timestamptz,
+      updated_at timestamptz not null default now()
+    );
+  `);
+
   await pool.query(`
     create table if not exists raw_events (
       id bigserial primary key,
@@ -828,9 +1512,23 @@ async function ensureSchema() {
     ["payload_size_bytes", "integer"],
     ["ip_hash", "text"],
     ["user_agent_hash", "text"],
+    ["hash_key_version", "text"],
     ["script_sha", "text"],
     ["notes", "text"],
     ["payload_raw_redacted", "jsonb"],
+    ["profile_name", "text"],
+    ["duplicate_of_raw_event_id", "bigint"],
+    ["duplicate_key", "text"],
+    ["duplicate_payload_identical", "boolean"],
+    ["placeholder_fields", "text[]"],
+    ["schema_check_source", "text"],
+    ["schema_document_sha256", "text"],
+    ["schema_violations", "text[]"],
+    ["replay_generation", "integer not null default 0"],
+    ["replay_run_id", "bigint"],
+    ["unknown_keys", "text[]"],
+    ["archived_at", "timestamptz"],
+    ["archive_id", "bigint"],
   ];
 
   for (const [col, type] of addColumns) {
@@ -838,21 +1536,225 @@ async function ensureSchema() {
   }
 
   await pool.query(`create index if not exists raw_requests_received_idx on raw_requests (received_at desc);`);
+  await pool.query(`create index if not exists raw_requests_body_key_idx on raw_requests (raw_body_key_id) where raw_body_enc is not null;`);
+  await pool.query(`
+    create table if not exists raw_body_access_log (
+      id bigserial primary key,
+      raw_request_id bigint not null,
+      request_id text not null,
+      key_id text,
+      actor text not null,
+      reason text not null,
+      outcome text not null,
+      error text,
+      accessed_at timestamptz not null default now()
+    );
+  `);
+  await pool.query(`
+    create table if not exists retention_archives (
+      id bigserial primary key,
+      day_utc date not null,
+      table_name text not null,
+      part integer not null,
+      file_name text not null,
+      sha256 text not null,
+      size_bytes bigint not null,
+      row_count integer not null,
+      min_id bigint,
+      max_id bigint,
+      archived_at timestamptz not null default now(),
+      restored_at timestamptz,
+      unique (day_utc, table_name, part)
+    );
+  `);
+  // Rows from before completed_at existed are all complete; new parts are registered incomplete
+  // before their file is moved into place and completed once the payload columns are cleared.
+  await pool.query(`alter table retention_archives add column if not exists completed_at timestamptz default now();`);
+  await pool.query(`alter table retention_archives alter column completed_at drop default;`);
+  await pool.query(`alter table retention_archives add column if not exists generation integer not null default 0;`);
   await pool.query(`create index if not exists raw_requests_payload_hash_idx on raw_requests (payload_sha256);`);
   await pool.query(`create index if not exists raw_events_received_at_idx on raw_events (received_at desc);`);
-  await pool.query(`create unique index if not exists raw_events_uid_uidx on raw_events (uid) where uid is not null;`);
   await pool.query(`
-    create unique index if not exists raw_events_run_seq_uidx
-    on raw_events (run_id, seq)
+    create unique index if not exists raw_events_gen_uid_uidx
+    on raw_events (replay_generation, uid)
+    where uid is not null;
+  `);
+  await pool.query(`
+    create unique index if not exists raw_events_gen_run_seq_uidx
+    on raw_events (replay_generation, run_id, seq)
     where run_id is not null and seq is not null and row_type in ('CONFIG', 'BAR', 'EVAL');
   `);
+  await pool.query(`drop index if exists raw_events_uid_uidx;`);
+  await pool.query(`drop index if exists raw_events_run_seq_uidx;`);
   await pool.query(`create index if not exists raw_events_raw_request_idx on raw_events (raw_request_id);`);
+  await pool.query(`
+    create index if not exists raw_events_duplicate_of_idx
+    on raw_events (duplicate_of_raw_event_id)
+    where duplicate_of_raw_event_id is not null;
+  `);
   await pool.query(`create index if not exists raw_events_row_type_received_idx on raw_events (row_type, received_at desc);`);
   await pool.query(`create index if not exists raw_events_symbol_tf_subject_idx on raw_events (symbol, tf_sec, t_subject_ms desc);`);
   await pool.query(`create index if not exists runs_started_idx on runs (started_at_ms desc);`);
+  await pool.query(`
+    create index if not exists ingest_profiles_previous_key_idx
+    on ingest_profiles (previous_route_key_sha256)
+    where previous_route_key_sha256 is not null;
+  `);
+
+  await pool.query(`
+    create table if not exists replay_runs (
+      id bigserial primary key,
+      generation integer not null unique,
+      selector jsonb not null,
+      status text not null default 'RUNNING',
+      started_at timestamptz not null default now(),
+      finished_at timestamptz,
+      requests_selected integer not null default 0,
+      requests_replayed integer not null default 0,
+      requests_failed integer not null default 0,
+      events_written integer not null default 0,
+      records_changed integer not null default 0,
+      records_added integer not null default 0,
+      records_removed integer not null default 0,
+      notes text
+    );
+  `);
+
+  await pool.query(`
+    create table if not exists replay_diffs (
+      id bigserial primary key,
+      replay_run_id bigint not null references replay_runs(id),
+      generation integer not null,
+      raw_request_id bigint,
+      request_id text,
+      record_index integer,
+      change_type text not null,
+      uid_before text,
+      uid_after text,
+      original_raw_event_id bigint,
+      replay_raw_event_id bigint,
+      changed_fields text[],
+      diff jsonb,
+      notes text,
+      created_at timestamptz not null default now()
+    );
+  `);
+  await pool.query(`create index if not exists replay_diffs_run_idx on replay_diffs (replay_run_id, id);`);
+
+  await pool.query(`
+    create table if not exists unknown_fields (
+      field text not null,
+      stream_id text not null,
+      first_seen_at timestamptz not null,
+      last_seen_at timestamptz not null,
+      seen_count bigint not null default 0,
+      sample_value text,
+      primary key (field, stream_id)
+    );
+  `);
+
+  await pool.query(`
+    create table if not exists run_seq_ranges (
+      run_id text not null,
+      seq_start bigint not null,
+      seq_end bigint not null,
+      primary key (run_id, seq_start)
+    );
+  `);
+  await pool.query(`
+    create table if not exists seq_gaps (
+      id bigserial primary key,
+      run_id text not null,
+      kind text not null default 'INTERIOR',
+      first_missing_seq bigint not null,
+      last_missing_seq bigint,
+      missing_count bigint generated always as (last_missing_seq - first_missing_seq + 1) stored,
+      status text not null default 'OPEN',
+      detected_at timestamptz not null default now(),
+      closed_at timestamptz,
+      close_reason text
+    );
+  `);
+  await pool.query(`create index if not exists seq_gaps_open_idx on seq_gaps (run_id) where status = 'OPEN';`);
+
+  await pool.query(`
+    create table if not exists stream_health_current (
+      stream_id text not null,
+      symbol text not null,
+      tf_sec integer not null,
+      exchange text,
+      instrument_type text,
+      calendar text,
+      state text not null,
+      state_since timestamptz not null default now(),
+      last_received_ms bigint,
+      expected_interval_ms bigint,
+      threshold_ms bigint,
+      silence_ms bigint,
+      checked_at timestamptz not null default now(),
+      primary key (stream_id, symbol, tf_sec)
+    );
+  `);
+  await pool.query(`
+    create table if not exists stream_health (
+      id bigserial primary key,
+      stream_id text not null,
+      symbol text not null,
+      tf_sec integer not null,
+      from_state text,
+      to_state text not null,
+      last_received_ms bigint,
+      expected_interval_ms bigint,
+      threshold_ms bigint,
+      silence_ms bigint,
+      transitioned_at timestamptz not null default now()
+    );
+  `);
+  await ensureNotificationSchema(pool);
+  if (NOTIFY_TARGETS.length) await registerNotificationTargets(pool, NOTIFY_TARGETS);
+  await pool.query(`create index if not exists stream_health_stream_idx on stream_health (stream_id, symbol, tf_sec, id desc);`);
 }
 
-async function upsertRun(client, row) {
+function collapseRuns(rows) {
+  const runs = new Map();
+  for (const row of rows) {
+    const startedAtMs = row.t_subject_ms || row.t_received_ms;
+    const startedAtIso = row.t_subject_iso || isoFromMs(startedAtMs);
+    const current = runs.get(row.run_id);
+    if (!current) {
+      runs.set(row.run_id, {
+        run_id: row.run_id,
+        env: row.env,
+        deployment_id: row.deployment_id,
+        producer_id: row.producer_id,
+        timezone: row.timezone || "UTC",
+        started_at_ms: startedAtMs,
+        started_at_iso: startedAtIso,
+        first_cfg_sig_raw: row.cfg_sig_raw ?? null,
+        first_cfg_sig_sha256: row.cfg_sig_sha256 ?? null,
+        last_cfg_sig_raw: row.cfg_sig_raw ?? null,
+        last_cfg_sig_sha256: row.cfg_sig_sha256 ?? null,
+        created_at_ms: row.t_received_ms || Date.now(),
+      });
+      continue;
+    }
+    current.env = row.env;
+    current.deployment_id = row.deployment_id;
+    current.producer_id = row.producer_id;
+    current.timezone = row.timezone || "UTC";
+    if (startedAtMs < current.started_at_ms) {
+      current.started_at_ms = startedAtMs;
+      current.started_at_iso = startedAtIso;
+    }
+    current.last_cfg_sig_raw = row.cfg_sig_raw ?? current.last_cfg_sig_raw;
+    current.last_cfg_sig_sha256 = row.cfg_sig_sha256 ?? current.last_cfg_sig_sha256;
+  }
+  return [...runs.values()].sort((a, b) => (a.run_id < b.run_id ? -1 : a.run_id > b.run_id ? 1 : 0));
+}
+
+async function upsertRuns(client, rows) {
+  const runs = collapseRuns(rows);
+  if (!runs.length) return;
   await client.query(
     `
       insert into runs (
@@ -862,7 +1764,19 @@ async function upsertRun(client, row) {
         last_cfg_sig_raw, last_cfg_sig_sha256,
         created_at_ms, updated_at
       )
-      values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$8,$9,$10,now())
+      select
+        run_id, env, deployment_id, producer_id, timezone,
+        started_at_ms, started_at_iso,
+        first_cfg_sig_raw, first_cfg_sig_sha256,
+        last_cfg_sig_raw, last_cfg_sig_sha256,
+        created_at_ms, now()
+      from jsonb_to_recordset($1::jsonb) as r(
+        run_id text, env text, deployment_id text, producer_id text, timezone text,
+        started_at_ms bigint, started_at_iso text,
+        first_cfg_sig_raw text, first_cfg_sig_sha256 text,
+        last_cfg_sig_raw text, last_cfg_sig_sha256 text,
+        created_at_ms bigint
+      )
       on conflict (run_id) do update set
         env = excluded.env,
         deployment_id = excluded.deployment_id,
@@ -877,22 +1791,295 @@ async function upsertRun(client, row) {
         last_cfg_sig_sha256 = coalesce(excluded.last_cfg_sig_sha256, runs.last_cfg_sig_sha256),
         updated_at = now()
     `,
-    [
-      row.run_id,
-      row.env,
-      row.deployment_id,
-      row.producer_id,
-      row.timezone || "UTC",
-      row.t_subject_ms || row.t_received_ms,
-      row.t_subject_iso || isoFromMs(row.t_subject_ms || row.t_received_ms),
-      row.cfg_sig_raw,
-      row.cfg_sig_sha256,
-      row.t_received_ms || Date.now(),
-    ]
+    [JSON.stringify(runs)]
+  );
+}
+
+function unknownFieldCatalogRows(rows) {
+  const byKey = new Map();
+  for (const row of rows) {
+    if (!row.unknown_keys) continue;
+    const streamId = row.stream_id || "UNKNOWN";
+    for (const field of row.unknown_keys) {
+      const key = `${field}\u0000${streamId}`;
+      const entry = byKey.get(key) || {
+        field,
+        stream_id: streamId,
+        first_seen_ms: row.t_received_ms,
+        last_seen_ms: row.t_received_ms,
+        seen_count: 0,
+        sample_value: null,
+      };
+      entry.seen_count += 1;
+      entry.first_seen_ms = Math.min(entry.first_seen_ms, row.t_received_ms);
+      entry.last_seen_ms = Math.max(entry.last_seen_ms, row.t_received_ms);
+      const value = row.payload?.[field];
+      entry.sample_value = (typeof value === "string" ? value : stableStringify(value ?? null)).slice(0, UNKNOWN_FIELD_SAMPLE_MAX_CHARS);
+      byKey.set(key, entry);
+    }
+  }
+  return [...byKey.values()].sort((a, b) => a.field.localeCompare(b.field) || a.stream_id.localeCompare(b.stream_id));
+}
+
+async function upsertUnknownFields(client, rows) {
+  const catalog = unknownFieldCatalogRows(rows);
+  if (!catalog.length) return;
+  await client.query(
+    `
+      insert into unknown_fields (field, stream_id, first_seen_at, last_seen_at, seen_count, sample_value)
+      select field, stream_id, to_timestamp(first_seen_ms / 1000.0), to_timestamp(last_seen_ms / 1000.0), seen_count, sample_value
+      from jsonb_to_recordset($1::jsonb) as r(
+        field text, stream_id text, first_seen_ms bigint, last_seen_ms bigint, seen_count bigint, sample_value text
+      )
+      on conflict (field, stream_id) do update set
+        first_seen_at = least(unknown_fields.first_seen_at, excluded.first_seen_at),
+        last_seen_at = greatest(unknown_fields.last_seen_at, excluded.last_seen_at),
+        seen_count = unknown_fields.seen_count + excluded.seen_count,
+        sample_value = case
+          when excluded.last_seen_at >= unknown_fields.last_seen_at then excluded.sample_value
+          else unknown_fields.sample_value
+        end
+    `,
+    [JSON.stringify(catalog)]
   );
 }
 
+function mergeSeqRanges(ranges, seqs) {
+  const points = [...ranges.map((r) => [r.seq_start, r.seq_end]), ...seqs.map((seq) => [seq, seq])]
+    .sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of points) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+function seqHoles(merged, leadingFrom = null) {
+  const holes = [];
+  if (leadingFrom !== null && merged.length && merged[0][0] > leadingFrom) holes.push([leadingFrom, merged[0][0] - 1, "LEADING"]);
+  for (let i = 1; i < merged.length; i += 1) holes.push([merged[i - 1][1] + 1, merged[i][0] - 1, "INTERIOR"]);
+  return holes;
+}
+
+// Only the ranges touching the new seqs, plus their nearest neighbours, are read and rewritten.
+// Holes outside that window cannot change, so the gaps are reconciled against the window alone.
+async function trackSeqRanges(client, rows) {
+  const seqsByRun = new Map();
+  for (const row of rows) {
+    if (!SEQ_TRACKED_ROW_TYPES.has(row.row_type) || !isNonEmptyString(row.run_id)) continue;
+    if (row.payload?.seq === undefined || row.payload?.seq === null) continue;
+    if (!seqsByRun.has(row.run_id)) seqsByRun.set(row.run_id, []);
+    seqsByRun.get(row.run_id).push(Number(row.seq));
+  }
+
+  for (const runId of [...seqsByRun.keys()].sort()) {
+    const seqs = seqsByRun.get(runId);
+    const lo = Math.min(...seqs);
+    const hi = Math.max(...seqs);
+    await client.query(`select pg_advisory_xact_lock(hashtext('seq_ranges:' || $1))`, [runId]);
+    const nearby = await client.query(
+      `
+        (select seq_start::float8 as seq_start, seq_end::float8 as seq_end from run_seq_ranges
+         where run_id = $1 and seq_start < $2 order by seq_start desc limit 1)
+        union all
+        (select seq_start::float8, seq_end::float8 from run_seq_ranges
+         where run_id = $1 and seq_start >= $2 and seq_start <= $3 + 1)
+        union all
+        (select seq_start::float8, seq_end::float8 from run_seq_ranges
+         where run_id = $1 and seq_start > $3 + 1 order by seq_start asc limit 1)
+      `,
+      [runId, lo, hi]
+    );
+    const merged = mergeSeqRanges(nearby.rows, seqs);
+    const hasBelow = nearby.rows.some((r) => r.seq_start < lo);
+    const windowStart = hasBelow ? merged[0][0] : Math.min(SEQ_EXPECTED_START, merged[0][0]);
+    const windowEnd = merged[merged.length - 1][1];
+    const holes = seqHoles(merged, hasBelow ? null : SEQ_EXPECTED_START);
+
+    const rangeKey = (a, b) => `${a}:${b}`;
+    const before = new Set(nearby.rows.map((r) => rangeKey(r.seq_start, r.seq_end)));
+    const after = new Set(merged.map(([a, b]) => rangeKey(a, b)));
+    const removed = nearby.rows.filter((r) => !after.has(rangeKey(r.seq_start, r.seq_end))).map((r) => r.seq_start);
+    const added = merged.filter(([a, b]) => !before.has(rangeKey(a, b)));
+    if (removed.length) {
+      await client.query(`delete from run_seq_ranges where run_id = $1 and seq_start = any($2::bigint[])`, [runId, removed]);
+    }
+    if (added.length) {
+      await client.query(
+        `
+          insert into run_seq_ranges (run_id, seq_start, seq_end)
+          select $1, r[1], r[2]
+          from jsonb_to_recordset($2::jsonb) as x(r bigint[])
+        `,
+        [runId, JSON.stringify(added.map((r) => ({ r })))]
+      );
+    }
+
+    await client.query(
+      `
+        update seq_gaps set status = 'CLOSED', closed_at = now(), close_reason = 'resumed'
+        where run_id = $1 and status = 'OPEN' and kind = 'TRAILING' and first_missing_seq <= $2
+      `,
+      [runId, hi]
+    );
+    const open = await client.query(
+      `
+        select id, first_missing_seq::float8 as first_missing_seq, last_missing_seq::float8 as last_missing_seq, detected_at
+        from seq_gaps
+        where run_id = $1 and status = 'OPEN' and kind <> 'TRAILING'
+          and first_missing_seq <= $3 and last_missing_seq >= $2
+      `,
+      [runId, windowStart, windowEnd]
+    );
+    const holeKey = (a, b) => `${a}:${b}`;
+    const openByKey = new Map(open.rows.map((g) => [holeKey(g.first_missing_seq, g.last_missing_seq), g]));
+    const holeKeys = new Set(holes.map(([a, b]) => holeKey(a, b)));
+
+    const closing = open.rows.filter((g) => !holeKeys.has(holeKey(g.first_missing_seq, g.last_missing_seq)));
+    for (const gap of closing) {
+      const remaining = holes.some(([a, b]) => a <= gap.last_missing_seq && b >= gap.first_missing_seq);
+      await client.query(
+        `update seq_gaps set status = 'CLOSED', closed_at = now(), close_reason = $2 where id = $1`,
+        [gap.id, remaining ? "partially_filled" : "filled"]
+      );
+    }
+
+    const opening = holes
+      .filter(([a, b]) => !openByKey.has(holeKey(a, b)))
+      .map(([a, b, kind]) => {
+        const parent = closing.find((g) => g.first_missing_seq <= a && g.last_missing_seq >= b);
+        return {
+          run_id: runId,
+          kind,
+          first_missing_seq: a,
+          last_missing_seq: b,
+          detected_at: parent ? new Date(parent.detected_at).toISOString() : null,
+        };
+      });
+    if (opening.length) {
+      await client.query(
+        `
+          insert into seq_gaps (run_id, kind, first_missing_seq, last_missing_seq, detected_at)
+          select run_id, kind, first_missing_seq, last_missing_seq, coalesce(detected_at, now())
+          from jsonb_to_recordset($1::jsonb) as r(
+            run_id text, kind text, first_missing_seq bigint, last_missing_seq bigint, detected_at timestamptz
+          )
+        `,
+        [JSON.stringify(opening)]
+      );
+    }
+  }
+}
+
+// A stream that goes STALE leaves an open-ended gap after the last seq of its latest run; it closes
+// as "resumed" once that run delivers a higher seq.
+async function openTrailingSeqGaps(client, staleStreams) {
+  const runIds = new Set();
+  for (const t of staleStreams) {
+    if (!t.symbol) continue;
+    const latest = await client.query(
+      `
+        select run_id from raw_events
+        where symbol = $2 and tf_sec = $3 and coalesce(stream_id, 'UNKNOWN') = $1
+          and replay_generation = 0 and run_id is not null and row_type = any($4::text[])
+        order by t_subject_ms desc nulls last, id desc
+        limit 1
+      `,
+      [t.stream_id, t.symbol, t.tf_sec, [...SEQ_TRACKED_ROW_TYPES]]
+    );
+    if (latest.rows[0]) runIds.add(latest.rows[0].run_id);
+  }
+
+  for (const runId of [...runIds].sort()) {
+    await client.query(`select pg_advisory_xact_lock(hashtext('seq_ranges:' || $1))`, [runId]);
+    await client.query(
+      `
+        insert into seq_gaps (run_id, kind, first_missing_seq, last_missing_seq)
+        select $1, 'TRAILING', last.seq_end + 1, null
+        from (select seq_end from run_seq_ranges where run_id = $1 order by seq_start desc limit 1) as last
+        where not exists (
+          select 1 from seq_gaps where run_id = $1 and status = 'OPEN' and kind = 'TRAILING'
+        )
+      `,
+      [runId]
+    );
+  }
+}
+
+async function upsertRun(client, row) {
+  await upsertRuns(client, [row]);
+}
+
+function rawBodyKey(kid) {
+  const key = RAW_BODY_KEYRING.keys.get(kid);
+  if (!key) throw new Error(`raw body key "${kid}" is not configured`);
+  return key;
+}
+
+function wrapDataKey(dataKey, kid) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", rawBodyKey(kid), iv);
+  cipher.setAAD(Buffer.from(kid, "utf8"));
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return {
+    kid,
+    wrapped_key: wrapped.toString("base64"),
+    wrap_iv: iv.toString("base64"),
+    wrap_tag: cipher.getAuthTag().toString("base64"),
+  };
+}
+
+function unwrapDataKey(envelope) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", rawBodyKey(envelope.kid), Buffer.from(envelope.wrap_iv, "base64"));
+  decipher.setAAD(Buffer.from(envelope.kid, "utf8"));
+  decipher.setAuthTag(Buffer.from(envelope.wrap_tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.wrapped_key, "base64")), decipher.final()]);
+}
+
+function encryptRawBody(plaintext, requestId) {
+  const dataKey = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", dataKey, iv);
+  cipher.setAAD(Buffer.from(requestId, "utf8"));
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext ?? ""), "utf8"), cipher.final()]);
+  return {
+    v: 1,
+    alg: "A256GCM",
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ct: ciphertext.toString("base64"),
+    ...wrapDataKey(dataKey, RAW_BODY_KEYRING.active),
+  };
+}
+
+function decryptRawBody(envelope, requestId) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", unwrapDataKey(envelope), Buffer.from(envelope.iv, "base64"));
+  decipher.setAAD(Buffer.from(requestId, "utf8"));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.ct, "base64")), decipher.final()]).toString("utf8");
+}
+
+function rewrapRawBody(envelope) {
+  return { ...envelope, ...wrapDataKey(unwrapDataKey(envelope), RAW_BODY_KEYRING.active) };
+}
+
+function storedRawBody(row) {
+  if (RAW_BODY_POLICY === "plaintext") return { raw_body: row.raw_body, raw_body_enc: null, raw_body_key_id: null };
+  if (RAW_BODY_POLICY === "drop") return { raw_body: null, raw_body_enc: null, raw_body_key_id: null };
+  const envelope = encryptRawBody(row.raw_body, row.request_id);
+  return { raw_body: null, raw_body_enc: envelope, raw_body_key_id: envelope.kid };
+}
+
+function readableRawBody(row) {
+  if (row.raw_body !== null && row.raw_body !== undefined) return row.raw_body;
+  if (row.raw_body_enc) return decryptRawBody(row.raw_body_enc, row.request_id);
+  return null;
+}
+
 async function insertRawRequest(client, row) {
+  const stored = storedRawBody(row);
   const rs = await client.query(
     `
       insert into raw_requests (
@@ -901,9 +2088,14 @@ async function insertRawRequest(client, row) {
         auth_ok, parse_ok,
         payload_sha256, payload_size_bytes,
         bundle_version, bundle_type, sent_at_ms, record_count,
-        raw_body, raw_body_redacted, notes
+        raw_body, raw_body_redacted, notes,
+        profile_name, reject_reason,
+        hash_key_version, client_ip_source, proxy_chain_hashes, allow_rule,
+        body_decoder, content_encoding, compressed_size_bytes, decompressed_size_bytes, received_at,
+        raw_body_enc, raw_body_key_id, raw_body_policy,
+        source_ip_hash_prev, user_agent_hash_prev, hash_prev_key_version, redaction_counts
       )
-      values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
+      values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22::jsonb,$23,$24,$25,$26,$27,coalesce($28::timestamptz, now()),$29::jsonb,$30,$31,$32,$33,$34,$35::jsonb)
       on conflict (request_id) do update set
         auth_ok = excluded.auth_ok,
         parse_ok = excluded.parse_ok,
@@ -914,8 +2106,25 @@ async function insertRawRequest(client, row) {
         sent_at_ms = excluded.sent_at_ms,
         record_count = excluded.record_count,
         raw_body = excluded.raw_body,
+        raw_body_enc = excluded.raw_body_enc,
+        raw_body_key_id = excluded.raw_body_key_id,
+        raw_body_policy = excluded.raw_body_policy,
         raw_body_redacted = excluded.raw_body_redacted,
-        notes = excluded.notes
+        notes = excluded.notes,
+        profile_name = excluded.profile_name,
+        reject_reason = excluded.reject_reason,
+        hash_key_version = excluded.hash_key_version,
+        client_ip_source = excluded.client_ip_source,
+        proxy_chain_hashes = excluded.proxy_chain_hashes,
+        source_ip_hash_prev = excluded.source_ip_hash_prev,
+        user_agent_hash_prev = excluded.user_agent_hash_prev,
+        hash_prev_key_version = excluded.hash_prev_key_version,
+        redaction_counts = excluded.redaction_counts,
+        allow_rule = excluded.allow_rule,
+        body_decoder = excluded.body_decoder,
+        content_encoding = excluded.content_encoding,
+        compressed_size_bytes = excluded.compressed_size_bytes,
+        decompressed_size_bytes = excluded.decompressed_size_bytes
       returning id
     `,
     [
@@ -933,119 +2142,165 @@ async function insertRawRequest(client, row) {
       row.bundle_type,
       row.sent_at_ms,
       row.record_count,
-      row.raw_body,
+      stored.raw_body,
       row.raw_body_redacted,
       row.notes,
+      row.profile_name,
+      row.reject_reason,
+      row.hash_key_version ?? null,
+      row.client_ip_source,
+      JSON.stringify(row.proxy_chain_hashes || []),
+      row.allow_rule,
+      row.body_decoder,
+      row.content_encoding ?? null,
+      row.compressed_size_bytes ?? null,
+      row.decompressed_size_bytes ?? null,
+      row.received_at ?? null,
+      stored.raw_body_enc ? JSON.stringify(stored.raw_body_enc) : null,
+      stored.raw_body_key_id,
+      RAW_BODY_POLICY,
+      row.source_ip_hash_prev ?? null,
+      row.user_agent_hash_prev ?? null,
+      row.hash_prev_key_version ?? null,
+      row.redaction_counts ? JSON.stringify(row.redaction_counts) : null,
     ]
   );
   return rs.rows[0].id;
 }
 
+const RAW_EVENT_COLUMNS = [
+  ["raw_request_id", "bigint"], ["path", "text"], ["payload", "jsonb"], ["request_id", "text"], ["record_index", "integer"],
+  ["row_type", "text"], ["uid", "text"], ["parent_uid", "text"],
+  ["run_id", "text"], ["cfg_sig", "text"], ["cfg_sig_raw", "text"], ["cfg_sig_full", "text"], ["cfg_sig_sha256", "text"],
+  ["schema_version", "integer"], ["schema_registry_hash", "text"],
+  ["producer", "text"], ["producer_id", "text"], ["producer_version", "text"], ["event_type", "text"], ["stream_id", "text"],
+  ["env", "text"], ["deployment_id", "text"],
+  ["exchange", "text"], ["symbol", "text"], ["symbol_native", "text"], ["source_family", "text"], ["symbol_role", "text"],
+  ["asset_class", "text"], ["research_cluster", "text"],
+  ["underlying_code", "text"], ["underlying_name", "text"], ["underlying_group", "text"], ["quote_code", "text"],
+  ["tickerid", "text"], ["instrument_type", "text"], ["tf", "text"], ["tf_sec", "integer"], ["seq", "bigint"],
+  ["bundle_version", "integer"], ["bundle_type", "text"], ["bundle_sent_at_ms", "bigint"],
+  ["t_subject_ms", "bigint"], ["t_event_ms", "bigint"], ["t_received_ms", "bigint"], ["latency_ms", "bigint"],
+  ["t_subject_iso", "text"], ["t_event_iso", "text"], ["timezone", "text"],
+  ["day_id_utc", "text"], ["day_id_local", "text"], ["session_id", "text"],
+  ["auth_ok", "boolean"], ["parse_ok", "boolean"], ["schema_match_ok", "boolean"],
+  ["unknown_keys_count", "integer"], ["missing_required_count", "integer"],
+  ["payload_sha256", "text"], ["payload_size_bytes", "integer"], ["ip_hash", "text"], ["user_agent_hash", "text"],
+  ["hash_key_version", "text"], ["script_sha", "text"], ["notes", "text"],
+  ["payload_raw_redacted", "jsonb"], ["profile_name", "text"],
+  ["duplicate_of_raw_event_id", "bigint"], ["duplicate_key", "text"], ["duplicate_payload_identical", "boolean"],
+  ["placeholder_fields", "text[]"], ["schema_check_source", "text"], ["schema_document_sha256", "text"],
+  ["schema_violations", "text[]"],
+  ["replay_generation", "integer"], ["replay_run_id", "bigint"], ["received_at", "timestamptz"],
+  ["unknown_keys", "text[]"],
+];
+
+function rawEventValues(row) {
+  const values = {};
+  for (const [col] of RAW_EVENT_COLUMNS) values[col] = row[col] ?? null;
+  values.payload_raw_redacted = row.payload ?? null;
+  values.replay_generation = row.replay_generation ?? 0;
+  values.received_at = new Date(row.t_received_ms ?? Date.now()).toISOString();
+  return values;
+}
+
+async function insertRawEvents(client, rows) {
+  if (!rows.length) return new Map();
+  const columns = RAW_EVENT_COLUMNS.map(([col]) => col).join(", ");
+  const recordset = RAW_EVENT_COLUMNS.map(([col, type]) => `${col} ${type}`).join(", ");
+  const rs = await client.query(
+    `
+      insert into raw_events (${columns})
+      select ${columns}
+      from jsonb_to_recordset($1::jsonb) as r(${recordset})
+      order by record_index
+      on conflict do nothing
+      returning id, record_index
+    `,
+    [JSON.stringify(rows.map(rawEventValues))]
+  );
+  return new Map(rs.rows.map((r) => [r.record_index, r.id]));
+}
+
 async function insertRawEvent(client, row) {
-  await client.query(
+  const ids = await insertRawEvents(client, [row]);
+  return ids.get(row.record_index) ?? null;
+}
+
+async function findConflictingRawEvents(client, rows) {
+  const keys = rows.map((row) => ({
+    record_index: row.record_index,
+    uid: row.uid,
+    run_id: row.run_id,
+    seq: row.seq,
+    row_type: row.row_type,
+    replay_generation: row.replay_generation ?? 0,
+  }));
+  const rs = await client.query(
     `
-      insert into raw_events (
-        raw_request_id, path, payload, request_id, record_index,
-        row_type, uid, parent_uid,
-        run_id, cfg_sig, cfg_sig_raw, cfg_sig_full, cfg_sig_sha256,
-        schema_version, schema_registry_hash,
-        producer, producer_id, producer_version, event_type, stream_id,
-        env, deployment_id,
-        exchange, symbol, symbol_native, source_family, symbol_role, asset_class, research_cluster,
-        underlying_code, underlying_name, underlying_group, quote_code,
-        tickerid, instrument_type, tf, tf_sec, seq,
-        bundle_version, bundle_type, bundle_sent_at_ms,
-        t_subject_ms, t_event_ms, t_received_ms, latency_ms,
-        t_subject_iso, t_event_iso, timezone, day_id_utc, day_id_local, session_id,
-        auth_ok, parse_ok, schema_match_ok, unknown_keys_count, missing_required_count,
-        payload_sha256, payload_size_bytes, ip_hash, user_agent_hash, script_sha, notes,
-        payload_raw_redacted
+      select distinct on (k.record_index)
+        k.record_index,
+        e.id,
+        e.payload_sha256,
+        case when e.uid = k.uid then 'uid' else 'run_seq' end as duplicate_key
+      from jsonb_to_recordset($1::jsonb) as k(
+        record_index integer, uid text, run_id text, seq bigint, row_type text, replay_generation integer
       )
-      values (
-        $1,$2,$3,$4,$5,
-        $6,$7,$8,
-        $9,$10,$11,$12,$13,
-        $14,$15,
-        $16,$17,$18,$19,$20,
-        $21,$22,
-        $23,$24,$25,$26,$27,$28,$29,
-        $30,$31,$32,$33,
-        $34,$35,$36,$37,$38,
-        $39,$40,$41,
-        $42,$43,$44,$45,
-        $46,$47,$48,$49,$50,$51,
-        $52,$53,$54,$55,$56,
-        $57,$58,$59,$60,$61,$62,
-        $63
-      )
-      on conflict do nothing
+      join raw_events e
+        on e.replay_generation = k.replay_generation
+        and (
+          e.uid = k.uid
+          or (
+            k.row_type in ('CONFIG', 'BAR', 'EVAL')
+            and e.run_id = k.run_id and e.seq = k.seq
+            and e.row_type in ('CONFIG', 'BAR', 'EVAL')
+          )
+        )
+      order by k.record_index, (e.uid = k.uid) desc, e.id asc
     `,
-    [
-      row.raw_request_id,
-      row.path,
-      row.payload,
-      row.request_id,
-      row.record_index,
-      row.row_type,
-      row.uid,
-      row.parent_uid,
-      row.run_id,
-      row.cfg_sig,
-      row.cfg_sig_raw,
-      row.cfg_sig_full,
-      row.cfg_sig_sha256,
-      row.schema_version,
-      row.schema_registry_hash,
-      row.producer,
-      row.producer_id,
-      row.producer_version,
-      row.event_type,
-      row.stream_id,
-      row.env,
-      row.deployment_id,
-      row.exchange,
-      row.symbol,
-      row.symbol_native,
-      row.source_family,
-      row.symbol_role,
-      row.asset_class,
-      row.research_cluster,
-      row.underlying_code,
-      row.underlying_name,
-      row.underlying_group,
-      row.quote_code,
-      row.tickerid,
-      row.instrument_type,
-      row.tf,
-      row.tf_sec,
-      row.seq,
-      row.bundle_version,
-      row.bundle_type,
-      row.bundle_sent_at_ms,
-      row.t_subject_ms,
-      row.t_event_ms,
-      row.t_received_ms,
-      row.latency_ms,
-      row.t_subject_iso,
-      row.t_event_iso,
-      row.timezone,
-      row.day_id_utc,
-      row.day_id_local,
-      row.session_id,
-      row.auth_ok,
-      row.parse_ok,
-      row.schema_match_ok,
-      row.unknown_keys_count,
-      row.missing_required_count,
-      row.payload_sha256,
-      row.payload_size_bytes,
-      row.ip_hash,
-      row.user_agent_hash,
-      row.script_sha,
-      row.notes,
-      row.payload,
-    ]
+    [JSON.stringify(keys)]
   );
+  return new Map(rs.rows.map((r) => [r.record_index, r]));
+}
+
+function buildDuplicateRecord(row, original) {
+  const identical = original.payload_sha256 === row.payload_sha256;
+  return {
+    ...row,
+    uid: `DUPLICATE|${row.request_id}|${row.record_index}`,
+    row_type: "DUPLICATE",
+    schema_match_ok: false,
+    duplicate_of_raw_event_id: original.id,
+    duplicate_key: original.duplicate_key,
+    duplicate_payload_identical: identical,
+    notes: `duplicate_of:${original.id}:${original.duplicate_key}:${identical ? "identical" : "different"}`,
+  };
+}
+
+async function insertLogicalRecords(client, rows) {
+  const ids = await insertRawEvents(client, rows);
+  const skipped = rows.filter((row) => !ids.has(row.record_index));
+  const originals = skipped.length ? await findConflictingRawEvents(client, skipped) : new Map();
+
+  const duplicates = skipped.map((row) => {
+    const original = originals.get(row.record_index);
+    if (!original) throw new Error(`raw_event insert for ${row.uid} was skipped without a conflicting row`);
+    return buildDuplicateRecord(row, original);
+  });
+  const duplicateIds = await insertRawEvents(client, duplicates);
+  const duplicatesByIndex = new Map(duplicates.map((dup) => [dup.record_index, dup]));
+
+  return rows.map((row) => {
+    if (ids.has(row.record_index)) {
+      return { outcome: "accepted", raw_event_id: ids.get(row.record_index), duplicate_of_raw_event_id: null };
+    }
+    const duplicate = duplicatesByIndex.get(row.record_index);
+    return {
+      outcome: duplicate.duplicate_payload_identical ? "duplicate" : "conflict",
+      raw_event_id: duplicateIds.get(row.record_index) ?? null,
+      duplicate_of_raw_event_id: duplicate.duplicate_of_raw_event_id,
+    };
+  });
 }
 
 function requestEnvelopeFromBody(body) {
@@ -1069,33 +2324,548 @@ function requestEnvelopeFromBody(body) {
   };
 }
 
+function requestEnvelopeFromDocuments(documents) {
+  if (!documents || documents.length === 0) return requestEnvelopeFromBody(null);
+  if (documents.length === 1) return requestEnvelopeFromBody(documents[0]);
+  const envelopes = documents.map((doc) => requestEnvelopeFromBody(doc));
+  return {
+    bundle_version: null,
+    bundle_type: null,
+    sent_at_ms: null,
+    record_count: envelopes.reduce((sum, env) => sum + env.record_count, 0),
+  };
+}
+
 async function persistFailure(client, failure) {
   await upsertRun(client, failure);
   await insertRawEvent(client, failure);
 }
 
-async function ingestRequest(req, res) {
-  const requestId = makeRequestId();
-  const tReceivedMs = Date.now();
-  const path = req.path;
-  const method = req.method;
-  const clientIp = getClientIp(req);
-  const ipHash = sha256Hex(clientIp || "");
-  const userAgentHash = sha256Hex(getUserAgent(req) || "");
-  const authOk = isTrustedSource(clientIp);
-  const rawBody = typeof req.body === "string" ? req.body : "";
-  const contentType = (req.headers["content-type"] || "").toString();
-  const parsed = parseJsonBody(rawBody);
+function ingressRejection({ parsed, queryString, rawBodyRedacted, authOk, routeCheck, logicalRecordCount }) {
+  if (!parsed.ok) {
+    return {
+      row_type: "ERROR",
+      reason: parsed.error,
+      status: 400,
+      error: parsed.error,
+      raw_payload: parsed.raw_preview,
+    };
+  }
+
+  if (queryString) {
+    const reason = /(^|[?&])(secret|webhook_secret|webhooksecret|token|authorization|api_key|apikey|password|auth|key)=/i.test("?" + queryString)
+      ? "secret_in_query_forbidden"
+      : "query_string_forbidden";
+    return {
+      row_type: "INGRESS_REJECT",
+      reason,
+      status: 400,
+      error: reason,
+      raw_payload: "[REDACTED_AT_INGRESS]",
+    };
+  }
+
+  if (/\"secret\"\s*:|\"webhook_secret\"\s*:|\"webhooksecret\"\s*:|\"token\"\s*:|\"authorization\"\s*:/i.test(rawBodyRedacted)) {
+    return {
+      row_type: "ERROR",
+      reason: "secret_in_body_forbidden",
+      status: 400,
+      error: "secret_in_body_forbidden",
+      raw_payload: "[REDACTED_AT_INGRESS]",
+    };
+  }
+
+  if (!authOk) {
+    return {
+      row_type: "INGRESS_REJECT",
+      reason: "source_not_allowed",
+      status: 403,
+      error: "source_not_allowed",
+      raw_payload: "[REDACTED_AT_INGRESS]",
+    };
+  }
+
+  if (routeCheck.reason) {
+    return {
+      row_type: "INGRESS_REJECT",
+      reason: routeCheck.reason,
+      status: routeCheck.reason === "route_key_required" ? 403 : 404,
+      error: routeCheck.reason === "route_key_required" ? "route_key_required" : "route_not_found",
+      raw_payload: "[REDACTED_AT_INGRESS]",
+    };
+  }
+
+  if (logicalRecordCount === 0) {
+    return {
+      row_type: "ERROR",
+      reason: "no_logical_records_found",
+      status: 400,
+      error: "no_logical_records_found",
+      raw_payload: parsed.documents.length === 1 ? parsed.documents[0] : parsed.documents,
+    };
+  }
+
+  return null;
+}
+
+async function checkRouteKey(client, routeKeySha256) {
+  if (routeKeySha256 == null) {
+    return { profile: null, reason: TV_REQUIRE_ROUTE_KEY ? "route_key_required" : null };
+  }
+  return findIngestProfile(client, routeKeySha256);
+}
+
+const spool = {
+  active: null,
+  pending: new Map(),
+  segments: new Map(),
+  inFlight: new Set(),
+  draining: false,
+  lastDrainError: null,
+  lastDrainAt: null,
+  databaseDownSince: null,
+};
+
+let schemaReady = false;
+
+function openSpoolSegment() {
+  const file = path.join(SPOOL_DIR, `segment-${Date.now()}-${process.pid}.ndjson`);
+  spool.active = { file, fd: fs.openSync(file, "a", 0o600), bytes: 0 };
+  spool.segments.set(file, new Set());
+}
+
+function releaseActiveSpoolSegment() {
+  const previous = spool.active;
+  if (!previous) return;
+  fs.closeSync(previous.fd);
+  spool.active = null;
+  closeSpoolSegment(previous.file);
+}
+
+function closeSpoolSegment(file) {
+  if (spool.active?.file === file) return;
+  const ids = spool.segments.get(file);
+  if (ids && ids.size === 0) {
+    fs.rmSync(file, { force: true });
+    spool.segments.delete(file);
+  }
+}
+
+function rotateSpoolSegment() {
+  releaseActiveSpoolSegment();
+  openSpoolSegment();
+}
+
+function loadSpool() {
+  fs.mkdirSync(SPOOL_DIR, { recursive: true, mode: 0o700 });
+  const files = fs.readdirSync(SPOOL_DIR).filter((f) => f.endsWith(".ndjson")).sort();
+  for (const name of files) {
+    const file = path.join(SPOOL_DIR, name);
+    fs.chmodSync(file, 0o600);
+    const buf = fs.readFileSync(file);
+    const ids = new Set();
+    spool.segments.set(file, ids);
+
+    let offset = 0;
+    while (offset < buf.length) {
+      let end = buf.indexOf(10, offset);
+      if (end === -1) end = buf.length;
+      let entry = null;
+      try {
+        entry = JSON.parse(buf.subarray(offset, end).toString("utf8"));
+      } catch {
+        entry = null;
+      }
+      if (entry?.type === "request" && isNonEmptyString(entry.request_id)) {
+        spool.pending.set(entry.request_id, {
+          file,
+          offset,
+          length: end - offset,
+          t_received_ms: entry.t_received_ms,
+          key_id: entry.raw_body_enc?.kid ?? null,
+        });
+        ids.add(entry.request_id);
+      } else if (entry?.type === "ack") {
+        spool.pending.delete(entry.request_id);
+        ids.delete(entry.request_id);
+      }
+      offset = end + 1;
+    }
+    closeSpoolSegment(file);
+  }
+  const retiredKeys = new Map();
+  for (const entry of spool.pending.values()) {
+    if (entry.key_id && !RAW_BODY_KEYRING.keys.has(entry.key_id)) retiredKeys.set(entry.key_id, (retiredKeys.get(entry.key_id) || 0) + 1);
+  }
+  if (retiredKeys.size) {
+    const held = [...retiredKeys].map(([kid, n]) => `"${kid}" (${n} request(s))`).join(", ");
+    console.error(`FATAL: the spool holds undrained requests wrapped with raw body keys that are no longer configured: ${held}; keep those keys in RAW_BODY_KEYS until the spool drains`);
+    process.exit(1);
+  }
+}
+
+function appendSpoolLine(file, entry) {
+  const buf = Buffer.from(`${JSON.stringify(entry)}\n`, "utf8");
+  if (spool.active?.file !== file) {
+    fs.appendFileSync(file, buf);
+    return null;
+  }
+  const offset = spool.active.bytes;
+  fs.writeSync(spool.active.fd, buf);
+  spool.active.bytes += buf.length;
+  return { file, offset, length: buf.length - 1 };
+}
+
+function spoolRequest(capture) {
+  try {
+    if (!spool.active) openSpoolSegment();
+    else if (spool.active.bytes >= SPOOL_SEGMENT_MAX_BYTES) rotateSpoolSegment();
+    const line = RAW_BODY_KEYRING.active
+      ? { type: "request", ...capture, raw_body: undefined, raw_body_enc: encryptRawBody(capture.raw_body, capture.request_id) }
+      : { type: "request", ...capture };
+    const loc = appendSpoolLine(spool.active.file, line);
+    fs.fsyncSync(spool.active.fd);
+    spool.pending.set(capture.request_id, { ...loc, t_received_ms: capture.t_received_ms });
+    spool.segments.get(loc.file).add(capture.request_id);
+    return true;
+  } catch (e) {
+    console.error("spool append failed:", e);
+    return false;
+  }
+}
+
+function ackSpool(requestId) {
+  const entry = spool.pending.get(requestId);
+  if (!entry) return;
+  try {
+    appendSpoolLine(entry.file, { type: "ack", request_id: requestId });
+  } catch (e) {
+    console.error("spool ack failed:", e);
+    return;
+  }
+  spool.pending.delete(requestId);
+  spool.segments.get(entry.file)?.delete(requestId);
+  closeSpoolSegment(entry.file);
+  // Once nothing is pending, no spooled body needs to stay on disk.
+  if (spool.pending.size === 0) releaseActiveSpoolSegment();
+}
+
+function readSpoolEntry(entry) {
+  const fd = fs.openSync(entry.file, "r");
+  try {
+    const buf = Buffer.alloc(entry.length);
+    fs.readSync(fd, buf, 0, entry.length, entry.offset);
+    const capture = JSON.parse(buf.toString("utf8"));
+    if (capture.raw_body_enc) {
+      capture.raw_body = decryptRawBody(capture.raw_body_enc, capture.request_id);
+      delete capture.raw_body_enc;
+    }
+    return capture;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function spoolStats() {
+  let oldest = null;
+  for (const entry of spool.pending.values()) {
+    if (oldest === null || entry.t_received_ms < oldest) oldest = entry.t_received_ms;
+  }
+  return {
+    depth: spool.pending.size,
+    oldest_received_at: oldest === null ? null : new Date(oldest).toISOString(),
+    oldest_age_ms: oldest === null ? 0 : Date.now() - oldest,
+    segments: spool.segments.size,
+    in_flight: spool.inFlight.size,
+    last_drain_at: spool.lastDrainAt,
+    last_drain_error: spool.lastDrainError,
+    database_down_since: spool.databaseDownSince ? new Date(spool.databaseDownSince).toISOString() : null,
+  };
+}
+
+function noteDatabaseRecovered() {
+  if (spool.databaseDownSince === null) return;
+  const downMs = Date.now() - spool.databaseDownSince;
+  spool.databaseDownSince = null;
+  notifyBestEffort({
+    kind: "database_outage",
+    severity: "error",
+    dedup_key: "database_outage",
+    summary: `database was unavailable for ${Math.round(downMs / 1000)}s; ingest fell back to the spool`,
+    details: { down_ms: downMs, spool: spoolStats() },
+  });
+}
+
+async function drainSpool() {
+  if (spool.draining) return;
+  if (schemaReady && spool.pending.size === 0) {
+    noteDatabaseRecovered();
+    return;
+  }
+  spool.draining = true;
+  try {
+    if (!schemaReady) {
+      await ensureSchema();
+      schemaReady = true;
+    }
+    for (const [requestId, entry] of [...spool.pending.entries()]) {
+      if (spool.inFlight.has(requestId)) continue;
+      spool.inFlight.add(requestId);
+      try {
+        const seen = await pool.query("select 1 from raw_requests where request_id = $1", [requestId]);
+        if (seen.rowCount === 0) {
+          const result = await ingestCapture(readSpoolEntry(entry));
+          if (!result.persisted) throw new Error(`spooled request ${requestId} was not persisted`);
+        }
+        ackSpool(requestId);
+      } finally {
+        spool.inFlight.delete(requestId);
+      }
+    }
+    spool.lastDrainError = null;
+    noteDatabaseRecovered();
+  } catch (e) {
+    const message = e?.message || String(e);
+    if (message !== spool.lastDrainError) console.error("spool drain stopped:", message);
+    spool.lastDrainError = message;
+    spool.databaseDownSince ??= Date.now();
+  } finally {
+    spool.lastDrainAt = new Date().toISOString();
+    spool.draining = false;
+  }
+}
+
+function enqueueNotification(db, notification) {
+  return enqueueOutboxNotification(db, { source: "receiver", dedupWindowSec: NOTIFY_DEDUP_WINDOW_SEC }, notification);
+}
+
+function notifyBestEffort(notification) {
+  enqueueNotification(pool, notification).catch((e) => {
+    console.error(`notification enqueue failed (${notification.kind}):`, e?.message || String(e));
+  });
+}
+
+const rejectSpike = {
+  timestamps: [],
+};
+
+function noteIngressReject(path, reason) {
+  const nowMs = Date.now();
+  rejectSpike.timestamps.push(nowMs);
+  while (rejectSpike.timestamps.length && rejectSpike.timestamps[0] < nowMs - NOTIFY_REJECT_SPIKE_WINDOW_SEC * 1000) {
+    rejectSpike.timestamps.shift();
+  }
+  if (rejectSpike.timestamps.length < NOTIFY_REJECT_SPIKE_THRESHOLD) return;
+  notifyBestEffort({
+    kind: "ingress_reject_spike",
+    severity: "warning",
+    dedup_key: "ingress_reject_spike",
+    summary: `${rejectSpike.timestamps.length} INGRESS_REJECT records in the last ${NOTIFY_REJECT_SPIKE_WINDOW_SEC}s`,
+    details: { count: rejectSpike.timestamps.length, window_sec: NOTIFY_REJECT_SPIKE_WINDOW_SEC, last_path: path, last_reason: reason },
+  });
+}
+
+const notifier = {
+  timer: null,
+  running: false,
+  lastRunAt: null,
+  lastError: null,
+};
+
+function notificationBackoffMs(attempts) {
+  const base = Math.min(NOTIFY_BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), NOTIFY_BACKOFF_MAX_MS);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+async function deliverNotification(row) {
+  const target = NOTIFY_TARGETS.find((t) => t.id === row.target);
+  let statusCode = null;
+  let error = null;
+  let retryable = true;
+
+  if (!target) {
+    error = "target_not_configured";
+    retryable = false;
+  } else {
+    try {
+      const res = await fetch(target.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "x-notification-id": String(row.id),
+          "x-notification-attempt": String(row.attempts),
+        },
+        body: JSON.stringify({
+          id: String(row.id),
+          source: row.source,
+          kind: row.kind,
+          severity: row.severity,
+          summary: row.summary,
+          details: row.details,
+          dedup_key: row.dedup_key,
+          duplicate_count: row.duplicate_count,
+          created_at: new Date(row.created_at).toISOString(),
+          last_seen_at: new Date(row.last_seen_at).toISOString(),
+        }),
+        signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+      });
+      statusCode = res.status;
+      await res.arrayBuffer().catch(() => {});
+      if (!res.ok) {
+        error = `http_${res.status}`;
+        retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+      }
+    } catch (e) {
+      error = e?.name === "TimeoutError" ? "timeout" : (e?.cause?.code || e?.message || String(e));
+    }
+  }
+
+  let status = "DELIVERED";
+  if (error) status = !retryable || row.attempts >= NOTIFY_MAX_ATTEMPTS ? "DEAD" : "PENDING";
+  await pool.query(
+    `
+      update notification_outbox
+      set status = $2,
+          last_error = $3,
+          last_status_code = $4,
+          locked_until = null,
+          next_attempt_at = now() + make_interval(secs => $5::float8 / 1000),
+          delivered_at = case when $2 = 'DELIVERED' then now() else delivered_at end
+      where id = $1
+    `,
+    [row.id, status, error, statusCode, status === "PENDING" ? notificationBackoffMs(row.attempts) : 0]
+  );
+  incMetric("tv_receiver_notifications_total", { status: status === "PENDING" ? "retry" : status.toLowerCase() });
+  if (status === "DEAD") {
+    console.error(`notification ${row.id} (${row.kind}) dead after ${row.attempts} attempt(s) to ${target?.origin ?? row.target}: ${error}`);
+  }
+  return status;
+}
+
+async function dispatchNotifications() {
+  if (notifier.running) return { claimed: 0 };
+  notifier.running = true;
+  try {
+    const retired = await pool.query(
+      `
+        update notification_outbox
+        set status = 'DEAD', last_error = 'target_not_configured', locked_until = null
+        where (status = 'PENDING' or (status = 'SENDING' and locked_until < now()))
+          and target not in (select id from notification_targets where active)
+      `
+    );
+    incMetric("tv_receiver_notifications_total", { status: "dead" }, retired.rowCount);
+
+    const claimed = await pool.query(
+      `
+        update notification_outbox
+        set status = 'SENDING',
+            attempts = attempts + 1,
+            locked_until = now() + make_interval(secs => $2)
+        where id in (
+          select id
+          from notification_outbox
+          where target = any($3::text[])
+            and ((status = 'PENDING' and next_attempt_at <= now())
+              or (status = 'SENDING' and locked_until < now()))
+          order by id asc
+          limit $1
+          for update skip locked
+        )
+        returning *
+      `,
+      [NOTIFY_BATCH_SIZE, Math.ceil(NOTIFY_TIMEOUT_MS / 1000) + 30, NOTIFY_TARGETS.map((t) => t.id)]
+    );
+    for (const row of claimed.rows.sort((a, b) => Number(a.id) - Number(b.id))) await deliverNotification(row);
+    notifier.lastRunAt = Date.now();
+    notifier.lastError = null;
+    return { claimed: claimed.rowCount };
+  } catch (e) {
+    const message = e?.message || String(e);
+    if (notifier.lastError !== message) console.error("notification dispatch failed:", message);
+    notifier.lastError = message;
+    return { claimed: 0, error: message };
+  } finally {
+    notifier.running = false;
+  }
+}
+
+function keyedHash(value, version) {
+  if (version === UNKEYED_HASH_VERSION) return sha256Hex(value);
+  return crypto.createHmac("sha256", HASH_PEPPERS.peppers.get(version)).update(String(value ?? ""), "utf8").digest("hex");
+}
+
+function identityHashes(clientIp, userAgent, chain = []) {
+  const active = HASH_PEPPERS.active || UNKEYED_HASH_VERSION;
+  const previous = HASH_PEPPERS.previous;
+  return {
+    ip_hash: keyedHash(clientIp || "", active),
+    user_agent_hash: keyedHash(userAgent || "", active),
+    hash_key_version: active,
+    ip_hash_prev: previous ? keyedHash(clientIp || "", previous) : null,
+    user_agent_hash_prev: previous ? keyedHash(userAgent || "", previous) : null,
+    hash_prev_key_version: previous,
+    proxy_chain_hashes: chain.map((hop) => keyedHash(hop, active)),
+  };
+}
+
+function captureIdentityHashes(capture) {
+  if (capture.hash_key_version) return capture;
+  return {
+    ...identityHashes(capture.client_ip, null, capture.proxy_chain || []),
+    user_agent_hash: null,
+    user_agent_hash_prev: null,
+  };
+}
+
+function captureRequest(req) {
+  const source = resolveClientAddress(req);
+  const routeKey = req.params?.routeKey ?? null;
   const originalUrl = (req.originalUrl || "").toString();
-  const queryString = originalUrl.includes("?") ? originalUrl.slice(originalUrl.indexOf("?") + 1) : "";
+  return {
+    request_id: makeRequestId(),
+    t_received_ms: Date.now(),
+    path: ingressPath(req),
+    method: req.method,
+    route_key_sha256: routeKey == null ? null : sha256Hex(String(routeKey)),
+    client_ip_source: source.source,
+    allow_rule: matchAllowRule(source.ip),
+    ...identityHashes(source.ip, getUserAgent(req), source.chain),
+    content_type: (req.headers["content-type"] || "").toString(),
+    query_string: originalUrl.includes("?") ? originalUrl.slice(originalUrl.indexOf("?") + 1) : "",
+    raw_body: typeof req.body === "string" ? req.body : "",
+    content_encoding: req.bodyInfo?.content_encoding ?? null,
+    compressed_size_bytes: req.bodyInfo?.compressed_size_bytes ?? null,
+    decompressed_size_bytes: req.bodyInfo?.decompressed_size_bytes ?? null,
+  };
+}
+
+async function ingestCapture(capture) {
+  const requestId = capture.request_id;
+  const tReceivedMs = capture.t_received_ms;
+  const path = capture.path;
+  const hashes = captureIdentityHashes(capture);
+  const ipHash = hashes.ip_hash;
+  const userAgentHash = hashes.user_agent_hash;
+  const allowRule = capture.allow_rule;
+  const authOk = allowRule !== null;
+  const rawBody = capture.raw_body;
+  const contentType = capture.content_type;
+  const parsed = decodeBody(rawBody, contentType);
+  const queryString = capture.query_string;
 
-  const parsedBody = parsed.ok ? parsed.value : null;
-  const envelope = requestEnvelopeFromBody(parsedBody);
-  const rawBodyRedacted = parsed.ok ? stableStringify(redactDeep(parsedBody)) : "";
+  const documents = parsed.ok ? parsed.documents : [];
+  const envelope = requestEnvelopeFromDocuments(documents);
+  const redactionCounts = {};
+  const rawBodyRedacted = parsed.ok
+    ? stableStringify(redactDeep(REDACTION_POLICY, documents.length === 1 ? documents[0] : documents, { counts: redactionCounts, scan: "all" }))
+    : "";
+  for (const [rule, n] of Object.entries(redactionCounts)) incMetric("tv_receiver_redactions_total", { rule }, n);
   const rawRequestRow = {
     request_id: requestId,
+    received_at: new Date(tReceivedMs),
     path,
-    method,
+    method: capture.method,
     content_type: contentType,
     source_ip_hash: ipHash,
     user_agent_hash: userAgentHash,
@@ -1109,7 +2879,21 @@ async function ingestRequest(req, res) {
     record_count: envelope.record_count,
     raw_body: rawBody,
     raw_body_redacted: rawBodyRedacted,
+    redaction_counts: Object.keys(redactionCounts).length ? redactionCounts : null,
     notes: null,
+    profile_name: null,
+    reject_reason: null,
+    body_decoder: parsed.ok ? parsed.decoder : null,
+    content_encoding: capture.content_encoding,
+    compressed_size_bytes: capture.compressed_size_bytes,
+    decompressed_size_bytes: capture.decompressed_size_bytes,
+    client_ip_source: capture.client_ip_source,
+    proxy_chain_hashes: hashes.proxy_chain_hashes,
+    hash_key_version: hashes.hash_key_version,
+    source_ip_hash_prev: hashes.ip_hash_prev,
+    user_agent_hash_prev: hashes.user_agent_hash_prev,
+    hash_prev_key_version: hashes.hash_prev_key_version,
+    allow_rule: allowRule,
   };
 
   const client = await pool.connect();
@@ -1117,114 +2901,58 @@ async function ingestRequest(req, res) {
 
   try {
     await client.query("begin");
-    rawRequestId = await insertRawRequest(client, rawRequestRow);
-
-    if (!parsed.ok) {
-      const failure = buildFailureRecord({
-        row_type: "ERROR",
-        reason: parsed.error,
-        request_id: requestId,
-        path,
-        ip_hash: ipHash,
-        user_agent_hash: userAgentHash,
-        t_received_ms: tReceivedMs,
-        auth_ok: authOk,
-        parse_ok: false,
-        raw_payload: parsed.raw_preview,
-        record_index: 0,
-        raw_request_id: rawRequestId,
-      });
-      await persistFailure(client, failure);
-
-  await client.query("commit");
-  return res.status(400).json({ ok: false, error: parsed.error, request_id: requestId });
-}
-
-if (queryString) {
-  const reason = /(^|[?&])(secret|webhook_secret|webhooksecret|token|authorization|api_key|apikey|password|auth|key)=/i.test("?" + queryString)
-    ? "secret_in_query_forbidden"
-    : "query_string_forbidden";
-  const failure = buildFailureRecord({
-    row_type: "INGRESS_REJECT",
-    reason,
-    request_id: requestId,
-    path,
-    ip_hash: ipHash,
-    user_agent_hash: userAgentHash,
-    t_received_ms: tReceivedMs,
-    auth_ok: authOk,
-    parse_ok: parsed.ok,
-    raw_payload: parsed.ok ? "[REDACTED_AT_INGRESS]" : parsed.raw_preview,
-    record_index: 0,
-    raw_request_id: rawRequestId,
-  });
-  await persistFailure(client, failure);
-  await client.query("commit");
-  return res.status(400).json({ ok: false, error: reason, request_id: requestId });
-}
-
-    if (/\"secret\"\s*:|\"webhook_secret\"\s*:|\"webhooksecret\"\s*:|\"token\"\s*:|\"authorization\"\s*:/i.test(rawBodyRedacted)) {
-      const failure = buildFailureRecord({
-        row_type: "ERROR",
-        reason: "secret_in_body_forbidden",
-        request_id: requestId,
-        path,
-        ip_hash: ipHash,
-        user_agent_hash: userAgentHash,
-        t_received_ms: tReceivedMs,
-        auth_ok: authOk,
-        parse_ok: true,
-        raw_payload: "[REDACTED_AT_INGRESS]",
-        record_index: 0,
-        raw_request_id: rawRequestId,
-      });
-      await persistFailure(client, failure);
-      await client.query("commit");
-      return res.status(400).json({ ok: false, error: "secret_in_body_forbidden", request_id: requestId });
-    }
+    const routeCheck = capture.path === BACKFILL_PATH
+      ? { profile: null, reason: null }
+      : await checkRouteKey(client, capture.route_key_sha256);
+    const profile = routeCheck.profile;
+    rawRequestRow.profile_name = profile?.profile_name ?? null;
 
-    if (!authOk) {
-      const failure = buildFailureRecord({
-        row_type: "INGRESS_REJECT",
-        reason: "source_not_allowed",
-        request_id: requestId,
-        path,
-        ip_hash: ipHash,
-        user_agent_hash: userAgentHash,
-        t_received_ms: tReceivedMs,
-        auth_ok: false,
-        parse_ok: true,
-        raw_payload: "[REDACTED_AT_INGRESS]",
-        record_index: 0,
-        raw_request_id: rawRequestId,
-      });
-      await persistFailure(client, failure);
-      await client.query("commit");
-      return res.status(403).json({ ok: false, error: "source_not_allowed", request_id: requestId });
-    }
+    const logicalRecords = documents.flatMap((doc) => expandLogicalRecords(doc));
+    const rejection = ingressRejection({
+      parsed,
+      queryString,
+      rawBodyRedacted,
+      authOk,
+      routeCheck,
+      logicalRecordCount: logicalRecords.length,
+    });
+    rawRequestRow.reject_reason = rejection?.reason ?? null;
+    rawRequestId = await insertRawRequest(client, rawRequestRow);
 
-    const logicalRecords = expandLogicalRecords(parsedBody);
-    if (logicalRecords.length === 0) {
+    if (rejection) {
       const failure = buildFailureRecord({
-        row_type: "ERROR",
-        reason: "no_logical_records_found",
+        row_type: rejection.row_type,
+        reason: rejection.reason,
         request_id: requestId,
         path,
         ip_hash: ipHash,
+        hash_key_version: hashes.hash_key_version,
         user_agent_hash: userAgentHash,
         t_received_ms: tReceivedMs,
         auth_ok: authOk,
-        parse_ok: true,
-        raw_payload: parsedBody,
+        parse_ok: parsed.ok,
+        raw_payload: rejection.raw_payload,
         record_index: 0,
         raw_request_id: rawRequestId,
+        profile_name: rawRequestRow.profile_name,
       });
       await persistFailure(client, failure);
       await client.query("commit");
-      return res.status(400).json({ ok: false, error: "no_logical_records_found", request_id: requestId });
+      incMetric("tv_receiver_rejections_total", { reason: reasonLabel(rejection.reason) });
+      incMetric("tv_receiver_records_total", { path, outcome: "rejected", row_type: rejection.row_type });
+      if (rejection.row_type === "INGRESS_REJECT") noteIngressReject(path, rejection.reason);
+      return {
+        persisted: true,
+        status: rejection.status,
+        body: { ok: false, error: rejection.error, request_id: requestId },
+      };
     }
 
-    let inserted = 0;
+    const counts = { accepted: 0, duplicate: 0, conflict: 0, rejected: 0 };
+    const outcomes = [];
+    const runRows = [];
+    const failures = [];
+    const records = [];
     for (let index = 0; index < logicalRecords.length; index += 1) {
       const logical = logicalRecords[index];
       const prepared = prepareLogicalRecord(logical, {
@@ -1233,21 +2961,83 @@ if (queryString) {
         record_index: index,
         path,
         ip_hash: ipHash,
+        hash_key_version: hashes.hash_key_version,
         user_agent_hash: userAgentHash,
         t_received_ms: tReceivedMs,
         auth_ok: true,
+        profile_name: rawRequestRow.profile_name,
+        decoder: parsed.decoder,
       });
-      await upsertRun(client, prepared);
-      await insertRawEvent(client, prepared);
-      inserted += 1;
+
+      const mismatch = profile ? profileMismatchFields(profile, prepared) : [];
+      if (mismatch.length) {
+        const failure = buildFailureRecord({
+          row_type: "INGRESS_REJECT",
+          reason: `profile_mismatch:${mismatch.join(",")}`,
+          request_id: requestId,
+          path,
+          ip_hash: ipHash,
+          hash_key_version: hashes.hash_key_version,
+          user_agent_hash: userAgentHash,
+          t_received_ms: tReceivedMs,
+          auth_ok: authOk,
+          parse_ok: true,
+          raw_payload: logical,
+          record_index: index,
+          raw_request_id: rawRequestId,
+          profile_name: rawRequestRow.profile_name,
+        });
+        runRows.push(failure);
+        failures.push(failure);
+        counts.rejected += 1;
+        outcomes.push({ record_index: index, uid: prepared.uid, outcome: "rejected", reason: failure.notes });
+        continue;
+      }
+
+      runRows.push(prepared);
+      records.push(prepared);
     }
 
+    await upsertRuns(client, runRows);
+    await insertRawEvents(client, failures);
+    const results = await insertLogicalRecords(client, records);
+    const accepted = records.filter((_prepared, i) => results[i].outcome === "accepted");
+    await upsertUnknownFields(client, accepted);
+    await trackSeqRanges(client, accepted);
+    records.forEach((prepared, i) => {
+      counts[results[i].outcome] += 1;
+      outcomes.push({ record_index: prepared.record_index, uid: prepared.uid, ...results[i] });
+    });
+    outcomes.sort((a, b) => a.record_index - b.record_index);
+
     await client.query("commit");
-    return res.json({ ok: true, request_id: requestId, raw_request_id: rawRequestId, inserted });
+    records.filter((prepared) => prepared.placeholder_fields).forEach(notePlaceholderRecord);
+    for (const failure of failures) {
+      incMetric("tv_receiver_rejections_total", { reason: reasonLabel(failure.notes) });
+      incMetric("tv_receiver_records_total", { path, outcome: "rejected", row_type: failure.row_type });
+      if (failure.row_type === "INGRESS_REJECT") noteIngressReject(path, failure.notes);
+    }
+    records.forEach((prepared, i) => {
+      incMetric("tv_receiver_records_total", { path, outcome: results[i].outcome, row_type: prepared.row_type });
+      observeMetric("tv_receiver_event_latency_ms", { stream_id: prepared.stream_id || "UNKNOWN" }, prepared.latency_ms);
+    });
+    return {
+      persisted: true,
+      status: 200,
+      body: {
+        ok: true,
+        request_id: requestId,
+        raw_request_id: rawRequestId,
+        inserted: counts.accepted,
+        ...counts,
+        outcomes,
+      },
+    };
   } catch (e) {
     await client.query("rollback").catch(() => {});
     console.error("ingest failed:", e);
 
+    let persisted = false;
     try {
       await client.query("begin");
       if (rawRequestId == null) {
@@ -1262,6 +3052,7 @@ if (queryString) {
         request_id: requestId,
         path,
         ip_hash: ipHash,
+        hash_key_version: hashes.hash_key_version,
         user_agent_hash: userAgentHash,
         t_received_ms: tReceivedMs,
         auth_ok: authOk,
@@ -1269,22 +3060,101 @@ if (queryString) {
         raw_payload: "[REDACTED_AT_INGRESS]",
         record_index: 0,
         raw_request_id: rawRequestId,
+        profile_name: rawRequestRow.profile_name,
       });
       await persistFailure(client, failure);
       await client.query("commit");
+      persisted = true;
     } catch (e2) {
       await client.query("rollback").catch(() => {});
       console.error("failed to persist ingest exception:", e2);
     }
 
-    return res.status(500).json({ ok: false, error: "ingest_failed", request_id: requestId });
+    notifyBestEffort({
+      kind: "ingest_failure",
+      severity: "error",
+      dedup_key: `ingest_failure:${path}`,
+      summary: `ingest failed on ${path}: ${e?.message || String(e)}`,
+      details: { request_id: requestId, raw_request_id: rawRequestId, path, persisted, error: e?.message || String(e) },
+    });
+
+    return { persisted, status: 500, body: { ok: false, error: "ingest_failed", request_id: requestId } };
   } finally {
     client.release();
   }
 }
 
+function respondToIngest(res, capture, startedAt, status, body) {
+  const outcome = status === 202 ? "spooled" : status >= 500 ? "error" : status >= 400 ? "rejected" : "ok";
+  incMetric("tv_receiver_requests_total", { path: capture.path, outcome });
+  observeMetric(
+    "tv_receiver_ingest_duration_seconds",
+    { path: capture.path },
+    Number(process.hrtime.bigint() - startedAt) / 1e9
+  );
+  return res.status(status).json(body);
+}
+
+const lifecycle = {
+  server: null,
+  drainTimer: null,
+  drainingSince: null,
+  inFlight: 0,
+};
+
+async function ingestRequest(req, res) {
+  lifecycle.inFlight += 1;
+  try {
+    return await ingestRequestInner(req, res);
+  } finally {
+    lifecycle.inFlight -= 1;
+  }
+}
+
+async function ingestRequestInner(req, res) {
+  const startedAt = process.hrtime.bigint();
+  const capture = captureRequest(req);
+  const spooled = spoolRequest(capture);
+
+  let result = null;
+  if (schemaReady && !(spooled && spool.databaseDownSince)) {
+    spool.inFlight.add(capture.request_id);
+    try {
+      result = await ingestCapture(capture);
+    } catch (e) {
+      console.error("ingest failed before persistence:", e?.message || String(e));
+    } finally {
+      spool.inFlight.delete(capture.request_id);
+    }
+    if (!result?.persisted) spool.databaseDownSince ??= Date.now();
+  }
+
+  if (result?.persisted) {
+    if (spooled) ackSpool(capture.request_id);
+    return respondToIngest(res, capture, startedAt, result.status, result.body);
+  }
+  if (spooled) {
+    return respondToIngest(res, capture, startedAt, 202, { ok: true, spooled: true, request_id: capture.request_id });
+  }
+  return respondToIngest(res, capture, startedAt, 500, { ok: false, error: "ingest_failed", request_id: capture.request_id });
+}
+
 app.get("/", (_req, res) => res.status(200).send("ok"));
 
+app.get("/livez", (_req, res) => res.status(200).json({ ok: true }));
+
+app.get("/readyz", (_req, res) => {
+  const draining = lifecycle.drainingSince !== null;
+  return res.status(draining ? 503 : 200).json({
+    ok: !draining,
+    draining,
+    draining_since: draining ? new Date(lifecycle.drainingSince).toISOString() : null,
+    in_flight: lifecycle.inFlight,
+    schema_ready: schemaReady,
+    database_down_since: spool.databaseDownSince === null ? null : new Date(spool.databaseDownSince).toISOString(),
+  });
+});
+
 app.get("/healthz", async (_req, res) => {
   try {
     const rs = await pool.query(`
@@ -1292,32 +3162,2300 @@ app.get("/healthz", async (_req, res) => {
         (select count(*) from raw_requests) as raw_requests,
         (select count(*) from raw_events) as raw_events
     `);
+    const stale = await pool.query(`select count(*)::int as stale from stream_health_current where state = 'STALE'`);
+    const outbox = await pool.query(`select status, count(*)::int as n from notification_outbox group by status`);
+    const gaps = await pool.query(`
+      select count(*)::int as open_gaps,
+             count(distinct run_id)::int as runs_with_open_gaps,
+             coalesce(sum(missing_count), 0)::bigint as missing_seqs,
+             min(detected_at) as oldest_detected_at
+      from seq_gaps
+      where status = 'OPEN'
+    `);
 
     return res.json({
       ok: true,
       service: "tv_receiver_secret_free_ingress",
       env: RECEIVER_ENV,
       allow_untrusted_ingress: ALLOW_UNTRUSTED_INGRESS,
-      allowed_ip_count: ALLOWED_IP_SET.size,
+      allowed_ip_count: ALLOWED_IP_RULES.length,
+      trusted_proxy_count: TRUSTED_PROXY_RULES.length,
+      trusted_proxy_hops: TRUSTED_PROXY_HOPS,
+      require_route_key: TV_REQUIRE_ROUTE_KEY,
       database_ok: true,
+      placeholder_records_by_stream: Object.fromEntries(placeholderStats),
+      schema_registry_documents: SCHEMA_REGISTRY.documents.size,
+      schema_registry_strict: SCHEMA_REGISTRY_STRICT,
+      spool: spoolStats(),
+      seq_gaps: gaps.rows[0] || {},
+      stale_streams: stale.rows[0]?.stale ?? 0,
+      notifications: {
+        targets: NOTIFY_TARGETS.map((t) => t.origin),
+        by_status: Object.fromEntries(outbox.rows.map((row) => [row.status, row.n])),
+        last_dispatch_at: notifier.lastRunAt === null ? null : new Date(notifier.lastRunAt).toISOString(),
+        last_error: notifier.lastError,
+      },
       counts: rs.rows[0] || {},
       now_utc: new Date().toISOString(),
-      paths: ["/tv", "/webhook", "/healthz"],
+      paths: ["/tv", "/tv/:routeKey", "/webhook", "/webhook/:routeKey", "/healthz", "/healthz/streams", "/livez", "/readyz", "/metrics", "/admin/*"],
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e), spool: spoolStats() });
+  }
+});
+
+app.get("/healthz/streams", requireAdmin, async (req, res) => {
+  try {
+    const params = [];
+    const where = ["true"];
+    for (const key of ["state", "stream_id", "symbol"]) {
+      if (!isNonEmptyString(req.query[key])) continue;
+      params.push(key === "state" ? String(req.query[key]).trim().toUpperCase() : String(req.query[key]).trim());
+      where.push(`${key} = $${params.length}`);
+    }
+    const rs = await pool.query(
+      `
+        select stream_id, symbol, tf_sec, exchange, calendar, state, state_since, checked_at,
+               last_received_ms, expected_interval_ms, threshold_ms, silence_ms as session_silence_ms,
+               (extract(epoch from now()) * 1000)::bigint - last_received_ms as silence_ms
+        from stream_health_current
+        where ${where.join(" and ")}
+        order by (state = 'STALE') desc, stream_id asc, symbol asc, tf_sec asc
+      `,
+      params
+    );
+    return res.json({
+      ok: true,
+      watchdog_enabled: WATCHDOG_INTERVAL_MS > 0,
+      watchdog_last_run_at: watchdog.lastRunAt === null ? null : new Date(watchdog.lastRunAt).toISOString(),
+      watchdog_last_error: watchdog.lastError,
+      stale_multiple: WATCHDOG_STALE_MULTIPLE,
+      stale: rs.rows.filter((row) => row.state === "STALE").length,
+      streams: rs.rows.map((row) => ({
+        ...row,
+        last_received_at: row.last_received_ms === null ? null : new Date(Number(row.last_received_ms)).toISOString(),
+      })),
     });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e?.message || String(e) });
   }
 });
 
-app.post("/tv", ingestRequest);
-app.post("/webhook", ingestRequest);
+app.get("/metrics", (_req, res) => {
+  collectReceiverGauges();
+  res.set("content-type", "text/plain; version=0.0.4; charset=utf-8");
+  return res.send(renderMetrics());
+});
 
-async function main() {
-  await ensureSchema();
-  await pool.query("select 1");
-  app.listen(PORT, "0.0.0.0", () => {
-    console.log(`tv-receiver secret-free ingress listening on ${PORT}`);
+const BACKFILL_PATH = "/backfill";
+
+function backfillCapture(entry) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) throw new Error("line_not_object");
+  const tReceivedMs = toInt(entry.t_received_ms) ?? (isNonEmptyString(entry.received_at) ? Date.parse(entry.received_at) : NaN);
+  if (!Number.isFinite(tReceivedMs)) throw new Error("missing_received_at");
+  if (entry.body === undefined || entry.body === null) throw new Error("missing_body");
+
+  const rawBody = typeof entry.body === "string" ? entry.body : JSON.stringify(entry.body);
+  if (Buffer.byteLength(rawBody, "utf8") > TV_MAX_DECOMPRESSED_BYTES) throw new Error("body_too_large");
+  const requestId = isNonEmptyString(entry.request_id)
+    ? String(entry.request_id).trim()
+    : `backfill-${sha256Hex(`${tReceivedMs}\n${rawBody}`).slice(0, 32)}`;
+
+  return {
+    request_id: requestId,
+    t_received_ms: tReceivedMs,
+    path: BACKFILL_PATH,
+    method: "BACKFILL",
+    route_key_sha256: null,
+    client_ip_source: "backfill",
+    allow_rule: "backfill",
+    ...identityHashes(null, null),
+    content_type: isNonEmptyString(entry.content_type)
+      ? String(entry.content_type)
+      : typeof entry.body === "string" ? "text/plain" : "application/json",
+    query_string: "",
+    raw_body: rawBody,
+    content_encoding: null,
+    compressed_size_bytes: null,
+    decompressed_size_bytes: Buffer.byteLength(rawBody, "utf8"),
+  };
+}
+
+async function* readBackfillLines(input, { maxLineBytes = TV_MAX_BODY_BYTES, maxTotalBytes = BACKFILL_MAX_DECOMPRESSED_BYTES } = {}) {
+  let total = 0;
+  let parts = [];
+  let lineBytes = 0;
+  const takeLine = () => {
+    const line = lineBytes > maxLineBytes ? null : Buffer.concat(parts).toString("utf8").replace(/\r$/, "");
+    parts = [];
+    lineBytes = 0;
+    return line;
+  };
+
+  for await (const chunk of input) {
+    total += chunk.length;
+    if (total > maxTotalBytes) throw new BodyReadError(413, "backfill_too_large");
+    let start = 0;
+    for (;;) {
+      const nl = chunk.indexOf(10, start);
+      const piece = chunk.subarray(start, nl === -1 ? chunk.length : nl);
+      lineBytes += piece.length;
+      if (lineBytes <= maxLineBytes) parts.push(piece);
+      else parts = [];
+      if (nl === -1) break;
+      yield takeLine();
+      start = nl + 1;
+    }
+  }
+  if (lineBytes > 0) yield takeLine();
+}
+
+async function runBackfill(input, { dryRun = false, decoder = null } = {}) {
+  const summary = {
+    lines: 0,
+    ingested: 0,
+    skipped_existing: 0,
+    failed: 0,
+    accepted: 0,
+    duplicate: 0,
+    conflict: 0,
+    rejected: 0,
+    errors: [],
+  };
+  const noteError = (line, error) => {
+    summary.failed += 1;
+    if (summary.errors.length < 100) summary.errors.push({ line, error });
+  };
+
+  try {
+    for await (const text of readBackfillLines(input)) {
+      summary.lines += 1;
+      if (text === null) {
+        noteError(summary.lines, "line_too_large");
+        continue;
+      }
+      if (!text.trim()) continue;
+      await backfillLine(text, summary, { dryRun, noteError });
+    }
+  } catch (e) {
+    if (decoder && e === decoder.errored) summary.aborted = "body_decompress_failed";
+    else if (e instanceof BodyReadError) summary.aborted = e.reason;
+    else throw e;
+  }
+  return summary;
+}
+
+async function backfillLine(text, summary, { dryRun, noteError }) {
+  let capture;
+  try {
+    capture = backfillCapture(JSON.parse(text));
+  } catch (e) {
+    noteError(summary.lines, e instanceof SyntaxError ? "json_parse_failed" : e.message);
+    return;
+  }
+
+  const existing = await pool.query(`select 1 from raw_requests where request_id = $1`, [capture.request_id]);
+  if (existing.rowCount > 0) {
+    summary.skipped_existing += 1;
+    return;
+  }
+  if (dryRun) return;
+
+  const result = await ingestCapture(capture);
+  if (!result.persisted) {
+    noteError(summary.lines, result.body?.error || "ingest_failed");
+    return;
+  }
+  summary.ingested += 1;
+  if (result.status !== 200) {
+    summary.rejected += 1;
+    return;
+  }
+  for (const key of ["accepted", "duplicate", "conflict", "rejected"]) summary[key] += result.body[key] || 0;
+}
+
+const REPLAY_DIFF_FIELDS = [
+  "row_type", "uid", "parent_uid", "run_id",
+  "cfg_sig", "cfg_sig_raw", "cfg_sig_full", "cfg_sig_sha256",
+  "schema_version", "producer_id", "event_type", "stream_id", "env", "deployment_id",
+  "exchange", "symbol", "tickerid", "instrument_type", "tf", "tf_sec", "seq",
+  "t_subject_ms", "t_event_ms", "timezone", "day_id_utc", "day_id_local", "session_id",
+  "schema_match_ok", "unknown_keys_count", "unknown_keys", "missing_required_count", "payload_sha256",
+];
+
+const REPLAYABLE_REJECT_REASONS = ["empty_body", "json_parse_failed", "body_decode_failed", "no_logical_records_found"];
+
+function replaySelector(input) {
+  const selector = {
+    request_id: isNonEmptyString(input.request_id) ? String(input.request_id).trim() : null,
+    from_id: toInt(input.from_id),
+    to_id: toInt(input.to_id),
+    since: adminTimeMs(input.since),
+    until: adminTimeMs(input.until),
+    limit: Math.max(1, Math.min(toInt(input.limit) ?? REPLAY_MAX_REQUESTS, REPLAY_MAX_REQUESTS)),
+  };
+  const bounded = selector.request_id
+    || (selector.from_id !== null && selector.to_id !== null)
+    || (selector.since !== null && selector.until !== null);
+  if (!bounded) throw new Error("replay requires request_id, from_id and to_id, or since and until");
+  return selector;
+}
+
+async function selectReplayRequests(selector) {
+  const where = ["(raw_body is not null or raw_body_enc is not null)", "(reject_reason is null or reject_reason = any($1::text[]))"];
+  const params = [REPLAYABLE_REJECT_REASONS];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace("?", `$${params.length}`));
+  };
+  if (selector.request_id) add("request_id = ?", selector.request_id);
+  if (selector.from_id !== null) add("id >= ?", selector.from_id);
+  if (selector.to_id !== null) add("id <= ?", selector.to_id);
+  if (selector.since !== null) add("received_at >= to_timestamp(? / 1000.0)", selector.since);
+  if (selector.until !== null) add("received_at < to_timestamp(? / 1000.0)", selector.until);
+  params.push(selector.limit);
+
+  const rs = await pool.query(
+    `
+      select id, request_id, received_at, path, content_type,
+             source_ip_hash, user_agent_hash, hash_key_version, auth_ok, profile_name, raw_body, raw_body_enc
+      from raw_requests
+      where ${where.join(" and ")}
+      order by id asc
+      limit $${params.length}
+    `,
+    params
+  );
+  return rs.rows;
+}
+
+async function createReplayRun(selector) {
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    await client.query("select pg_advisory_xact_lock(hashtext('tv_receiver_replay_generation'))");
+    const rs = await client.query(
+      `
+        insert into replay_runs (generation, selector)
+        values ((select coalesce(max(generation), 0) + 1 from replay_runs), $1::jsonb)
+        returning id, generation
+      `,
+      [JSON.stringify(selector)]
+    );
+    await client.query("commit");
+    return rs.rows[0];
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+function diffReplayRecord(original, replayed) {
+  const skipIdentity = original.row_type === "DUPLICATE";
+  const diff = {};
+  for (const field of REPLAY_DIFF_FIELDS) {
+    if (skipIdentity && (field === "row_type" || field === "uid")) continue;
+    const before = original[field] ?? null;
+    const after = replayed[field] ?? null;
+    if (String(before) !== String(after)) diff[field] = { before, after };
+  }
+  return diff;
+}
+
+async function replayOneRequest(client, request, run) {
+  const parsed = decodeBody(readableRawBody(request), request.content_type);
+  const documents = parsed.ok ? parsed.documents : [];
+  const logicalRecords = documents.flatMap((doc) => expandLogicalRecords(doc));
+  const originals = await client.query(
+    `
+      select *
+      from raw_events
+      where raw_request_id = $1 and replay_generation = 0
+      order by record_index asc, id asc
+    `,
+    [request.id]
+  );
+  const tReceivedMs = toInt(originals.rows[0]?.t_received_ms) ?? new Date(request.received_at).getTime();
+  const profile = request.profile_name
+    ? (await client.query(
+      `select profile_name, stream_id, env, deployment_id from ingest_profiles where profile_name = $1`,
+      [request.profile_name]
+    )).rows[0] || null
+    : null;
+
+  const rejection = !parsed.ok || logicalRecords.length === 0
+    ? ingressRejection({ parsed, routeCheck: {}, authOk: true, logicalRecordCount: logicalRecords.length })
+    : null;
+
+  const rows = (rejection ? [] : logicalRecords).map((rec, index) => {
+    const prepared = prepareLogicalRecord(rec, {
+      request_id: request.request_id,
+      raw_request_id: request.id,
+      record_index: index,
+      path: request.path,
+      ip_hash: request.source_ip_hash,
+      hash_key_version: request.hash_key_version,
+      user_agent_hash: request.user_agent_hash,
+      t_received_ms: tReceivedMs,
+      auth_ok: request.auth_ok,
+      profile_name: request.profile_name,
+      decoder: parsed.decoder,
+    });
+    const mismatch = profile ? profileMismatchFields(profile, prepared) : [];
+    const row = mismatch.length
+      ? buildFailureRecord({
+        row_type: "INGRESS_REJECT",
+        reason: `profile_mismatch:${mismatch.join(",")}`,
+        request_id: request.request_id,
+        path: request.path,
+        ip_hash: request.source_ip_hash,
+        hash_key_version: request.hash_key_version,
+        user_agent_hash: request.user_agent_hash,
+        t_received_ms: tReceivedMs,
+        auth_ok: request.auth_ok,
+        parse_ok: true,
+        raw_payload: rec,
+        record_index: index,
+        raw_request_id: request.id,
+        profile_name: request.profile_name,
+      })
+      : prepared;
+    return { ...row, replay_generation: run.generation, replay_run_id: run.id, replay_failure: mismatch.length > 0 };
   });
+  if (rejection) {
+    rows.push({
+      ...buildFailureRecord({
+        row_type: rejection.row_type,
+        reason: rejection.reason,
+        request_id: request.request_id,
+        path: request.path,
+        ip_hash: request.source_ip_hash,
+        hash_key_version: request.hash_key_version,
+        user_agent_hash: request.user_agent_hash,
+        t_received_ms: tReceivedMs,
+        auth_ok: request.auth_ok,
+        parse_ok: parsed.ok,
+        raw_payload: rejection.raw_payload,
+        record_index: 0,
+        raw_request_id: request.id,
+        profile_name: request.profile_name,
+      }),
+      replay_generation: run.generation,
+      replay_run_id: run.id,
+      replay_failure: true,
+    });
+  }
+  const failures = rows.filter((row) => row.replay_failure);
+  const records = rows.filter((row) => !row.replay_failure);
+  const failureIds = await insertRawEvents(client, failures);
+  const results = await insertLogicalRecords(client, records);
+  const replayIds = new Map();
+  for (const row of failures) replayIds.set(row.record_index, failureIds.get(row.record_index) ?? null);
+  records.forEach((row, i) => replayIds.set(row.record_index, results[i].raw_event_id));
+
+  const originalByIndex = new Map();
+  for (const row of originals.rows) {
+    if (!originalByIndex.has(row.record_index)) originalByIndex.set(row.record_index, row);
+  }
+
+  const diffs = [];
+  rows.forEach((replayed) => {
+    const original = originalByIndex.get(replayed.record_index) || null;
+    originalByIndex.delete(replayed.record_index);
+    const diff = original ? diffReplayRecord(original, replayed) : null;
+    if (original && Object.keys(diff).length === 0) return;
+    diffs.push({
+      replay_run_id: run.id,
+      generation: run.generation,
+      raw_request_id: request.id,
+      request_id: request.request_id,
+      record_index: replayed.record_index,
+      change_type: original ? "changed" : "added",
+      uid_before: original?.uid ?? null,
+      uid_after: replayed.uid,
+      original_raw_event_id: original?.id ?? null,
+      replay_raw_event_id: replayIds.get(replayed.record_index),
+      changed_fields: diff ? Object.keys(diff) : null,
+      diff,
+    });
+  });
+  for (const original of originalByIndex.values()) {
+    diffs.push({
+      replay_run_id: run.id,
+      generation: run.generation,
+      raw_request_id: request.id,
+      request_id: request.request_id,
+      record_index: original.record_index,
+      change_type: "removed",
+      uid_before: original.uid,
+      uid_after: null,
+      original_raw_event_id: original.id,
+      replay_raw_event_id: null,
+      changed_fields: null,
+      diff: null,
+    });
+  }
+  await insertReplayDiffs(client, diffs);
+
+  return {
+    events_written: rows.length,
+    changed: diffs.filter((d) => d.change_type === "changed").length,
+    added: diffs.filter((d) => d.change_type === "added").length,
+    removed: diffs.filter((d) => d.change_type === "removed").length,
+  };
+}
+
+async function insertReplayDiffs(client, diffs) {
+  if (!diffs.length) return;
+  await client.query(
+    `
+      insert into replay_diffs (
+        replay_run_id, generation, raw_request_id, request_id, record_index, change_type,
+        uid_before, uid_after, original_raw_event_id, replay_raw_event_id, changed_fields, diff, notes
+      )
+      select
+        replay_run_id, generation, raw_request_id, request_id, record_index, change_type,
+        uid_before, uid_after, original_raw_event_id, replay_raw_event_id, changed_fields, diff, notes
+      from jsonb_to_recordset($1::jsonb) as r(
+        replay_run_id bigint, generation integer, raw_request_id bigint, request_id text, record_index integer,
+        change_type text, uid_before text, uid_after text, original_raw_event_id bigint, replay_raw_event_id bigint,
+        changed_fields text[], diff jsonb, notes text
+      )
+    `,
+    [JSON.stringify(diffs)]
+  );
+}
+
+async function runReplay(run, selector) {
+  const totals = {
+    requests_selected: 0,
+    requests_replayed: 0,
+    requests_failed: 0,
+    events_written: 0,
+    records_changed: 0,
+    records_added: 0,
+    records_removed: 0,
+  };
+  let status = "DONE";
+  let notes = null;
+
+  try {
+    const requests = await selectReplayRequests(selector);
+    totals.requests_selected = requests.length;
+
+    for (const request of requests) {
+      const client = await pool.connect();
+      try {
+        await client.query("begin");
+        const result = await replayOneRequest(client, request, run);
+        await client.query("commit");
+        totals.requests_replayed += 1;
+        totals.events_written += result.events_written;
+        totals.records_changed += result.changed;
+        totals.records_added += result.added;
+        totals.records_removed += result.removed;
+      } catch (e) {
+        await client.query("rollback").catch(() => {});
+        totals.requests_failed += 1;
+        await insertReplayDiffs(client, [{
+          replay_run_id: run.id,
+          generation: run.generation,
+          raw_request_id: request.id,
+          request_id: request.request_id,
+          change_type: "error",
+          notes: e?.message || String(e),
+        }]).catch((e2) => console.error("failed to record replay error:", e2));
+      } finally {
+        client.release();
+      }
+    }
+    if (totals.requests_failed > 0) status = "DONE_WITH_ERRORS";
+  } catch (e) {
+    status = "FAILED";
+    notes = e?.message || String(e);
+  }
+
+  await pool.query(
+    `
+      update replay_runs set
+        status = $2,
+        finished_at = now(),
+        requests_selected = $3,
+        requests_replayed = $4,
+        requests_failed = $5,
+        events_written = $6,
+        records_changed = $7,
+        records_added = $8,
+        records_removed = $9,
+        notes = $10
+      where id = $1
+    `,
+    [
+      run.id,
+      status,
+      totals.requests_selected,
+      totals.requests_replayed,
+      totals.requests_failed,
+      totals.events_written,
+      totals.records_changed,
+      totals.records_added,
+      totals.records_removed,
+      notes,
+    ]
+  );
+  return { replay_run_id: run.id, generation: run.generation, status, ...totals, notes };
+}
+
+const ADMIN_EVENT_COLUMNS = `
+  id, received_at, raw_request_id, request_id, record_index, path,
+  row_type, uid, parent_uid, run_id, cfg_sig_sha256, seq,
+  stream_id, env, deployment_id, producer_id, exchange, symbol, tf,
+  t_subject_iso, t_event_iso, t_received_ms, latency_ms,
+  schema_match_ok, schema_check_source, schema_violations, placeholder_fields,
+  unknown_keys_count, unknown_keys, missing_required_count, notes, profile_name,
+  duplicate_of_raw_event_id, duplicate_key, duplicate_payload_identical,
+  replay_generation, replay_run_id, archived_at, archive_id,
+  payload
+`;
+
+const ADMIN_REQUEST_COLUMNS = `
+  id, request_id, received_at, path, method, content_type,
+  auth_ok, parse_ok, payload_sha256, payload_size_bytes,
+  content_encoding, compressed_size_bytes, decompressed_size_bytes,
+  bundle_version, bundle_type, sent_at_ms, record_count,
+  raw_body_redacted, notes, profile_name, reject_reason, body_decoder,
+  client_ip_source, proxy_chain_hashes, allow_rule, archived_at, archive_id,
+  raw_body_policy, raw_body_key_id, hash_key_version, hash_prev_key_version, redaction_counts
+`;
+
+function adminTokenOk(req) {
+  const header = (req.headers.authorization || "").toString();
+  const m = /^Bearer\s+(.+)$/i.exec(header);
+  if (!m) return false;
+  const given = crypto.createHash("sha256").update(m[1].trim()).digest();
+  const expected = crypto.createHash("sha256").update(ADMIN_API_TOKEN).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_TOKEN) return res.status(404).json({ ok: false, error: "admin_api_disabled" });
+  if (!adminTokenOk(req)) return res.status(401).json({ ok: false, error: "unauthorized" });
+  return next();
+}
+
+function adminLimit(raw, fallback = 100, max = 1000) {
+  const n = toInt(raw);
+  if (n === null || n < 1) return fallback;
+  return Math.min(n, max);
+}
+
+function adminTimeMs(raw) {
+  if (!isNonEmptyString(raw)) return null;
+  const asInt = toInt(raw);
+  if (asInt !== null && /^\d+$/.test(String(raw).trim())) return asInt;
+  const parsed = Date.parse(String(raw));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function eventOutcome(row) {
+  if (row.row_type === "DUPLICATE") return row.duplicate_payload_identical ? "duplicate" : "conflict";
+  if (row.row_type === "ERROR" || row.row_type === "INGRESS_REJECT") return "rejected";
+  return "accepted";
+}
+
+function adminJson(res, body) {
+  return res.json(redactDeep(REDACTION_POLICY, body));
+}
+
+function adminRoute(handler) {
+  return async (req, res) => {
+    try {
+      return await handler(req, res);
+    } catch (e) {
+      console.error("admin query failed:", e);
+      return res.status(500).json({ ok: false, error: "admin_query_failed" });
+    }
+  };
+}
+
+app.get("/admin/runs", requireAdmin, adminRoute(async (req, res) => {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace("?", `$${params.length}`));
+  };
+  if (isNonEmptyString(req.query.env)) add("env = ?", String(req.query.env).trim().toLowerCase());
+  if (isNonEmptyString(req.query.producer_id)) add("producer_id = ?", String(req.query.producer_id).trim());
+  if (isNonEmptyString(req.query.deployment_id)) add("deployment_id = ?", String(req.query.deployment_id).trim());
+  const fromMs = adminTimeMs(req.query.from);
+  const toMs = adminTimeMs(req.query.to);
+  if (fromMs !== null) add("started_at_ms >= ?", fromMs);
+  if (toMs !== null) add("started_at_ms < ?", toMs);
+  params.push(adminLimit(req.query.limit));
+
+  const rs = await pool.query(
+    `
+      select run_id, env, deployment_id, producer_id, timezone,
+             started_at_ms, started_at_iso,
+             first_cfg_sig_raw, first_cfg_sig_sha256, last_cfg_sig_raw, last_cfg_sig_sha256,
+             created_at_ms, updated_at
+      from runs
+      ${where.length ? `where ${where.join(" and ")}` : ""}
+      order by started_at_ms desc, run_id asc
+      limit $${params.length}
+    `,
+    params
+  );
+  return adminJson(res, { ok: true, runs: rs.rows });
+}));
+
+app.get("/admin/runs/:run_id", requireAdmin, adminRoute(async (req, res) => {
+  const runId = String(req.params.run_id);
+  const run = await pool.query(`select * from runs where run_id = $1`, [runId]);
+  if (!run.rows.length) return res.status(404).json({ ok: false, error: "run_not_found" });
+
+  const configHistory = await pool.query(
+    `
+      select cfg_sig_sha256, cfg_sig_raw,
+             min(received_at) as first_seen_at, max(received_at) as last_seen_at,
+             min(seq) as first_seq, max(seq) as last_seq, count(*) as events
+      from raw_events
+      where run_id = $1 and cfg_sig_sha256 is not null and replay_generation = 0
+      group by cfg_sig_sha256, cfg_sig_raw
+      order by min(received_at) asc
+    `,
+    [runId]
+  );
+  const counts = await pool.query(
+    `
+      select row_type, count(*) as events, min(seq) as min_seq, max(seq) as max_seq,
+             max(received_at) as last_received_at
+      from raw_events
+      where run_id = $1 and replay_generation = 0
+      group by row_type
+      order by row_type asc
+    `,
+    [runId]
+  );
+  const seqRanges = await pool.query(
+    `select seq_start, seq_end from run_seq_ranges where run_id = $1 order by seq_start asc`,
+    [runId]
+  );
+  const seqGaps = await pool.query(
+    `
+      select id, kind, first_missing_seq, last_missing_seq, missing_count, status, detected_at, closed_at, close_reason
+      from seq_gaps
+      where run_id = $1
+      order by first_missing_seq asc, id asc
+    `,
+    [runId]
+  );
+  return adminJson(res, {
+    ok: true,
+    run: run.rows[0],
+    config_history: configHistory.rows,
+    counts_by_row_type: counts.rows,
+    seq_ranges: seqRanges.rows,
+    seq_gaps: seqGaps.rows,
+  });
+}));
+
+app.get("/admin/requests/:request_id", requireAdmin, adminRoute(async (req, res) => {
+  const requestId = String(req.params.request_id);
+  const request = await pool.query(
+    `select ${ADMIN_REQUEST_COLUMNS} from raw_requests where request_id = $1`,
+    [requestId]
+  );
+  if (!request.rows.length) return res.status(404).json({ ok: false, error: "request_not_found" });
+
+  const events = await pool.query(
+    `
+      select ${ADMIN_EVENT_COLUMNS}
+      from raw_events
+      where request_id = $1
+      order by replay_generation asc, record_index asc, id asc
+    `,
+    [requestId]
+  );
+  return adminJson(res, {
+    ok: true,
+    request: request.rows[0],
+    events: events.rows.map((row) => ({ ...row, outcome: eventOutcome(row) })),
+  });
+}));
+
+app.get("/admin/events", requireAdmin, adminRoute(async (req, res) => {
+  const cursor = toInt(req.query.cursor) ?? 0;
+  const limit = adminLimit(req.query.limit);
+  const params = [cursor];
+  const where = ["id > $1"];
+  for (const key of ["run_id", "row_type", "stream_id", "request_id", "uid", "env", "replay_generation"]) {
+    if (!isNonEmptyString(req.query[key])) continue;
+    params.push(key === "row_type" ? String(req.query[key]).trim().toUpperCase() : String(req.query[key]).trim());
+    where.push(`${key} = $${params.length}`);
+  }
+  params.push(limit);
+
+  const rs = await pool.query(
+    `
+      select ${ADMIN_EVENT_COLUMNS}
+      from raw_events
+      where ${where.join(" and ")}
+      order by id asc
+      limit $${params.length}
+    `,
+    params
+  );
+  const events = rs.rows.map((row) => ({ ...row, outcome: eventOutcome(row) }));
+  return adminJson(res, {
+    ok: true,
+    events,
+    next_cursor: events.length === limit ? String(events[events.length - 1].id) : null,
+  });
+}));
+
+function unknownFieldSuggestions(fields) {
+  const pending = [...new Set(fields.map((row) => row.field))].filter((field) => !isKnownField(field)).sort();
+  const byPrefix = new Map();
+  for (const field of pending) {
+    const cut = field.indexOf("_");
+    if (cut < 1 || cut === field.length - 1) continue;
+    const prefix = field.slice(0, cut + 1);
+    byPrefix.set(prefix, [...(byPrefix.get(prefix) || []), field]);
+  }
+
+  const prefixes = [...byPrefix.entries()]
+    .filter(([, members]) => members.length >= 2)
+    .map(([prefix, members]) => ({ prefix, fields: members }));
+  const covered = new Set(prefixes.flatMap((p) => p.fields));
+  return {
+    core_allowed_fields: pending.filter((field) => !covered.has(field)),
+    allowed_prefixes: prefixes,
+    already_allowed: [...new Set(fields.map((row) => row.field))].filter((field) => isKnownField(field)).sort(),
+  };
+}
+
+app.get("/admin/unknown-fields", requireAdmin, adminRoute(async (req, res) => {
+  const params = [];
+  const where = ["true"];
+  if (isNonEmptyString(req.query.stream_id)) {
+    params.push(String(req.query.stream_id).trim());
+    where.push(`stream_id = $${params.length}`);
+  }
+  const since = adminTimeMs(req.query.since);
+  if (since !== null) {
+    params.push(since);
+    where.push(`last_seen_at >= to_timestamp($${params.length} / 1000.0)`);
+  }
+  params.push(adminLimit(req.query.limit, 500, 5000));
+
+  const rs = await pool.query(
+    `
+      select field, stream_id, first_seen_at, last_seen_at, seen_count, sample_value
+      from unknown_fields
+      where ${where.join(" and ")}
+      order by seen_count desc, field asc, stream_id asc
+      limit $${params.length}
+    `,
+    params
+  );
+  return adminJson(res, {
+    ok: true,
+    fields: rs.rows.map((row) => ({ ...row, allowed_now: isKnownField(row.field) })),
+    suggestions: unknownFieldSuggestions(rs.rows),
+  });
+}));
+
+app.get("/admin/notifications", requireAdmin, adminRoute(async (req, res) => {
+  const cursor = toInt(req.query.cursor) ?? 0;
+  const limit = adminLimit(req.query.limit);
+  const params = [cursor];
+  const where = ["id > $1"];
+  for (const key of ["status", "kind", "source"]) {
+    if (!isNonEmptyString(req.query[key])) continue;
+    params.push(key === "status" ? String(req.query[key]).trim().toUpperCase() : String(req.query[key]).trim());
+    where.push(`${key} = $${params.length}`);
+  }
+  params.push(limit);
+  const rs = await pool.query(
+    `
+      select *
+      from notification_outbox
+      where ${where.join(" and ")}
+      order by id asc
+      limit $${params.length}
+    `,
+    params
+  );
+  return adminJson(res, {
+    ok: true,
+    notifications: rs.rows,
+    next_cursor: rs.rows.length === limit ? String(rs.rows[rs.rows.length - 1].id) : null,
+  });
+}));
+
+app.post("/admin/notifications/:id/retry", requireAdmin, adminRoute(async (req, res) => {
+  const rs = await pool.query(
+    `
+      update notification_outbox
+      set status = 'PENDING', attempts = 0, next_attempt_at = now(), last_error = null
+      where id = $1 and status = 'DEAD'
+      returning id, status
+    `,
+    [toInt(req.params.id)]
+  );
+  if (!rs.rowCount) return res.status(404).json({ ok: false, error: "dead_notification_not_found" });
+  return res.json({ ok: true, notification: rs.rows[0] });
+}));
+
+app.post("/admin/backfill", requireAdmin, adminRoute(async (req, res) => {
+  const encoding = String(req.headers["content-encoding"] || "identity").trim().toLowerCase();
+  let decoder;
+  if (encoding === "gzip" || encoding === "x-gzip") decoder = zlib.createGunzip();
+  else if (encoding === "deflate") decoder = zlib.createInflate();
+  else if (encoding === "br") decoder = zlib.createBrotliDecompress();
+  else if (encoding === "identity") decoder = new PassThrough();
+  else return res.status(415).json({ ok: false, error: "unsupported_content_encoding" });
+
+  const summary = await runBackfill(req.pipe(decoder), { dryRun: req.query.dry_run === "1", decoder });
+  if (summary.aborted) {
+    req.unpipe(decoder);
+    req.resume();
+    res.set("connection", "close");
+    return res.status(summary.aborted === "body_decompress_failed" ? 400 : 413).json({ ok: false, error: summary.aborted, dry_run: req.query.dry_run === "1", ...summary });
+  }
+  return res.json({ ok: summary.failed === 0, dry_run: req.query.dry_run === "1", ...summary });
+}));
+
+app.post("/admin/replay", requireAdmin, adminRoute(async (req, res) => {
+  let input;
+  try {
+    input = JSON.parse(typeof req.body === "string" && req.body.trim() ? req.body : "{}");
+  } catch {
+    return res.status(400).json({ ok: false, error: "invalid_json" });
+  }
+
+  let selector;
+  try {
+    selector = replaySelector(input || {});
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+
+  const run = await createReplayRun(selector);
+  runReplay(run, selector).catch((e) => console.error(`replay run ${run.id} failed:`, e));
+  return res.status(202).json({ ok: true, replay_run_id: run.id, generation: run.generation, selector });
+}));
+
+app.get("/admin/replay/:id", requireAdmin, adminRoute(async (req, res) => {
+  const runId = toInt(req.params.id);
+  const run = runId === null ? { rows: [] } : await pool.query(`select * from replay_runs where id = $1`, [runId]);
+  if (!run.rows.length) return res.status(404).json({ ok: false, error: "replay_run_not_found" });
+
+  const cursor = toInt(req.query.cursor) ?? 0;
+  const limit = adminLimit(req.query.limit);
+  const diffs = await pool.query(
+    `
+      select *
+      from replay_diffs
+      where replay_run_id = $1 and id > $2
+      order by id asc
+      limit $3
+    `,
+    [runId, cursor, limit]
+  );
+  return adminJson(res, {
+    ok: true,
+    replay_run: run.rows[0],
+    diffs: diffs.rows,
+    next_cursor: diffs.rows.length === limit ? String(diffs.rows[diffs.rows.length - 1].id) : null,
+  });
+}));
+
+app.post("/tv", ingestRequest);
+app.post("/tv/:routeKey", ingestRequest);
+app.post("/webhook", ingestRequest);
+app.post("/webhook/:routeKey", ingestRequest);
+
+function parseCliArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf("=");
+    if (eq > 0) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      flags[arg.slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      flags[arg.slice(2)] = "1";
+    }
+  }
+  return { positional, flags };
+}
+
+const PROFILE_FIELD_FLAGS = {
+  "stream-id": "stream_id",
+  env: "env",
+  "deployment-id": "deployment_id",
+};
+
+function profileFieldsFromFlags(flags) {
+  return {
+    stream_id: isNonEmptyString(flags["stream-id"]) ? flags["stream-id"].trim() : null,
+    env: isNonEmptyString(flags.env) ? flags.env.trim().toLowerCase() : null,
+    deployment_id: isNonEmptyString(flags["deployment-id"]) ? flags["deployment-id"].trim() : null,
+  };
+}
+
+async function runProfilesCommand(argv) {
+  const { positional, flags } = parseCliArgs(argv);
+  const action = positional[0] || "list";
+  const name = isNonEmptyString(flags.name) ? flags.name.trim() : null;
+
+  if (action === "list") {
+    const rs = await pool.query(`
+      select profile_name, stream_id, env, deployment_id, status,
+             created_at, rotated_at, revoked_at, previous_key_valid_until
+      from ingest_profiles
+      order by profile_name asc
+    `);
+    console.log(JSON.stringify(rs.rows, null, 2));
+    return;
+  }
+
+  if (!name) throw new Error(`profiles ${action} requires --name`);
+
+  if (action === "create") {
+    const routeKey = makeRouteKey();
+    const fields = profileFieldsFromFlags(flags);
+    await pool.query(
+      `
+        insert into ingest_profiles (profile_name, route_key_sha256, stream_id, env, deployment_id)
+        values ($1,$2,$3,$4,$5)
+      `,
+      [name, sha256Hex(routeKey), fields.stream_id, fields.env, fields.deployment_id]
+    );
+    console.log(JSON.stringify({ ok: true, profile_name: name, ...fields, route_key: routeKey, paths: [`/tv/${routeKey}`, `/webhook/${routeKey}`] }, null, 2));
+    return;
+  }
+
+  if (action === "rotate") {
+    const graceRaw = flags["grace-minutes"] ?? "0";
+    if (!/^\d+$/.test(String(graceRaw).trim())) throw new Error(`--grace-minutes must be a non-negative integer, got ${JSON.stringify(graceRaw)}`);
+    const graceMinutes = parseInt(graceRaw, 10);
+    const routeKey = makeRouteKey();
+    const rs = await pool.query(
+      `
+        update ingest_profiles
+        set previous_route_key_sha256 = case when $3 > 0 then route_key_sha256 else null end,
+            previous_key_valid_until = case when $3 > 0 then now() + make_interval(mins => $3) else null end,
+            route_key_sha256 = $2,
+            rotated_at = now(),
+            updated_at = now()
+        where profile_name = $1 and status = 'ACTIVE'
+        returning profile_name, previous_key_valid_until
+      `,
+      [name, sha256Hex(routeKey), graceMinutes]
+    );
+    if (!rs.rowCount) throw new Error(`no active ingest profile named ${name}`);
+    console.log(JSON.stringify({ ok: true, profile_name: name, route_key: routeKey, previous_key_valid_until: rs.rows[0].previous_key_valid_until, paths: [`/tv/${routeKey}`, `/webhook/${routeKey}`] }, null, 2));
+    return;
+  }
+
+  if (action === "update") {
+    const fields = profileFieldsFromFlags(flags);
+    const cleared = isNonEmptyString(flags.clear) ? flags.clear.split(",").map((s) => s.trim()).filter(Boolean) : [];
+    const changes = {};
+    for (const [flag, column] of Object.entries(PROFILE_FIELD_FLAGS)) {
+      if (cleared.includes(flag)) changes[column] = null;
+      else if (flags[flag] !== undefined) {
+        if (fields[column] === null) throw new Error(`--${flag} must not be empty; use --clear ${flag} to unset it`);
+        changes[column] = fields[column];
+      }
+    }
+    const unknown = cleared.filter((flag) => !PROFILE_FIELD_FLAGS[flag]);
+    if (unknown.length) throw new Error(`--clear accepts ${Object.keys(PROFILE_FIELD_FLAGS).join(", ")}; got ${unknown.join(", ")}`);
+    const columns = Object.keys(changes);
+    if (!columns.length) throw new Error(`profiles update requires at least one of ${Object.keys(PROFILE_FIELD_FLAGS).map((f) => `--${f}`).join(", ")} or --clear`);
+
+    const rs = await pool.query(
+      `
+        update ingest_profiles
+        set ${columns.map((col, i) => `${col} = $${i + 2}`).join(", ")}, updated_at = now()
+        where profile_name = $1
+        returning profile_name, stream_id, env, deployment_id
+      `,
+      [name, ...columns.map((col) => changes[col])]
+    );
+    if (!rs.rowCount) throw new Error(`no ingest profile named ${name}`);
+    console.log(JSON.stringify({ ok: true, ...rs.rows[0], updated: columns }, null, 2));
+    return;
+  }
+
+  if (action === "revoke") {
+    const rs = await pool.query(
+      `
+        update ingest_profiles
+        set status = 'REVOKED',
+            previous_route_key_sha256 = null,
+            previous_key_valid_until = null,
+            revoked_at = now(),
+            updated_at = now()
+        where profile_name = $1 and status = 'ACTIVE'
+      `,
+      [name]
+    );
+    if (!rs.rowCount) throw new Error(`no active ingest profile named ${name}`);
+    console.log(JSON.stringify({ ok: true, profile_name: name, status: "REVOKED" }, null, 2));
+    return;
+  }
+
+  throw new Error(`unknown profiles action: ${action}`);
+}
+
+function syntheticBundle(runId, records, sentAtMs) {
+  const common = {
+    run_id: runId,
+    stream_id: "BENCH",
+    env: RECEIVER_ENV,
+    deployment_id: "BENCH",
+    exchange: "BENCH",
+    symbol: "BENCHUSDT",
+    tickerid: "BENCH:BENCHUSDT",
+    instrument_type: "crypto",
+    tf: "1",
+    schema_version: 1,
+    cfg_sig_raw: `bench|${runId}`,
+  };
+  const bars = [];
+  for (let i = 1; i <= records; i += 1) {
+    const close = 100 + Math.sin(i / 10);
+    bars.push({
+      ...common,
+      row_type: "BAR",
+      uid: `BENCH|${runId}|${i}`,
+      seq: i,
+      t_close_ms: sentAtMs - (records - i) * 60_000,
+      open: close - 0.1,
+      high: close + 0.2,
+      low: close - 0.2,
+      close,
+      volume: 1000 + i,
+    });
+  }
+  return {
+    bundle_version: 1,
+    bundle_type: "BENCH",
+    sent_at_ms: sentAtMs,
+    records: [{ ...common, row_type: "CONFIG", uid: `BENCH|${runId}|0`, seq: 0 }, ...bars],
+  };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((sorted.length - 1) * p))];
+}
+
+async function runBenchCommand(argv) {
+  const { flags } = parseCliArgs(argv);
+  const records = parseInt(flags.records || "500", 10);
+  const iterations = parseInt(flags.iterations || "20", 10);
+  if (!Number.isInteger(records) || records < 1 || !Number.isInteger(iterations) || iterations < 1) {
+    throw new Error("bench requires positive integer --records and --iterations");
+  }
+  if (RECEIVER_ENV === "prod" && flags.force !== "1") {
+    throw new Error("bench writes synthetic rows; refusing to run with RECEIVER_ENV=prod without --force");
+  }
+
+  const requestIds = [];
+  const runIds = [];
+  const durations = [];
+  let totalRecords = 0;
+  const started = Date.now();
+  try {
+    for (let i = 0; i < iterations; i += 1) {
+      const runId = `BENCH_${started}_${i}`;
+      const tReceivedMs = Date.now();
+      const capture = {
+        request_id: makeRequestId(),
+        t_received_ms: tReceivedMs,
+        path: "/bench",
+        method: "POST",
+        route_key_sha256: null,
+        client_ip_source: "bench",
+        allow_rule: "BENCH",
+        ...identityHashes(null, "bench"),
+        content_type: "application/json",
+        query_string: "",
+        raw_body: JSON.stringify(syntheticBundle(runId, records, tReceivedMs)),
+      };
+      requestIds.push(capture.request_id);
+      runIds.push(runId);
+
+      const t0 = process.hrtime.bigint();
+      const result = await ingestCapture(capture);
+      durations.push(Number(process.hrtime.bigint() - t0) / 1e6);
+      if (result.status !== 200) throw new Error(`bench bundle ${i} failed: ${JSON.stringify(result.body)}`);
+      totalRecords += result.body.accepted;
+    }
+  } finally {
+    if (flags.keep !== "1") {
+      await pool.query("delete from raw_events where request_id = any($1::text[])", [requestIds]);
+      await pool.query("delete from raw_requests where request_id = any($1::text[])", [requestIds]);
+      await pool.query("delete from runs where run_id = any($1::text[])", [runIds]);
+      await pool.query("delete from run_seq_ranges where run_id = any($1::text[])", [runIds]);
+      await pool.query("delete from seq_gaps where run_id = any($1::text[])", [runIds]);
+      await pool.query("delete from unknown_fields where stream_id = 'BENCH'");
+    }
+  }
+
+  const sorted = [...durations].sort((a, b) => a - b);
+  const totalMs = durations.reduce((sum, ms) => sum + ms, 0);
+  console.log(JSON.stringify({
+    ok: true,
+    bundles: iterations,
+    records_per_bundle: records + 1,
+    records_inserted: totalRecords,
+    total_ms: Math.round(totalMs),
+    bundle_ms_p50: percentile(sorted, 0.5),
+    bundle_ms_p95: percentile(sorted, 0.95),
+    bundle_ms_max: sorted[sorted.length - 1],
+    records_per_sec: Math.round(totalRecords / (totalMs / 1000)),
+    kept_rows: flags.keep === "1",
+  }, null, 2));
+}
+
+async function runNotifyTestCommand(argv) {
+  const { flags } = parseCliArgs(argv);
+  if (!NOTIFY_TARGETS.length) throw new Error("NOTIFY_WEBHOOK_URLS is not set");
+  const enqueued = await enqueueNotification(pool, {
+    kind: "test",
+    severity: "info",
+    dedup_key: `test:${flags.key || makeRequestId()}`,
+    summary: flags.message || "tv-receiver test notification",
+    details: { sent_by: "notify-test" },
+  });
+  console.log(JSON.stringify({ ok: true, enqueued, targets: NOTIFY_TARGETS.map((t) => t.origin) }, null, 2));
+  await runNotifyDispatchCommand();
+}
+
+async function runNotifyDispatchCommand() {
+  let delivered = 0;
+  for (;;) {
+    const r = await dispatchNotifications();
+    if (r.error) throw new Error(r.error);
+    if (!r.claimed) break;
+    delivered += r.claimed;
+  }
+  const rs = await pool.query(`select status, count(*)::int as n from notification_outbox group by status order by status`);
+  console.log(JSON.stringify({ ok: true, attempted: delivered, by_status: Object.fromEntries(rs.rows.map((r) => [r.status, r.n])) }, null, 2));
+}
+
+async function runBackfillCommand(argv) {
+  const { flags, positional } = parseCliArgs(argv);
+  const file = flags.file || positional[0];
+  if (!isNonEmptyString(file)) throw new Error("backfill requires --file <bundles.ndjson[.gz]>");
+
+  const decoder = file.endsWith(".gz") ? zlib.createGunzip() : null;
+  const input = decoder ? fs.createReadStream(file).pipe(decoder) : fs.createReadStream(file);
+  const summary = await runBackfill(input, { dryRun: flags["dry-run"] === "1", decoder });
+  console.log(JSON.stringify({ ok: summary.failed === 0 && !summary.aborted, file, dry_run: flags["dry-run"] === "1", ...summary }, null, 2));
+  if (summary.failed > 0 || summary.aborted) process.exitCode = 1;
+}
+
+async function runReplayCommand(argv) {
+  const { flags } = parseCliArgs(argv);
+  const selector = replaySelector({
+    request_id: flags["request-id"],
+    from_id: flags["from-id"],
+    to_id: flags["to-id"],
+    since: flags.since,
+    until: flags.until,
+    limit: flags.limit,
+  });
+  const run = await createReplayRun(selector);
+  const summary = await runReplay(run, selector);
+  console.log(JSON.stringify({ ok: summary.status !== "FAILED", ...summary }, null, 2));
+}
+
+const RETENTION_TABLES = {
+  raw_requests: {
+    columns: "id, request_id, received_at, payload_sha256, raw_body, raw_body_enc, raw_body_redacted",
+    bulky: [["raw_body", "text"], ["raw_body_enc", "jsonb"], ["raw_body_redacted", "text"]],
+  },
+  raw_events: {
+    columns: "id, raw_request_id, request_id, record_index, replay_generation, received_at, payload_sha256, payload, payload_raw_redacted",
+    bulky: [["payload", "jsonb"], ["payload_raw_redacted", "jsonb"]],
+  },
+};
+
+function retentionFileName(table, part, generation = 0) {
+  return `${table}.part-${String(part).padStart(3, "0")}${generation ? `.g${generation}` : ""}.ndjson.gz`;
+}
+
+async function retentionMaterializedWatermark() {
+  const rs = await pool.query(`select to_regclass('public.materializer_state') is not null as present`);
+  if (!rs.rows[0].present) return null;
+  const state = await pool.query(`select last_raw_event_id from materializer_state where id = 1`);
+  return state.rowCount ? String(state.rows[0].last_raw_event_id) : null;
+}
+
+function retentionScope(table, day, maxRawEventId) {
+  const spec = RETENTION_TABLES[table];
+  const params = [day];
+  const where = [
+    `received_at >= ($1::date)::timestamp at time zone 'UTC'`,
+    `received_at < ($1::date + 1)::timestamp at time zone 'UTC'`,
+    "archived_at is null",
+    `(${spec.bulky.map(([col]) => `${col} is not null`).join(" or ")})`,
+  ];
+  if (table === "raw_events") {
+    params.push(maxRawEventId);
+    where.push(`id <= $${params.length}`);
+  }
+  return { where: where.join(" and "), params };
+}
+
+async function retentionDays(table, cutoffDay, maxRawEventId) {
+  const spec = RETENTION_TABLES[table];
+  const params = [cutoffDay];
+  const where = [
+    "archived_at is null",
+    `received_at < ($1::date)::timestamp at time zone 'UTC'`,
+    `(${spec.bulky.map(([col]) => `${col} is not null`).join(" or ")})`,
+  ];
+  if (table === "raw_events") {
+    params.push(maxRawEventId);
+    where.push(`id <= $${params.length}`);
+  }
+  const rs = await pool.query(
+    `
+      select distinct to_char(received_at at time zone 'UTC', 'YYYY-MM-DD') as day
+      from ${table}
+      where ${where.join(" and ")}
+      order by day asc
+    `,
+    params
+  );
+  const held = await pool.query(
+    `
+      select distinct to_char(day_utc, 'YYYY-MM-DD') as day
+      from retention_archives
+      where restored_at > now() - make_interval(hours => $1)
+    `,
+    [RETENTION_RESTORE_HOLD_HOURS]
+  );
+  const heldDays = new Set(held.rows.map((r) => r.day));
+  return rs.rows.map((r) => r.day).filter((day) => !heldDays.has(day));
+}
+
+async function readRetentionArchive(file, onRow = null) {
+  const hash = crypto.createHash("sha256");
+  let sizeBytes = 0;
+  let rows = 0;
+  let failure = null;
+  const input = fs.createReadStream(file);
+  const gunzip = zlib.createGunzip();
+  input.on("data", (chunk) => {
+    hash.update(chunk);
+    sizeBytes += chunk.length;
+  });
+  const lines = readline.createInterface({ input: input.pipe(gunzip), crlfDelay: Infinity });
+  for (const stream of [input, gunzip]) {
+    stream.on("error", (e) => {
+      failure = e;
+      lines.close();
+    });
+  }
+  for await (const line of lines) {
+    if (!line) continue;
+    rows += 1;
+    if (onRow) await onRow(JSON.parse(line));
+  }
+  if (failure) throw failure;
+  return { sha256: hash.digest("hex"), size_bytes: sizeBytes, rows };
+}
+
+// Gzipped ndjson writer for archive parts; end() resolves once the file is flushed and fsynced.
+function openRetentionWriter(file) {
+  const gzip = zlib.createGzip();
+  const out = fs.createWriteStream(file);
+  const written = new Promise((resolve, reject) => {
+    out.on("finish", resolve);
+    out.on("error", reject);
+    gzip.on("error", reject);
+  });
+  gzip.pipe(out);
+  return {
+    async write(row) {
+      if (!gzip.write(`${JSON.stringify(row)}\n`)) await new Promise((resolve) => gzip.once("drain", resolve));
+    },
+    async end() {
+      gzip.end();
+      await written;
+      const fd = await fs.promises.open(file, "r+");
+      await fd.sync();
+      await fd.close();
+    },
+  };
+}
+
+async function writeRetentionManifest(day) {
+  const rs = await pool.query(
+    `
+      select table_name, part, file_name, sha256, size_bytes, row_count, min_id, max_id, archived_at, restored_at
+      from retention_archives
+      where day_utc = $1::date and completed_at is not null
+      order by table_name asc, part asc
+    `,
+    [day]
+  );
+  const manifest = {
+    day_utc: day,
+    generated_at: new Date().toISOString(),
+    files: rs.rows.map((r) => ({
+      table: r.table_name,
+      part: r.part,
+      file: r.file_name,
+      sha256: r.sha256,
+      size_bytes: Number(r.size_bytes),
+      row_count: r.row_count,
+      min_id: r.min_id,
+      max_id: r.max_id,
+      archived_at: r.archived_at.toISOString(),
+      restored_at: r.restored_at ? r.restored_at.toISOString() : null,
+    })),
+  };
+  const file = path.join(RETENTION_ARCHIVE_DIR, day, "manifest.json");
+  await fs.promises.writeFile(`${file}.tmp`, `${JSON.stringify(manifest, null, 2)}\n`);
+  await fs.promises.rename(`${file}.tmp`, file);
+}
+
+async function archiveRetentionDay(table, day, { dryRun = false, maxRawEventId = null } = {}) {
+  const spec = RETENTION_TABLES[table];
+  const scope = retentionScope(table, day, maxRawEventId);
+  const nullBulky = spec.bulky.map(([col]) => `${col} = null`).join(", ");
+
+  if (dryRun) {
+    const rs = await pool.query(
+      `
+        select count(*) filter (where archive_id is null)::int as rows,
+               count(*) filter (where archive_id is not null)::int as rearchived,
+               coalesce(sum(${spec.bulky.map(([col]) => `coalesce(octet_length(${col}::text), 0)`).join(" + ")}), 0)::bigint as bulky_bytes
+        from ${table}
+        where ${scope.where}
+      `,
+      scope.params
+    );
+    return { table, day, ...rs.rows[0], bulky_bytes: Number(rs.rows[0].bulky_bytes) };
+  }
+
+  // Restored rows go back to their original part only if that file is still there and intact;
+  // otherwise they lose the link and are written into the new part below.
+  const priorIds = await pool.query(
+    `select distinct archive_id from ${table} where ${scope.where} and archive_id is not null`,
+    scope.params
+  );
+  const prior = priorIds.rowCount
+    ? await pool.query(
+      `
+        select id, to_char(day_utc, 'YYYY-MM-DD') as day, file_name, sha256, row_count
+        from retention_archives
+        where id = any($1::bigint[])
+      `,
+      [priorIds.rows.map((r) => r.archive_id)]
+    )
+    : { rows: [] };
+  let rearchived = 0;
+  let unverified = 0;
+  for (const archive of prior.rows) {
+    const check = await readRetentionArchive(path.join(RETENTION_ARCHIVE_DIR, archive.day, archive.file_name)).catch(() => null);
+    const intact = check !== null && check.sha256 === archive.sha256 && check.rows === archive.row_count;
+    const rs = await pool.query(
+      intact
+        ? `update ${table} set ${nullBulky}, archived_at = now() where ${scope.where} and archive_id = $${scope.params.length + 1}`
+        : `update ${table} set archive_id = null where ${scope.where} and archive_id = $${scope.params.length + 1}`,
+      [...scope.params, archive.id]
+    );
+    if (intact) {
+      rearchived += rs.rowCount;
+    } else {
+      unverified += rs.rowCount;
+      console.warn(`retention: archive ${archive.day}/${archive.file_name} is missing or fails verification; ${rs.rowCount} restored ${table} row(s) go into a new part`);
+    }
+  }
+
+  const partRs = await pool.query(
+    `select coalesce(max(part), 0) + 1 as part from retention_archives where day_utc = $1::date and table_name = $2`,
+    [day, table]
+  );
+  const part = partRs.rows[0].part;
+  const fileName = retentionFileName(table, part);
+  const file = path.join(RETENTION_ARCHIVE_DIR, day, fileName);
+  const tmpFile = `${file}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+  const writer = openRetentionWriter(tmpFile);
+  const ids = [];
+  let cursor = "0";
+  for (;;) {
+    const rs = await pool.query(
+      `
+        select ${spec.columns}
+        from ${table}
+        where ${scope.where} and archive_id is null and id > $${scope.params.length + 1}
+        order by id asc
+        limit $${scope.params.length + 2}
+      `,
+      [...scope.params, cursor, RETENTION_BATCH_SIZE]
+    );
+    if (!rs.rowCount) break;
+    for (const row of rs.rows) {
+      await writer.write(row);
+      ids.push(row.id);
+    }
+    cursor = rs.rows[rs.rows.length - 1].id;
+  }
+  await writer.end();
+
+  if (!ids.length) {
+    await fs.promises.unlink(tmpFile).catch(() => {});
+    return { table, day, rows: 0, rearchived, unverified };
+  }
+
+  const check = await readRetentionArchive(tmpFile);
+  if (check.rows !== ids.length) {
+    throw new Error(`archive verification failed for ${fileName}: wrote ${ids.length} rows, read back ${check.rows}`);
+  }
+
+  // The part is claimed in its own commit before the file is moved into place, so a failure after
+  // the rename leaves an incomplete registration and the next run picks a fresh part number.
+  const archive = await pool.query(
+    `
+      insert into retention_archives (day_utc, table_name, part, file_name, sha256, size_bytes, row_count, min_id, max_id, completed_at)
+      values ($1::date, $2, $3, $4, $5, $6, $7, $8, $9, null)
+      returning id
+    `,
+    [day, table, part, fileName, check.sha256, check.size_bytes, ids.length, ids[0], ids[ids.length - 1]]
+  );
+  await fs.promises.rename(tmpFile, file);
+
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    for (let i = 0; i < ids.length; i += RETENTION_BATCH_SIZE) {
+      await client.query(
+        `update ${table} set ${nullBulky}, archived_at = now(), archive_id = $2 where id = any($1::bigint[]) and archived_at is null`,
+        [ids.slice(i, i + RETENTION_BATCH_SIZE), archive.rows[0].id]
+      );
+    }
+    await client.query(`update retention_archives set completed_at = now() where id = $1`, [archive.rows[0].id]);
+    await client.query("commit");
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  return {
+    table, day, part, file: fileName, rows: ids.length, rearchived, unverified,
+    sha256: check.sha256, size_bytes: check.size_bytes,
+  };
+}
+
+async function runRetentionArchive({ dryRun = false, maxAgeDays = RETENTION_MAX_AGE_DAYS } = {}) {
+  const lock = await pool.connect();
+  try {
+    const locked = await lock.query(`select pg_try_advisory_lock(hashtext('tv_receiver_retention')) as ok`);
+    if (!locked.rows[0].ok) throw new Error("another retention run holds the lock");
+
+    const cutoffDay = formatDayIdUTC(Date.now() - maxAgeDays * 86_400_000);
+    const maxRawEventId = await retentionMaterializedWatermark();
+    const results = [];
+    const touchedDays = new Set();
+    for (const table of Object.keys(RETENTION_TABLES)) {
+      if (table === "raw_events" && maxRawEventId === null) {
+        console.warn("retention: materializer_state not found; raw_events payloads are left in place");
+        continue;
+      }
+      for (const day of await retentionDays(table, cutoffDay, maxRawEventId)) {
+        const result = await archiveRetentionDay(table, day, { dryRun, maxRawEventId });
+        results.push(result);
+        if (result.part || result.rearchived) touchedDays.add(day);
+      }
+    }
+    if (!dryRun) {
+      for (const day of touchedDays) await writeRetentionManifest(day);
+    }
+    return {
+      cutoff_day: cutoffDay,
+      max_age_days: maxAgeDays,
+      archive_dir: RETENTION_ARCHIVE_DIR,
+      materialized_watermark: maxRawEventId,
+      dry_run: dryRun,
+      results,
+    };
+  } finally {
+    await lock.query(`select pg_advisory_unlock(hashtext('tv_receiver_retention'))`).catch(() => {});
+    lock.release();
+  }
+}
+
+async function restoreRetentionArchive(archive) {
+  const spec = RETENTION_TABLES[archive.table_name];
+  const file = path.join(RETENTION_ARCHIVE_DIR, archive.day, archive.file_name);
+  const client = await pool.connect();
+  let restored = 0;
+  let pending = [];
+  const flush = async () => {
+    if (!pending.length) return;
+    const rs = await client.query(
+      `
+        update ${archive.table_name} t
+        set ${spec.bulky.map(([col]) => `${col} = r.${col}`).join(", ")}, archived_at = null
+        from jsonb_to_recordset($1::jsonb) as r(id bigint, payload_sha256 text, ${spec.bulky.map(([col, type]) => `${col} ${type}`).join(", ")})
+        where t.id = r.id
+          and t.archive_id = $2
+          and t.payload_sha256 is not distinct from r.payload_sha256
+      `,
+      [JSON.stringify(pending), archive.id]
+    );
+    restored += rs.rowCount;
+    pending = [];
+  };
+
+  try {
+    await client.query("begin");
+    await readRetentionArchive(file, async (row) => {
+      if (archive.table_name === "raw_requests" && row.raw_body !== null && row.payload_sha256 && sha256Hex(row.raw_body) !== row.payload_sha256) {
+        throw new Error(`raw_body hash mismatch for raw_requests.id=${row.id} in ${archive.file_name}`);
+      }
+      pending.push(row);
+      if (pending.length >= RETENTION_BATCH_SIZE) await flush();
+    });
+    await flush();
+    await client.query(`update retention_archives set restored_at = now() where id = $1`, [archive.id]);
+    await client.query("commit");
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+  return { table: archive.table_name, part: archive.part, file: archive.file_name, rows: archive.row_count, restored, missing: archive.row_count - restored };
+}
+
+async function runRetentionRestore(day, { table = null } = {}) {
+  const manifestFile = path.join(RETENTION_ARCHIVE_DIR, day, "manifest.json");
+  const manifest = JSON.parse(await fs.promises.readFile(manifestFile, "utf8"));
+  const rs = await pool.query(
+    `
+      select id, to_char(day_utc, 'YYYY-MM-DD') as day, table_name, part, file_name, sha256, size_bytes, row_count
+      from retention_archives
+      where day_utc = $1::date and ($2::text is null or table_name = $2) and completed_at is not null
+      order by table_name asc, part asc
+    `,
+    [day, table]
+  );
+  if (!rs.rowCount) throw new Error(`no retention archives recorded for ${day}${table ? ` (${table})` : ""}`);
+
+  // A part whose rows were all re-archived elsewhere (its file was lost) has nothing left to restore.
+  const archives = [];
+  const skipped = [];
+  for (const archive of rs.rows) {
+    const referenced = await pool.query(`select 1 from ${archive.table_name} where archive_id = $1 limit 1`, [archive.id]);
+    if (referenced.rowCount) archives.push(archive);
+    else skipped.push({ table: archive.table_name, part: archive.part, file: archive.file_name, reason: "no_rows_reference_archive" });
+  }
+
+  for (const archive of archives) {
+    const entry = (manifest.files || []).find((f) => f.table === archive.table_name && f.part === archive.part);
+    if (!entry || entry.sha256 !== archive.sha256 || entry.file !== archive.file_name) {
+      throw new Error(`manifest ${manifestFile} does not match retention_archives for ${archive.file_name}`);
+    }
+    const check = await readRetentionArchive(path.join(RETENTION_ARCHIVE_DIR, day, archive.file_name)).catch((e) => {
+      throw new Error(`archive ${archive.file_name} failed verification: ${e?.message || String(e)}`);
+    });
+    if (check.sha256 !== archive.sha256 || check.rows !== archive.row_count) {
+      throw new Error(
+        `archive ${archive.file_name} failed verification: sha256=${check.sha256} rows=${check.rows}, expected sha256=${archive.sha256} rows=${archive.row_count}`
+      );
+    }
+  }
+
+  const results = [];
+  for (const archive of archives) results.push(await restoreRetentionArchive(archive));
+  await writeRetentionManifest(day);
+  return { day, hold_hours: RETENTION_RESTORE_HOLD_HOURS, results, skipped };
+}
+
+async function runRetentionCommand(argv) {
+  const { positional, flags } = parseCliArgs(argv);
+  const action = positional[0];
+  if (action === "archive") {
+    const maxAgeDays = flags["older-than-days"] === undefined ? RETENTION_MAX_AGE_DAYS : toInt(flags["older-than-days"]);
+    if (maxAgeDays === null || maxAgeDays < 1) throw new Error("--older-than-days must be a positive integer");
+    const summary = await runRetentionArchive({ dryRun: flags["dry-run"] === "1", maxAgeDays });
+    console.log(JSON.stringify({ ok: true, ...summary }, null, 2));
+  } else if (action === "restore") {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(flags.day || "")) throw new Error("retention restore requires --day YYYY-MM-DD");
+    if (flags.table !== undefined && !RETENTION_TABLES[flags.table]) throw new Error(`--table must be one of ${Object.keys(RETENTION_TABLES).join(", ")}`);
+    const summary = await runRetentionRestore(flags.day, { table: flags.table ?? null });
+    console.log(JSON.stringify({ ok: true, ...summary }, null, 2));
+  } else {
+    throw new Error("retention requires an action: archive | restore");
+  }
+}
+
+// Archived raw_requests parts keep raw_body_enc (and raw_body for rows stored under the plaintext
+// policy), so a rotation is only complete once they are rewritten too. Each changed part is written
+// under the next generation's file name, swapped in retention_archives in one transaction with the
+// rows' key ids, and only then is the old file removed.
+async function rotateArchivedRawBodies({ convertPlaintext }) {
+  const active = RAW_BODY_KEYRING.active;
+  const summary = { scanned: 0, rewritten: 0, rewrapped: 0, encrypted: 0, dropped: 0, failed: [] };
+  const lock = await pool.connect();
+  try {
+    const locked = await lock.query(`select pg_try_advisory_lock(hashtext('tv_receiver_retention')) as ok`);
+    if (!locked.rows[0].ok) throw new Error("another retention run holds the lock");
+
+    const rs = await pool.query(
+      `
+        select a.id, to_char(a.day_utc, 'YYYY-MM-DD') as day, a.part, a.generation, a.file_name, a.sha256, a.row_count,
+               exists (select 1 from raw_requests r where r.archive_id = a.id) as referenced
+        from retention_archives a
+        where a.table_name = 'raw_requests' and a.completed_at is not null
+        order by a.day_utc asc, a.part asc
+      `
+    );
+    const touchedDays = new Set();
+    for (const archive of rs.rows) {
+      const file = path.join(RETENTION_ARCHIVE_DIR, archive.day, archive.file_name);
+      if (!archive.referenced && !fs.existsSync(file)) continue;
+      summary.scanned += 1;
+
+      const generation = archive.generation + 1;
+      const nextName = retentionFileName("raw_requests", archive.part, generation);
+      const nextFile = path.join(RETENTION_ARCHIVE_DIR, archive.day, nextName);
+      const tmpFile = `${nextFile}.tmp`;
+      const counts = { rewrapped: 0, encrypted: 0, dropped: 0 };
+      const changed = [];
+      let renamed = false;
+      try {
+        const writer = openRetentionWriter(tmpFile);
+        const original = await readRetentionArchive(file, async (row) => {
+          if (convertPlaintext && row.raw_body !== null) {
+            const { raw_body_key_id: keyId, ...stored } = storedRawBody(row);
+            Object.assign(row, stored);
+            changed.push({ id: row.id, raw_body_key_id: keyId, raw_body_policy: RAW_BODY_POLICY });
+            counts[RAW_BODY_POLICY === "encrypt" ? "encrypted" : "dropped"] += 1;
+          } else if (row.raw_body_enc && active && row.raw_body_enc.kid !== active) {
+            row.raw_body_enc = rewrapRawBody(row.raw_body_enc);
+            changed.push({ id: row.id, raw_body_key_id: active, raw_body_policy: "encrypt" });
+            counts.rewrapped += 1;
+          }
+          await writer.write(row);
+        });
+        await writer.end();
+        if (original.sha256 !== archive.sha256 || original.rows !== archive.row_count) {
+          throw new Error(`failed verification: sha256=${original.sha256} rows=${original.rows}, expected sha256=${archive.sha256} rows=${archive.row_count}`);
+        }
+        if (!changed.length) {
+          await fs.promises.unlink(tmpFile);
+          continue;
+        }
+        const check = await readRetentionArchive(tmpFile);
+        if (check.rows !== archive.row_count) throw new Error(`rewrote ${archive.row_count} rows, read back ${check.rows}`);
+        await fs.promises.rename(tmpFile, nextFile);
+        renamed = true;
+
+        const client = await pool.connect();
+        try {
+          await client.query("begin");
+          const swapped = await client.query(
+            `
+              update retention_archives
+              set file_name = $2, sha256 = $3, size_bytes = $4, generation = $5
+              where id = $1 and sha256 = $6
+            `,
+            [archive.id, nextName, check.sha256, check.size_bytes, generation, archive.sha256]
+          );
+          if (!swapped.rowCount) throw new Error("retention_archives changed during rotation");
+          await client.query(
+            `
+              update raw_requests t
+              set raw_body_key_id = r.raw_body_key_id, raw_body_policy = r.raw_body_policy
+              from jsonb_to_recordset($1::jsonb) as r(id bigint, raw_body_key_id text, raw_body_policy text)
+              where t.id = r.id and t.archive_id = $2 and t.archived_at is not null
+            `,
+            [JSON.stringify(changed), archive.id]
+          );
+          await client.query("commit");
+        } catch (e) {
+          await client.query("rollback").catch(() => {});
+          throw e;
+        } finally {
+          client.release();
+        }
+        await fs.promises.unlink(file);
+        touchedDays.add(archive.day);
+        summary.rewritten += 1;
+        for (const [k, n] of Object.entries(counts)) summary[k] += n;
+      } catch (e) {
+        await fs.promises.unlink(renamed ? nextFile : tmpFile).catch(() => {});
+        const message = e?.message || String(e);
+        summary.failed.push({ file: `${archive.day}/${archive.file_name}`, error: message });
+        console.error(`raw body rotation failed for archive ${archive.day}/${archive.file_name}: ${message}`);
+      }
+    }
+    for (const day of touchedDays) await writeRetentionManifest(day);
+  } finally {
+    await lock.query(`select pg_advisory_unlock(hashtext('tv_receiver_retention'))`).catch(() => {});
+    lock.release();
+  }
+  return summary;
+}
+
+async function rotateRawBodies({ dryRun = false, batchSize = 500 } = {}) {
+  const active = RAW_BODY_KEYRING.active;
+  const convertPlaintext = RAW_BODY_POLICY !== "plaintext";
+  const selectWhere = `
+    ((raw_body_enc is not null and $1::text is not null and raw_body_key_id is distinct from $1)
+      or ($2::boolean and raw_body is not null))
+  `;
+
+  if (dryRun) {
+    const rs = await pool.query(
+      `
+        select count(*) filter (where raw_body_enc is not null and raw_body_key_id is distinct from $1)::int as rewrap,
+               count(*) filter (where raw_body is not null)::int as plaintext
+        from raw_requests
+        where ${selectWhere}
+      `,
+      [active, convertPlaintext]
+    );
+    const archives = await pool.query(
+      `select count(*)::int as n from retention_archives where table_name = 'raw_requests' and completed_at is not null`
+    );
+    return { dry_run: true, policy: RAW_BODY_POLICY, active_key_id: active, ...rs.rows[0], archives_to_scan: archives.rows[0].n };
+  }
+
+  const summary = { rewrapped: 0, encrypted: 0, dropped: 0, failed: 0 };
+  let cursor = "0";
+  for (;;) {
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const rs = await client.query(
+        `
+          select id, request_id, raw_body, raw_body_enc, raw_body_key_id
+          from raw_requests
+          where ${selectWhere} and id > $3
+          order by id asc
+          limit $4
+          for update skip locked
+        `,
+        [active, convertPlaintext, cursor, batchSize]
+      );
+      if (!rs.rowCount) {
+        await client.query("commit");
+        break;
+      }
+      const updates = [];
+      for (const row of rs.rows) {
+        try {
+          if (convertPlaintext && row.raw_body !== null) {
+            const stored = storedRawBody(row);
+            updates.push({ id: row.id, ...stored, raw_body_policy: RAW_BODY_POLICY });
+            summary[RAW_BODY_POLICY === "encrypt" ? "encrypted" : "dropped"] += 1;
+          } else {
+            const envelope = rewrapRawBody(row.raw_body_enc);
+            updates.push({ id: row.id, raw_body: null, raw_body_enc: envelope, raw_body_key_id: envelope.kid, raw_body_policy: "encrypt" });
+            summary.rewrapped += 1;
+          }
+        } catch (e) {
+          summary.failed += 1;
+          console.error(`raw body rotation failed for raw_requests.id=${row.id}: ${e?.message || String(e)}`);
+        }
+      }
+      if (updates.length) {
+        await client.query(
+          `
+            update raw_requests t
+            set raw_body = r.raw_body,
+                raw_body_enc = r.raw_body_enc,
+                raw_body_key_id = r.raw_body_key_id,
+                raw_body_policy = r.raw_body_policy
+            from jsonb_to_recordset($1::jsonb) as r(id bigint, raw_body text, raw_body_enc jsonb, raw_body_key_id text, raw_body_policy text)
+            where t.id = r.id
+          `,
+          [JSON.stringify(updates)]
+        );
+      }
+      await client.query("commit");
+      cursor = rs.rows[rs.rows.length - 1].id;
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  const archives = await rotateArchivedRawBodies({ convertPlaintext });
+
+  // A key can be retired once it is missing here: archived rows keep the key id of their envelope.
+  const remaining = await pool.query(
+    `
+      select raw_body_key_id as key_id,
+             count(*) filter (where raw_body_enc is not null)::int as rows,
+             count(*) filter (where archived_at is not null)::int as archived_rows
+      from raw_requests
+      where raw_body_key_id is not null and (raw_body_enc is not null or archived_at is not null)
+      group by raw_body_key_id
+      order by raw_body_key_id asc
+    `
+  );
+  return { policy: RAW_BODY_POLICY, active_key_id: active, ...summary, archives, encrypted_rows_by_key: remaining.rows };
+}
+
+async function readRawBodyAudited({ requestId, actor, reason }) {
+  const rs = await pool.query(
+    `
+      select id, request_id, raw_body, raw_body_enc, raw_body_key_id, raw_body_policy, archived_at
+      from raw_requests
+      where request_id = $1
+    `,
+    [requestId]
+  );
+  if (!rs.rowCount) throw new Error(`raw request ${requestId} not found`);
+  const row = rs.rows[0];
+
+  let body = null;
+  let error = null;
+  try {
+    body = readableRawBody(row);
+    if (body === null) error = row.archived_at ? "archived" : `not_stored:${row.raw_body_policy || "unknown"}`;
+  } catch (e) {
+    error = e?.message || String(e);
+  }
+  await pool.query(
+    `
+      insert into raw_body_access_log (raw_request_id, request_id, key_id, actor, reason, outcome, error)
+      values ($1, $2, $3, $4, $5, $6, $7)
+    `,
+    [row.id, row.request_id, row.raw_body_key_id, actor, reason, error ? "failed" : "ok", error]
+  );
+  if (error) throw new Error(`raw body for ${requestId} is not readable: ${error}`);
+  return { row, body };
+}
+
+async function runRawBodyCommand(argv) {
+  const { positional, flags } = parseCliArgs(argv);
+  const action = positional[0];
+  if (action === "rotate") {
+    const batchSize = flags.batch === undefined ? 500 : toInt(flags.batch);
+    if (batchSize === null || batchSize < 1) throw new Error("--batch must be a positive integer");
+    const summary = await rotateRawBodies({ dryRun: flags["dry-run"] === "1", batchSize });
+    const ok = !summary.failed && !summary.archives?.failed.length;
+    console.log(JSON.stringify({ ok, ...summary }, null, 2));
+    if (!ok) process.exitCode = 1;
+  } else if (action === "decrypt") {
+    if (!isNonEmptyString(flags["request-id"])) throw new Error("raw-body decrypt requires --request-id");
+    if (!isNonEmptyString(flags.reason)) throw new Error("raw-body decrypt requires --reason");
+    const actor = isNonEmptyString(flags.actor) ? flags.actor.trim() : (process.env.USER || "unknown");
+    const { row, body } = await readRawBodyAudited({ requestId: flags["request-id"].trim(), actor, reason: flags.reason.trim() });
+    if (isNonEmptyString(flags.out)) {
+      fs.writeFileSync(flags.out, body, { mode: 0o600 });
+      console.log(JSON.stringify({ ok: true, request_id: row.request_id, key_id: row.raw_body_key_id, out: flags.out, bytes: Buffer.byteLength(body, "utf8") }, null, 2));
+    } else {
+      process.stdout.write(body.endsWith("\n") ? body : `${body}\n`);
+    }
+  } else {
+    throw new Error("raw-body requires an action: rotate | decrypt");
+  }
+}
+
+async function runHashPeppersCommand(argv) {
+  const { positional, flags } = parseCliArgs(argv);
+  const action = positional[0] || "status";
+  if (action === "status") {
+    const rs = await pool.query(
+      `
+        select coalesce(hash_key_version, 'legacy') as hash_key_version,
+               hash_prev_key_version,
+               count(*)::int as rows,
+               min(received_at) as first_received_at,
+               max(received_at) as last_received_at
+        from raw_requests
+        group by 1, 2
+        order by min(received_at) asc
+      `
+    );
+    const events = await pool.query(
+      `
+        select coalesce(hash_key_version, 'legacy') as hash_key_version, count(*)::int as rows
+        from raw_events
+        group by 1
+        order by 1 asc
+      `
+    );
+    console.log(JSON.stringify({
+      ok: true,
+      active: HASH_PEPPERS.active || UNKEYED_HASH_VERSION,
+      previous: HASH_PEPPERS.previous,
+      configured: [...HASH_PEPPERS.peppers.keys()],
+      raw_requests: rs.rows,
+      raw_events: events.rows,
+    }, null, 2));
+  } else if (action === "lookup") {
+    if (!isNonEmptyString(flags.ip) && !isNonEmptyString(flags["user-agent"])) {
+      throw new Error("hash-peppers lookup requires --ip and/or --user-agent");
+    }
+    const versions = [...HASH_PEPPERS.peppers.keys(), UNKEYED_HASH_VERSION];
+    const ipHashes = isNonEmptyString(flags.ip) ? versions.map((v) => keyedHash(flags.ip.trim(), v)) : null;
+    const uaHashes = isNonEmptyString(flags["user-agent"]) ? versions.map((v) => keyedHash(flags["user-agent"], v)) : null;
+    const rs = await pool.query(
+      `
+        select coalesce(hash_key_version, 'legacy') as hash_key_version, count(*)::int as rows,
+               min(received_at) as first_received_at, max(received_at) as last_received_at,
+               (array_agg(request_id order by id desc))[1:5] as latest_request_ids
+        from raw_requests
+        where ($1::text[] is null or source_ip_hash = any($1) or source_ip_hash_prev = any($1))
+          and ($2::text[] is null or user_agent_hash = any($2) or user_agent_hash_prev = any($2))
+        group by 1
+        order by min(received_at) asc
+      `,
+      [ipHashes, uaHashes]
+    );
+    console.log(JSON.stringify({ ok: true, versions_checked: versions, matches: rs.rows }, null, 2));
+  } else {
+    throw new Error("hash-peppers requires an action: status | lookup");
+  }
+}
+
+const watchdog = {
+  timer: null,
+  running: false,
+  lastRunAt: null,
+  lastError: null,
+};
+
+function streamHealthKey(row) {
+  return `${row.stream_id}\u0000${row.symbol}\u0000${row.tf_sec}`;
+}
+
+async function runWatchdog() {
+  if (watchdog.running) return;
+  watchdog.running = true;
+  const client = await pool.connect().catch((e) => {
+    watchdog.lastError = e?.message || String(e);
+    return null;
+  });
+  if (!client) {
+    watchdog.running = false;
+    return;
+  }
+
+  try {
+    await client.query("begin");
+    const lock = await client.query(`select pg_try_advisory_xact_lock(hashtext('tv_receiver_watchdog')) as ok`);
+    if (!lock.rows[0].ok) {
+      await client.query("commit");
+      return;
+    }
+
+    const nowMs = Date.now();
+    const stats = await client.query(
+      `
+        with arrivals as (
+          select distinct coalesce(stream_id, 'UNKNOWN') as stream_id, coalesce(symbol, '') as symbol, tf_sec, t_received_ms,
+                 exchange, instrument_type
+          from raw_events
+          where received_at >= to_timestamp($1 / 1000.0)
+            and replay_generation = 0
+            and tf_sec > 0
+            and row_type not in ('ERROR', 'INGRESS_REJECT', 'DUPLICATE')
+        ), gaps as (
+          select stream_id, symbol, tf_sec, t_received_ms, exchange, instrument_type,
+                 t_received_ms - lag(t_received_ms) over (partition by stream_id, symbol, tf_sec order by t_received_ms) as gap_ms
+          from arrivals
+        )
+        select stream_id, symbol, tf_sec,
+               max(exchange) as exchange, max(instrument_type) as instrument_type,
+               max(t_received_ms)::float8 as last_received_ms,
+               (count(gap_ms) filter (where gap_ms > 0))::int as gap_samples,
+               percentile_cont(0.5) within group (order by gap_ms) filter (where gap_ms > 0) as median_gap_ms
+        from gaps
+        group by stream_id, symbol, tf_sec
+      `,
+      [nowMs - WATCHDOG_LOOKBACK_MS]
+    );
+    const current = await client.query(
+      `select stream_id, symbol, tf_sec, state, exchange, instrument_type,
+              last_received_ms::float8 as last_received_ms, expected_interval_ms::float8 as expected_interval_ms
+       from stream_health_current`
+    );
+
+    const streams = new Map(current.rows.map((row) => [streamHealthKey(row), { previous: row, learned: null }]));
+    for (const row of stats.rows) {
+      const key = streamHealthKey(row);
+      streams.set(key, { previous: streams.get(key)?.previous ?? null, learned: row });
+    }
+
+    const rows = [];
+    const transitions = [];
+    for (const { previous, learned } of streams.values()) {
+      const base = learned || previous;
+      const tfMs = Number(base.tf_sec) * 1000;
+      const expectedIntervalMs = learned
+        ? (learned.gap_samples >= WATCHDOG_MIN_SAMPLES ? Math.max(Number(learned.median_gap_ms), tfMs) : tfMs)
+        : Number(previous.expected_interval_ms) || tfMs;
+      const lastReceivedMs = Math.max(Number(learned?.last_received_ms || 0), Number(previous?.last_received_ms || 0));
+      const thresholdMs = Math.max(expectedIntervalMs * WATCHDOG_STALE_MULTIPLE, WATCHDOG_MIN_SILENCE_MS);
+      const exchange = learned?.exchange ?? previous?.exchange ?? null;
+      const instrumentType = learned?.instrument_type ?? previous?.instrument_type ?? null;
+      // Only time inside the stream's trading session counts as silence, so closed markets do not go STALE.
+      const { name: calendarName, cal } = calendarFor(SESSION_CALENDAR, { exchange, instrument_type: instrumentType });
+      const silenceMs = sessionOpenMsBetween(cal, lastReceivedMs, nowMs, thresholdMs);
+      const state = silenceMs > thresholdMs ? "STALE" : "OK";
+
+      const row = {
+        stream_id: base.stream_id,
+        symbol: base.symbol,
+        tf_sec: Number(base.tf_sec),
+        exchange,
+        instrument_type: instrumentType,
+        calendar: calendarName,
+        state,
+        last_received_ms: lastReceivedMs,
+        expected_interval_ms: Math.round(expectedIntervalMs),
+        threshold_ms: Math.round(thresholdMs),
+        silence_ms: silenceMs,
+        changed: previous?.state !== state,
+      };
+      rows.push(row);
+      if (row.changed) transitions.push({ ...row, from_state: previous?.state ?? null });
+    }
+
+    if (rows.length) {
+      await client.query(
+        `
+          insert into stream_health_current (
+            stream_id, symbol, tf_sec, exchange, instrument_type, calendar, state, state_since, last_received_ms,
+            expected_interval_ms, threshold_ms, silence_ms, checked_at
+          )
+          select stream_id, symbol, tf_sec, exchange, instrument_type, calendar, state, now(), last_received_ms,
+                 expected_interval_ms, threshold_ms, silence_ms, now()
+          from jsonb_to_recordset($1::jsonb) as r(
+            stream_id text, symbol text, tf_sec integer, exchange text, instrument_type text, calendar text,
+            state text, last_received_ms bigint, expected_interval_ms bigint, threshold_ms bigint,
+            silence_ms bigint, changed boolean
+          )
+          on conflict (stream_id, symbol, tf_sec) do update set
+            exchange = excluded.exchange,
+            instrument_type = excluded.instrument_type,
+            calendar = excluded.calendar,
+            state = excluded.state,
+            state_since = case when stream_health_current.state = excluded.state
+              then stream_health_current.state_since else now() end,
+            last_received_ms = excluded.last_received_ms,
+            expected_interval_ms = excluded.expected_interval_ms,
+            threshold_ms = excluded.threshold_ms,
+            silence_ms = excluded.silence_ms,
+            checked_at = now()
+        `,
+        [JSON.stringify(rows)]
+      );
+    }
+    if (transitions.length) {
+      await client.query(
+        `
+          insert into stream_health (
+            stream_id, symbol, tf_sec, from_state, to_state, last_received_ms,
+            expected_interval_ms, threshold_ms, silence_ms
+          )
+          select stream_id, symbol, tf_sec, from_state, state, last_received_ms,
+                 expected_interval_ms, threshold_ms, silence_ms
+          from jsonb_to_recordset($1::jsonb) as r(
+            stream_id text, symbol text, tf_sec integer, from_state text, state text, last_received_ms bigint,
+            expected_interval_ms bigint, threshold_ms bigint, silence_ms bigint
+          )
+        `,
+        [JSON.stringify(transitions)]
+      );
+    }
+    await openTrailingSeqGaps(client, transitions.filter((t) => t.state === "STALE"));
+    for (const t of transitions.filter((t) => t.state === "STALE" || t.from_state === "STALE")) {
+      await enqueueNotification(client, {
+        kind: t.state === "STALE" ? "stream_stale" : "stream_recovered",
+        severity: t.state === "STALE" ? "warning" : "info",
+        dedup_key: `${t.state === "STALE" ? "stream_stale" : "stream_recovered"}:${t.stream_id}|${t.symbol}|${t.tf_sec}`,
+        summary: `stream ${t.stream_id} ${t.symbol || "-"} tf=${t.tf_sec}s is ${t.state} (silence ${Math.round(t.silence_ms / 1000)}s, threshold ${Math.round(t.threshold_ms / 1000)}s)`,
+        details: {
+          stream_id: t.stream_id,
+          symbol: t.symbol,
+          tf_sec: t.tf_sec,
+          from_state: t.from_state,
+          to_state: t.state,
+          last_received_at: t.last_received_ms ? new Date(t.last_received_ms).toISOString() : null,
+          silence_ms: t.silence_ms,
+          threshold_ms: t.threshold_ms,
+        },
+      });
+    }
+    await client.query("commit");
+
+    for (const t of transitions) {
+      incMetric("tv_receiver_stream_transitions_total", { to_state: t.state });
+      if (t.state === "STALE" || t.from_state === "STALE") {
+        console.log(`stream ${t.stream_id} ${t.symbol || "-"} tf=${t.tf_sec}s ${t.from_state ?? "NEW"} -> ${t.state} (silence ${Math.round(t.silence_ms / 1000)}s, threshold ${Math.round(t.threshold_ms / 1000)}s)`);
+      }
+    }
+    setMetric("tv_receiver_stale_streams", {}, rows.filter((r) => r.state === "STALE").length);
+    watchdog.lastRunAt = nowMs;
+    watchdog.lastError = null;
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    if (watchdog.lastError !== (e?.message || String(e))) console.error("watchdog failed:", e?.message || String(e));
+    watchdog.lastError = e?.message || String(e);
+  } finally {
+    client.release();
+    watchdog.running = false;
+  }
+}
+
+async function serve() {
+  if (!HASH_PEPPERS.active) {
+    console.warn(
+      `HASH_PEPPERS is not set: client IP and user agent hashes are unkeyed ${UNKEYED_HASH_VERSION} and can be reversed ` +
+        "by hashing candidate addresses. Set HASH_PEPPERS before this receiver sees real traffic (it is required in prod)"
+    );
+  }
+  if (!process.env.RAW_BODY_POLICY && RAW_BODY_POLICY === "drop") {
+    console.warn(
+      "RAW_BODY_POLICY defaults to drop because no RAW_BODY_KEYS are configured: request bodies are not stored, " +
+        "so replay and retention restore have no bodies to work from. Set RAW_BODY_KEYS, or RAW_BODY_POLICY=drop to make this explicit"
+    );
+  }
+  if (RECEIVER_ENV === "prod" && !RAW_BODY_KEYRING.active) {
+    console.error("FATAL: RAW_BODY_KEYS (or RAW_BODY_KEYS_FILE) must be set in prod: spooled request bodies would be written in plaintext");
+    process.exit(1);
+  }
+  if (RAW_BODY_POLICY !== "plaintext" && !RAW_BODY_KEYRING.active) {
+    console.warn("spooled request bodies are written in plaintext until drained; set RAW_BODY_KEYS to encrypt them");
+  }
+  loadSpool();
+  try {
+    await ensureSchema();
+    await pool.query("select 1");
+    schemaReady = true;
+  } catch (e) {
+    console.error("database unavailable at startup, spooling until it recovers:", e?.message || String(e));
+  }
+
+  lifecycle.drainTimer = setInterval(() => {
+    drainSpool();
+  }, SPOOL_DRAIN_INTERVAL_MS);
+  drainSpool();
+
+  if (NOTIFY_TARGETS.length && NOTIFY_DISPATCH_INTERVAL_MS > 0) {
+    notifier.timer = setInterval(() => {
+      if (schemaReady) dispatchNotifications();
+    }, NOTIFY_DISPATCH_INTERVAL_MS);
+  }
+
+  if (WATCHDOG_INTERVAL_MS > 0) {
+    watchdog.timer = setInterval(() => {
+      if (schemaReady) runWatchdog();
+    }, WATCHDOG_INTERVAL_MS);
+  }
+
+  lifecycle.server = app.listen(PORT, "0.0.0.0", () => {
+    console.log(`tv-receiver secret-free ingress listening on ${PORT}`);
+  });
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
+
+async function shutdown(signal) {
+  if (lifecycle.drainingSince !== null) {
+    console.log(`tv-receiver received ${signal} while draining, exiting now`);
+    process.exit(1);
+  }
+  lifecycle.drainingSince = Date.now();
+  console.log(`tv-receiver draining (${signal}), in_flight=${lifecycle.inFlight}, deadline_ms=${SHUTDOWN_DRAIN_DEADLINE_MS}`);
+
+  clearInterval(lifecycle.drainTimer);
+  clearInterval(watchdog.timer);
+  clearInterval(notifier.timer);
+  lifecycle.server.close();
+  lifecycle.server.closeIdleConnections();
+
+  const deadline = lifecycle.drainingSince + SHUTDOWN_DRAIN_DEADLINE_MS;
+  while ((lifecycle.inFlight > 0 || spool.draining || watchdog.running || notifier.running) && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  let exitCode = 0;
+  if (lifecycle.inFlight > 0 || spool.draining) {
+    console.error(`tv-receiver drain deadline reached with ${lifecycle.inFlight} request(s) in flight; spooled requests will be drained on next start`);
+    exitCode = 1;
+  }
+  lifecycle.server.closeAllConnections();
+
+  try {
+    if (spool.active) fs.closeSync(spool.active.fd);
+    if (exitCode === 0) await pool.end();
+  } catch (e) {
+    console.error("shutdown cleanup failed:", e?.message || String(e));
+  } finally {
+    console.log(`tv-receiver stopped after ${Date.now() - lifecycle.drainingSince}ms`);
+    process.exit(exitCode);
+  }
+}
+
+async function main() {
+  const command = process.argv[2] || "serve";
+  if (command === "serve") return serve();
+
+  await ensureSchema();
+  await pool.query("select 1");
+  try {
+    if (command === "profiles") {
+      await runProfilesCommand(process.argv.slice(3));
+    } else if (command === "bench") {
+      await runBenchCommand(process.argv.slice(3));
+    } else if (command === "notify-test") {
+      await runNotifyTestCommand(process.argv.slice(3));
+    } else if (command === "notify-dispatch") {
+      await runNotifyDispatchCommand();
+    } else if (command === "backfill") {
+      await runBackfillCommand(process.argv.slice(3));
+    } else if (command === "hash-peppers") {
+      await runHashPeppersCommand(process.argv.slice(3));
+    } else if (command === "raw-body") {
+      await runRawBodyCommand(process.argv.slice(3));
+    } else if (command === "retention") {
+      await runRetentionCommand(process.argv.slice(3));
+    } else if (command === "replay") {
+      await runReplayCommand(process.argv.slice(3));
+    } else {
+      throw new Error(`unknown command: ${command}`);
+    }
+  } finally {
+    await pool.end().catch(() => {});
+  }
 }
 
 main().catch((e) => {
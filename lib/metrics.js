@@ -0,0 +1,69 @@
+// Prometheus text-format registry shared by the receiver, materializer and drive exporter. Each
+// process keeps its own series in memory and serves or writes them with renderMetrics().
+
+const METRICS = new Map();
+
+export function defineMetric(name, type, help, buckets = null) {
+  METRICS.set(name, { name, type, help, buckets, series: new Map() });
+}
+
+function metricSeries(name, labels = {}) {
+  const metric = METRICS.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort());
+  let series = metric.series.get(key);
+  if (!series) {
+    series = metric.type === "histogram"
+      ? { labels, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+export function incMetric(name, labels = {}, by = 1) {
+  metricSeries(name, labels).value += by;
+}
+
+export function setMetric(name, labels, value) {
+  metricSeries(name, labels).value = value;
+}
+
+export function observeMetric(name, labels, value) {
+  const metric = METRICS.get(name);
+  const series = metricSeries(name, labels);
+  metric.buckets.forEach((le, i) => {
+    if (value <= le) series.buckets[i] += 1;
+  });
+  series.sum += value;
+  series.count += 1;
+}
+
+function formatMetricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  const body = entries
+    .map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`)
+    .join(",");
+  return `{${body}}`;
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of METRICS.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatMetricLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((le, i) => {
+        lines.push(`${metric.name}_bucket${formatMetricLabels({ ...series.labels, le })} ${series.buckets[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatMetricLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,134 @@
+import crypto from "crypto";
+
+// Notification outbox shared by the receiver, materializer and drive exporter. Only the receiver
+// delivers; it registers its NOTIFY_WEBHOOK_URLS in notification_targets and every process fans
+// new notifications out to the targets registered there, so producers need no webhook config.
+
+const warnedNoTargets = new Set();
+
+export function parseNotifyTargets(raw) {
+  const targets = String(raw || "").split(",").map((s) => s.trim()).filter(Boolean).map((url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      throw new Error(`NOTIFY_WEBHOOK_URLS contains an invalid http(s) URL: ${parsed ? parsed.origin : "[unparseable]"}`);
+    }
+    return { id: crypto.createHash("sha256").update(url, "utf8").digest("hex").slice(0, 16), url, origin: parsed.origin };
+  });
+  if (new Set(targets.map((t) => t.id)).size !== targets.length) {
+    throw new Error("NOTIFY_WEBHOOK_URLS lists the same URL more than once");
+  }
+  return targets;
+}
+
+export async function ensureNotificationSchema(db) {
+  await db.query(`
+    create table if not exists notification_outbox (
+      id bigserial primary key,
+      source text not null,
+      kind text not null,
+      severity text not null default 'warning',
+      dedup_key text not null,
+      target text not null,
+      summary text not null,
+      details jsonb,
+      status text not null default 'PENDING',
+      attempts integer not null default 0,
+      next_attempt_at timestamptz not null default now(),
+      locked_until timestamptz,
+      last_error text,
+      last_status_code integer,
+      duplicate_count integer not null default 0,
+      created_at timestamptz not null default now(),
+      last_seen_at timestamptz not null default now(),
+      delivered_at timestamptz
+    );
+  `);
+  await db.query(`alter table notification_outbox add column if not exists dedup_active boolean not null default false;`);
+  await db.query(`create index if not exists notification_outbox_due_idx on notification_outbox (next_attempt_at) where status in ('PENDING', 'SENDING');`);
+  await db.query(`create index if not exists notification_outbox_dedup_idx on notification_outbox (dedup_key, target, created_at desc);`);
+  await db.query(`
+    create unique index if not exists notification_outbox_dedup_active_uidx
+    on notification_outbox (dedup_key, target) where dedup_active;
+  `);
+  await db.query(`
+    create table if not exists notification_targets (
+      id text primary key,
+      origin text not null,
+      active boolean not null default true,
+      registered_at timestamptz not null default now(),
+      updated_at timestamptz not null default now()
+    );
+  `);
+}
+
+// Called by the delivering process: its targets become the active set, anything else is retired.
+export async function registerNotificationTargets(db, targets) {
+  await db.query(
+    `
+      with mine as (
+        select id, origin from jsonb_to_recordset($1::jsonb) as r(id text, origin text)
+      ), upserted as (
+        insert into notification_targets (id, origin)
+        select id, origin from mine
+        on conflict (id) do update set origin = excluded.origin, active = true, updated_at = now()
+        returning id
+      )
+      update notification_targets set active = false, updated_at = now()
+      where active and id not in (select id from mine)
+    `,
+    [JSON.stringify(targets.map((t) => ({ id: t.id, origin: t.origin })))]
+  );
+}
+
+// One row per active target. A row stays the dedup anchor for its (dedup_key, target) until the
+// window passes or it goes DEAD; repeats inside the window only bump duplicate_count. The unique
+// partial index makes concurrent enqueues from different processes collapse onto one row.
+export async function enqueueNotification(db, { source, dedupWindowSec }, { kind, severity = "warning", dedup_key: dedupKey, summary, details = null }) {
+  await db.query(
+    `
+      update notification_outbox
+      set dedup_active = false
+      where dedup_active and dedup_key = $1
+        and (status = 'DEAD' or created_at <= now() - make_interval(secs => $2))
+    `,
+    [dedupKey, dedupWindowSec]
+  );
+  const rs = await db.query(
+    `
+      insert into notification_outbox (source, kind, severity, dedup_key, target, summary, details, dedup_active)
+      select $1, $2, $3, $4, t.id, $5, $6::jsonb, true
+      from notification_targets t
+      where t.active
+      on conflict (dedup_key, target) where dedup_active do update set
+        duplicate_count = notification_outbox.duplicate_count + 1,
+        last_seen_at = now()
+      returning (xmax = 0) as inserted
+    `,
+    [source, kind, severity, dedupKey, summary, JSON.stringify(details)]
+  );
+  if (!rs.rowCount && !warnedNoTargets.has(kind)) {
+    warnedNoTargets.add(kind);
+    console.warn(`WARN: no notification targets are registered (set NOTIFY_WEBHOOK_URLS on the receiver); dropping ${kind} notifications`);
+  }
+  return rs.rows.filter((r) => r.inserted).length;
+}
+
+// Startup check for processes that only enqueue: their own NOTIFY_WEBHOOK_URLS (if any) should
+// match what the receiver registered, and an empty registry means alerts go nowhere.
+export async function notificationTargetWarnings(db, configured = []) {
+  const rs = await db.query(`select id from notification_targets where active`);
+  const active = new Set(rs.rows.map((r) => r.id));
+  const warnings = [];
+  if (!active.size) {
+    warnings.push("no notification targets are registered (set NOTIFY_WEBHOOK_URLS on the receiver); notifications will be dropped");
+  }
+  for (const t of configured) {
+    if (!active.has(t.id)) warnings.push(`NOTIFY_WEBHOOK_URLS target ${t.origin} is not registered by the receiver and will not be notified`);
+  }
+  return warnings;
+}
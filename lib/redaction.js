@@ -0,0 +1,68 @@
+import fs from "fs";
+
+// Redaction policy shared by the receiver, materializer and drive exporter. See
+// redaction_policy.json for the document format.
+//
+// Key names are redacted wherever they appear. Value detectors are noisier: they scan every string
+// only when a whole raw document is redacted (scan: "all", for raw_body_redacted and the raw_events
+// payload copies) and otherwise only the policy's free-text keys. Exempt keys (identifiers, hashes)
+// are never scanned, but objects nested under them still are.
+
+export function loadRedactionPolicy(filePath) {
+  const doc = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return {
+    replacement: doc.replacement || "[REDACTED]",
+    keys: new Set((doc.keys || []).map((k) => String(k).toLowerCase())),
+    keyPatterns: (doc.key_patterns || []).map((p) => new RegExp(p, "i")),
+    exemptKeys: new Set((doc.exempt_keys || []).map((k) => String(k).toLowerCase())),
+    exemptKeyPatterns: (doc.exempt_key_patterns || []).map((p) => new RegExp(p, "i")),
+    freeTextKeys: new Set((doc.free_text_keys || []).map((k) => String(k).toLowerCase())),
+    detectors: (doc.value_detectors || []).map((d) => {
+      if (!d?.name || !d?.pattern) throw new Error("value_detectors need name and pattern");
+      return { name: d.name, regex: new RegExp(d.pattern, `g${String(d.flags || "").replace(/g/g, "")}`) };
+    }),
+  };
+}
+
+export function redactionKeyVerdict(policy, k) {
+  const key = String(k).toLowerCase();
+  if (policy.exemptKeys.has(key) || policy.exemptKeyPatterns.some((re) => re.test(key))) return "exempt";
+  if (policy.keys.has(key) || policy.keyPatterns.some((re) => re.test(key))) return "redact";
+  if (policy.freeTextKeys.has(key)) return "free_text";
+  return null;
+}
+
+export function redactString(policy, value, counts = null) {
+  let out = value;
+  for (const detector of policy.detectors) {
+    out = out.replace(detector.regex, () => {
+      if (counts) counts[detector.name] = (counts[detector.name] || 0) + 1;
+      return `[REDACTED:${detector.name}]`;
+    });
+  }
+  return out;
+}
+
+function redactValue(policy, value, counts, scanning, exempt) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return scanning && !exempt ? redactString(policy, value, counts) : value;
+  if (Array.isArray(value)) return value.map((v) => redactValue(policy, v, counts, scanning, exempt));
+  if (typeof value !== "object") return value;
+  if (value instanceof Date) return value;
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    const verdict = redactionKeyVerdict(policy, k);
+    if (verdict === "redact") {
+      out[k] = policy.replacement;
+      if (counts) counts.key_name = (counts.key_name || 0) + 1;
+    } else {
+      out[k] = redactValue(policy, v, counts, scanning || verdict === "free_text", verdict === "exempt");
+    }
+  }
+  return out;
+}
+
+export function redactDeep(policy, value, { counts = null, scan = "free_text" } = {}) {
+  return redactValue(policy, value, counts, scan === "all", false);
+}
@@ -0,0 +1,109 @@
+import fs from "fs";
+
+// Trading sessions per exchange / instrument type, shared by the materializer's bar continuity
+// checks and the receiver's stream watchdog. See session_calendar.json for the document format.
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const LOCAL_PARTS_FORMATTERS = new Map();
+
+export function loadSessionCalendar(filePath) {
+  const doc = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const exchanges = new Map(Object.entries(doc.exchanges || {}).map(([k, v]) => [k.toUpperCase(), v]));
+  const instrumentTypes = new Map(Object.entries(doc.instrument_types || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  for (const [name, cal] of [...exchanges, ...instrumentTypes]) {
+    if (cal.always_open) continue;
+    if (!Array.isArray(cal.sessions) || !cal.sessions.length) {
+      throw new Error(`session calendar ${name} needs always_open or sessions`);
+    }
+    new Intl.DateTimeFormat("en-US", { timeZone: cal.timezone || "UTC" });
+  }
+  return { default: doc.default || { always_open: true }, exchanges, instrumentTypes };
+}
+
+export function calendarFor(calendar, { exchange, instrument_type: instrumentType }) {
+  const ex = typeof exchange === "string" && exchange.trim() ? exchange.trim().toUpperCase() : null;
+  if (ex && calendar.exchanges.has(ex)) {
+    return { name: `exchange:${ex}`, cal: calendar.exchanges.get(ex) };
+  }
+  const it = typeof instrumentType === "string" && instrumentType.trim() ? instrumentType.trim().toLowerCase() : null;
+  if (it && calendar.instrumentTypes.has(it)) {
+    return { name: `instrument_type:${it}`, cal: calendar.instrumentTypes.get(it) };
+  }
+  return { name: "default", cal: calendar.default };
+}
+
+function localParts(ms, timezone) {
+  let fmt = LOCAL_PARTS_FORMATTERS.get(timezone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    LOCAL_PARTS_FORMATTERS.set(timezone, fmt);
+  }
+  const parts = Object.fromEntries(fmt.formatToParts(new Date(ms)).map((p) => [p.type, p.value]));
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function hhmmMinutes(value) {
+  const [h, m] = String(value || "00:00").split(":").map((x) => Number(x) || 0);
+  return h * 60 + m;
+}
+
+export function isSessionOpen(cal, ms) {
+  if (cal.always_open) return true;
+  const p = localParts(ms, cal.timezone || "UTC");
+  if ((cal.holidays || []).includes(p.date)) return false;
+  return cal.sessions.some((s) => {
+    const open = hhmmMinutes(s.open);
+    const close = hhmmMinutes(s.close);
+    if (open < close) return s.days.includes(p.weekday) && p.minutes >= open && p.minutes < close;
+    return (s.days.includes(p.weekday) && p.minutes >= open) || (s.days.includes((p.weekday + 6) % 7) && p.minutes < close);
+  });
+}
+
+function slotTradable(cal, startMs, tfMs) {
+  if (cal.always_open) return true;
+  const samples = Math.min(Math.max(Math.ceil(tfMs / 1_800_000), 1), 48);
+  const step = tfMs / samples;
+  for (let i = 0; i < samples; i += 1) {
+    if (isSessionOpen(cal, startMs + i * step)) return true;
+  }
+  return false;
+}
+
+// Returns null when the span holds more than maxSlots bars and is too large to walk.
+export function expectedBarsBetween(cal, startMs, endMs, tfMs, maxSlots) {
+  const slots = Math.floor((endMs - startMs) / tfMs);
+  if (slots <= 0) return 0;
+  if (cal.always_open) return slots;
+  if (slots > maxSlots) return null;
+  let expected = 0;
+  for (let t = startMs; t + tfMs <= endMs; t += tfMs) {
+    if (slotTradable(cal, t, tfMs)) expected += 1;
+  }
+  return expected;
+}
+
+// Milliseconds of open session between startMs and endMs, sampled once a minute. Stops counting
+// once the total passes limitMs so a long-dead stream does not walk months of calendar.
+export function sessionOpenMsBetween(cal, startMs, endMs, limitMs = Infinity) {
+  if (endMs <= startMs) return 0;
+  if (cal.always_open) return endMs - startMs;
+  const stepMs = 60_000;
+  let open = 0;
+  for (let t = startMs; t < endMs && open <= limitMs; t += stepMs) {
+    if (isSessionOpen(cal, t)) open += Math.min(stepMs, endMs - t);
+  }
+  return open;
+}
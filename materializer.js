@@ -1,12 +1,33 @@
 
+import fs from "fs";
+import http from "http";
+import os from "os";
 import pg from "pg";
 import crypto from "crypto";
+import { loadSessionCalendar, calendarFor, expectedBarsBetween } from "./lib/session_calendar.js";
+import { parseNotifyTargets, ensureNotificationSchema, notificationTargetWarnings, enqueueNotification as enqueueOutboxNotification } from "./lib/notifications.js";
+import { loadRedactionPolicy, redactDeep } from "./lib/redaction.js";
+import { defineMetric, incMetric, setMetric, observeMetric, renderMetrics } from "./lib/metrics.js";
 
 const { Pool } = pg;
 
 const DATABASE_URL_RAW = (process.env.DATABASE_URL || "").trim();
 const CA_CERT = (process.env.CA_CERT || process.env.DATABASE_CA_CERT || "").trim();
 const PGSSL_INSECURE = (process.env.PGSSL_INSECURE || "").trim() === "1";
+const MATERIALIZER_METRICS_PORT = parseInt(process.env.MATERIALIZER_METRICS_PORT || "0", 10) || 0;
+const MATERIALIZER_SESSION_CALENDAR_PATH = (process.env.MATERIALIZER_SESSION_CALENDAR_PATH || "./session_calendar.json").trim();
+const MATERIALIZER_CONTINUITY_MAX_SLOTS = parseInt(process.env.MATERIALIZER_CONTINUITY_MAX_SLOTS || "50000", 10);
+const NOTIFY_DEDUP_WINDOW_SEC = parseInt(process.env.NOTIFY_DEDUP_WINDOW_SEC || "900", 10);
+const REDACTION_POLICY_PATH = (process.env.REDACTION_POLICY_PATH || "./redaction_policy.json").trim();
+const MATERIALIZER_VISIBILITY_LAG_MS = parseInt(process.env.MATERIALIZER_VISIBILITY_LAG_MS || "5000", 10);
+const MATERIALIZER_RECONCILE_INTERVAL_MS = parseInt(process.env.MATERIALIZER_RECONCILE_INTERVAL_MS || "900000", 10);
+const MATERIALIZER_RECONCILE_WINDOW_EVENTS = parseInt(process.env.MATERIALIZER_RECONCILE_WINDOW_EVENTS || "50000", 10);
+const MATERIALIZER_PARTITIONS = parseInt(process.env.MATERIALIZER_PARTITIONS || "1", 10);
+const MATERIALIZER_WORKERS = parseInt(process.env.MATERIALIZER_WORKERS || "1", 10);
+const MATERIALIZER_WRITER_APPLICATION_NAMES = (process.env.MATERIALIZER_WRITER_APPLICATION_NAMES || "tv-receiver")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
 
 if (!DATABASE_URL_RAW) {
   console.error("FATAL: DATABASE_URL is not set");
@@ -16,6 +37,46 @@ if (!CA_CERT && !PGSSL_INSECURE) {
   console.error("FATAL: DATABASE_CA_CERT (or CA_CERT) is required unless PGSSL_INSECURE=1 for DEV only");
   process.exit(1);
 }
+if (!Number.isFinite(MATERIALIZER_VISIBILITY_LAG_MS) || MATERIALIZER_VISIBILITY_LAG_MS < 0) {
+  console.error("FATAL: MATERIALIZER_VISIBILITY_LAG_MS must be a non-negative integer");
+  process.exit(1);
+}
+if (!Number.isFinite(MATERIALIZER_RECONCILE_INTERVAL_MS) || MATERIALIZER_RECONCILE_INTERVAL_MS < 0) {
+  console.error("FATAL: MATERIALIZER_RECONCILE_INTERVAL_MS must be a non-negative integer (0 disables)");
+  process.exit(1);
+}
+if (!Number.isFinite(MATERIALIZER_RECONCILE_WINDOW_EVENTS) || MATERIALIZER_RECONCILE_WINDOW_EVENTS < 1) {
+  console.error("FATAL: MATERIALIZER_RECONCILE_WINDOW_EVENTS must be a positive integer");
+  process.exit(1);
+}
+if (!MATERIALIZER_WRITER_APPLICATION_NAMES.length) {
+  console.error("FATAL: MATERIALIZER_WRITER_APPLICATION_NAMES must list the application_name of every raw_events writer");
+  process.exit(1);
+}
+if (!Number.isFinite(MATERIALIZER_PARTITIONS) || MATERIALIZER_PARTITIONS < 1 || MATERIALIZER_PARTITIONS > 256) {
+  console.error("FATAL: MATERIALIZER_PARTITIONS must be an integer between 1 and 256");
+  process.exit(1);
+}
+if (!Number.isFinite(MATERIALIZER_WORKERS) || MATERIALIZER_WORKERS < 1 || MATERIALIZER_WORKERS > 64) {
+  console.error("FATAL: MATERIALIZER_WORKERS must be an integer between 1 and 64");
+  process.exit(1);
+}
+
+let REDACTION_POLICY;
+try {
+  REDACTION_POLICY = loadRedactionPolicy(REDACTION_POLICY_PATH);
+} catch (e) {
+  console.error(`FATAL: invalid redaction policy ${REDACTION_POLICY_PATH}: ${e?.message || String(e)}`);
+  process.exit(1);
+}
+
+let NOTIFY_TARGETS;
+try {
+  NOTIFY_TARGETS = parseNotifyTargets(process.env.NOTIFY_WEBHOOK_URLS);
+} catch (e) {
+  console.error(`FATAL: ${e.message}`);
+  process.exit(1);
+}
 
 function scrubDbUrl(url) {
   if (!url) return "";
@@ -50,11 +111,99 @@ function pgSslConfig() {
 const pool = new Pool({
   connectionString: scrubDbUrl(DATABASE_URL_RAW),
   ssl: pgSslConfig(),
-  max: 10,
+  application_name: "tv-materializer",
+  max: Math.max(10, MATERIALIZER_WORKERS * 2 + 2),
   idleTimeoutMillis: 30_000,
   connectionTimeoutMillis: 10_000,
 });
 
+defineMetric("materializer_batches_total", "counter", "Materializer batches by worker and status.");
+defineMetric(
+  "materializer_batch_size",
+  "histogram",
+  "raw_events rows fetched per batch.",
+  [0, 1, 10, 50, 100, 300, 1000, 5000]
+);
+defineMetric(
+  "materializer_batch_duration_seconds",
+  "histogram",
+  "Wall time per materializer batch.",
+  [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+);
+defineMetric("materializer_inserted_total", "counter", "Materialized rows inserted by worker and row_type.");
+defineMetric("materializer_worker_lag_events", "gauge", "raw_events ids above the partition watermark a worker last committed.");
+defineMetric("materializer_partition_watermark", "gauge", "Last materialized raw_events id per run_id partition.");
+defineMetric("materializer_partition_lag_events", "gauge", "raw_events rows above each partition watermark.");
+defineMetric("materializer_watermark", "gauge", "Last materialized raw_events id.");
+defineMetric("materializer_watermark_lag_events", "gauge", "raw_events rows above the materializer watermark.");
+defineMetric("materializer_watermark_lag_seconds", "gauge", "Age of the oldest raw_events row above the watermark.");
+defineMetric("materializer_safe_bound_holdback_events", "gauge", "raw_events ids allocated but not yet below the commit-safe bound.");
+defineMetric("materializer_oldest_writer_age_seconds", "gauge", "Age of the oldest open raw_events writer transaction seen by the watermark sampler.");
+defineMetric("materializer_reconcile_runs_total", "counter", "Reconciliation scans by status.");
+defineMetric("materializer_reconcile_missing", "gauge", "Logical records below the watermark with no materialized row, by row_type, from the last scan.");
+defineMetric("materializer_pool_clients", "gauge", "Postgres pool clients by state.");
+defineMetric("materializer_continuity_issues_total", "counter", "Bar continuity issues recorded by issue_type.");
+defineMetric("materializer_redactions_total", "counter", "Values redacted from materialized payload copies by policy rule.");
+defineMetric("materializer_continuity_resolved_total", "counter", "Bar continuity issues resolved by late bars.");
+
+async function collectMaterializerGauges() {
+  setMetric("materializer_pool_clients", { state: "total" }, pool.totalCount);
+  setMetric("materializer_pool_clients", { state: "idle" }, pool.idleCount);
+  setMetric("materializer_pool_clients", { state: "waiting" }, pool.waitingCount);
+  const rs = await pool.query(`
+    with st as (select coalesce(last_raw_event_id, 0) as last_id from materializer_state where id = 1)
+    select
+      (select last_id from st) as last_id,
+      greatest((select coalesce(max(id), 0) from raw_events) - (select last_id from st), 0) as lag_events,
+      (
+        select extract(epoch from now() - received_at)
+        from raw_events
+        where id > (select last_id from st)
+        order by id asc
+        limit 1
+      ) as lag_seconds
+  `);
+  const row = rs.rows[0] || {};
+  setMetric("materializer_watermark", {}, Number(row.last_id || 0));
+  setMetric("materializer_watermark_lag_events", {}, Number(row.lag_events || 0));
+  setMetric("materializer_watermark_lag_seconds", {}, Number(row.lag_seconds || 0));
+
+  const parts = await pool.query(
+    `
+      select p.partition_no, p.last_raw_event_id,
+        greatest((select coalesce(max(id), 0) from raw_events) - p.last_raw_event_id, 0) as lag_events
+      from materializer_partitions p
+      where p.partition_count = $1
+    `,
+    [MATERIALIZER_PARTITIONS]
+  );
+  for (const part of parts.rows) {
+    setMetric("materializer_partition_watermark", { partition: String(part.partition_no) }, Number(part.last_raw_event_id));
+    setMetric("materializer_partition_lag_events", { partition: String(part.partition_no) }, Number(part.lag_events));
+  }
+}
+
+function startMetricsServer() {
+  if (!MATERIALIZER_METRICS_PORT) return null;
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== "GET" || req.url !== "/metrics") {
+      res.writeHead(404).end();
+      return;
+    }
+    try {
+      await collectMaterializerGauges();
+    } catch (e) {
+      console.error("metrics collection failed:", e?.message || e);
+    }
+    res.writeHead(200, { "content-type": "text/plain; version=0.0.4; charset=utf-8" });
+    res.end(renderMetrics());
+  });
+  server.listen(MATERIALIZER_METRICS_PORT, "0.0.0.0", () => {
+    console.log(`materializer metrics listening on ${MATERIALIZER_METRICS_PORT}`);
+  });
+  return server;
+}
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -293,6 +442,9 @@ function expandLogicalRecords(payload) {
   return out;
 }
 
+const MATERIALIZED_ROW_TYPES = ["CONFIG", "BAR", "EVAL"];
+const MATERIALIZED_TABLES = { CONFIG: "configs", BAR: "bars", EVAL: "evals" };
+
 function sortLogicalRecords(records) {
   const order = { CONFIG: 0, BAR: 1, EVAL: 2 };
   return [...records].sort((a, b) => {
@@ -317,6 +469,8 @@ async function ensureRawEventsCompatibility() {
   `);
   await pool.query(`alter table raw_events add column if not exists request_id text;`);
   await pool.query(`alter table raw_events add column if not exists row_type text;`);
+  await pool.query(`alter table raw_events add column if not exists run_id text;`);
+  await pool.query(`alter table raw_events add column if not exists replay_generation integer not null default 0;`);
   await pool.query(`create index if not exists raw_events_received_at_idx on raw_events (received_at desc);`);
 }
 
@@ -335,6 +489,16 @@ async function ensureMaterializerSchema() {
     values (1, 0)
     on conflict (id) do nothing;
   `);
+  await pool.query(`
+    create table if not exists materializer_partitions (
+      partition_no integer primary key,
+      partition_count integer not null,
+      last_raw_event_id bigint not null default 0,
+      worker_id text,
+      claimed_at timestamptz,
+      updated_at timestamptz not null default now()
+    );
+  `);
 
   await pool.query(`
     create table if not exists configs (
@@ -530,14 +694,66 @@ async function ensureMaterializerSchema() {
   await pool.query(`create index if not exists evals_symbol_w_eval_close_idx on evals (symbol, W, t_eval_close_ms desc);`);
   await pool.query(`create index if not exists evals_parent_idx on evals (parent_uid);`);
 
+  await pool.query(`
+    create table if not exists bar_continuity_issues (
+      id bigserial primary key,
+      issue_key text not null unique,
+      issue_type text not null,
+      stream_id text,
+      exchange text,
+      symbol text not null,
+      tf_sec integer not null,
+      bar_uid text,
+      prev_bar_uid text,
+      t_open_ms bigint,
+      t_close_ms bigint,
+      gap_start_ms bigint,
+      gap_end_ms bigint,
+      expected_bars integer,
+      calendar text,
+      notes text,
+      detected_at timestamptz not null default now(),
+      resolved_at timestamptz
+    );
+  `);
+  await pool.query(`
+    create index if not exists bar_continuity_issues_open_idx
+    on bar_continuity_issues (symbol, tf_sec, stream_id)
+    where resolved_at is null;
+  `);
+  await pool.query(`create index if not exists bars_stream_symbol_tf_open_idx on bars (stream_id, symbol, tf_sec, t_open_ms);`);
+  await ensureNotificationSchema(pool);
+
+  await ensureMaterializerPartitions();
+
   console.log("materializer schema OK");
 }
 
+function enqueueNotification(notification) {
+  return enqueueOutboxNotification(pool, { source: "materializer", dedupWindowSec: NOTIFY_DEDUP_WINDOW_SEC }, notification);
+}
+
+function redactPayload(rec) {
+  const counts = {};
+  const payload = redactDeep(REDACTION_POLICY, cloneJson(rec) || {}, { counts });
+  for (const [rule, n] of Object.entries(counts)) incMetric("materializer_redactions_total", { rule }, n);
+  return payload;
+}
+
+// The keys reconcile needs, derived as normalizeRecord does but without building the payload copy.
+function recordKeys(rec) {
+  return {
+    uid: isNonEmptyString(rec.uid) ? String(rec.uid).trim() : null,
+    run_id: isNonEmptyString(rec.run_id) ? String(rec.run_id).trim() : null,
+  };
+}
+
 function normalizeRecord(rec, row) {
+  const keys = recordKeys(rec);
   const cfg = normalizeCfgSig(rec);
   const streamId = inferStreamId(rec);
   return {
-    uid: isNonEmptyString(rec.uid) ? String(rec.uid).trim() : null,
+    uid: keys.uid,
     dedup: isNonEmptyString(rec.dedup) ? String(rec.dedup).trim() : (isNonEmptyString(rec.uid) ? String(rec.uid).trim() : null),
     raw_event_id: row.id,
     request_id: row.request_id || null,
@@ -550,7 +766,7 @@ function normalizeRecord(rec, row) {
     stream_id: streamId,
     env: isNonEmptyString(rec.env) ? String(rec.env).trim() : null,
     deployment_id: isNonEmptyString(rec.deployment_id) ? String(rec.deployment_id).trim() : null,
-    run_id: isNonEmptyString(rec.run_id) ? String(rec.run_id).trim() : null,
+    run_id: keys.run_id,
     cfg_sig_sha256: cfg.cfg_sig_sha256,
     cfg_sig_raw: cfg.cfg_sig_raw,
     cfg_sig_full: cfg.cfg_sig_full,
@@ -626,7 +842,7 @@ function normalizeRecord(rec, row) {
     emit_reason: isNonEmptyString(rec.emit_reason) ? String(rec.emit_reason).trim() : null,
     enable_eval_horizon: rec.enable_eval_horizon === true || rec.enable_eval_horizon === false ? rec.enable_eval_horizon : null,
     exp_id: isNonEmptyString(rec.exp_id) ? String(rec.exp_id).trim() : null,
-    payload: cloneJson(rec) || {},
+    payload: redactPayload(rec),
   };
 }
 
@@ -877,7 +1093,9 @@ function extractLogicalRecordsFromRawRow(row) {
   if (!payload) return [];
 
   // New contract-aligned rows already store one logical record per raw_events row.
-  if (String(row.row_type || "").trim()) {
+  const rowType = String(row.row_type || "").trim().toUpperCase();
+  if (rowType) {
+    if (!MATERIALIZED_ROW_TYPES.includes(rowType)) return [];
     if (Array.isArray(payload.records)) {
       return sortLogicalRecords(expandLogicalRecords(payload));
     }
@@ -891,84 +1109,429 @@ function extractLogicalRecordsFromRawRow(row) {
   return sortLogicalRecords(expandLogicalRecords(payload));
 }
 
-async function materializeBatch(batchSize = 300) {
+let SESSION_CALENDAR = null;
+
+function continuityIssue(type, bar, extra) {
+  const key = [type, bar.stream_id ?? "", bar.symbol, bar.tf_sec, extra.prev_bar_uid ?? "", bar.uid].join("|");
+  return {
+    issue_key: sha256Hex(key),
+    issue_type: type,
+    stream_id: bar.stream_id ?? null,
+    exchange: bar.exchange ?? null,
+    symbol: bar.symbol,
+    tf_sec: bar.tf_sec,
+    bar_uid: bar.uid,
+    t_open_ms: bar.t_open_ms,
+    t_close_ms: bar.t_close_ms,
+    prev_bar_uid: null,
+    gap_start_ms: null,
+    gap_end_ms: null,
+    expected_bars: null,
+    calendar: null,
+    notes: null,
+    ...extra,
+  };
+}
+
+async function checkBarContinuity(client, bars) {
+  const groups = new Map();
+  for (const bar of bars) {
+    if (!(bar.tf_sec > 0) || bar.t_open_ms === null || !bar.symbol) continue;
+    const key = `${bar.stream_id ?? ""}|${bar.symbol}|${bar.tf_sec}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(bar);
+  }
+
+  // Runs for the same stream can land in different partitions; serialize the check per stream.
+  for (const key of [...groups.keys()].sort()) {
+    await client.query(`select pg_advisory_xact_lock(hashtext($1))`, [`materializer_continuity:${key}`]);
+  }
+
+  const issues = [];
+  let resolved = 0;
+  for (const group of groups.values()) {
+    const { stream_id: streamId, symbol, tf_sec: tfSec } = group[0];
+    const tfMs = tfSec * 1000;
+    const minOpen = Math.min(...group.map((b) => b.t_open_ms));
+    const maxOpen = Math.max(...group.map((b) => b.t_open_ms));
+    const rs = await client.query(
+      `
+        (select uid, stream_id, exchange, instrument_type, symbol, tf_sec, t_open_ms::float8 as t_open_ms, t_close_ms::float8 as t_close_ms
+         from bars
+         where stream_id is not distinct from $1 and symbol = $2 and tf_sec = $3 and t_open_ms < $4
+         order by t_open_ms desc limit 1)
+        union all
+        (select uid, stream_id, exchange, instrument_type, symbol, tf_sec, t_open_ms::float8, t_close_ms::float8
+         from bars
+         where stream_id is not distinct from $1 and symbol = $2 and tf_sec = $3 and t_open_ms between $4 and $5)
+        union all
+        (select uid, stream_id, exchange, instrument_type, symbol, tf_sec, t_open_ms::float8, t_close_ms::float8
+         from bars
+         where stream_id is not distinct from $1 and symbol = $2 and tf_sec = $3 and t_open_ms > $5
+         order by t_open_ms asc limit 1)
+      `,
+      [streamId, symbol, tfSec, minOpen, maxOpen]
+    );
+    const window = rs.rows.sort((a, b) => a.t_open_ms - b.t_open_ms || a.uid.localeCompare(b.uid));
+    const fresh = new Set(group.map((b) => b.uid));
+    const { name: calendarName, cal } = calendarFor(SESSION_CALENDAR, group[0]);
+
+    for (const bar of window) {
+      if (!fresh.has(bar.uid) || bar.t_close_ms === null) continue;
+      if (bar.t_close_ms - bar.t_open_ms !== tfMs) {
+        issues.push(continuityIssue("bad_duration", bar, {
+          notes: `t_close_ms - t_open_ms = ${bar.t_close_ms - bar.t_open_ms}, expected ${tfMs}`,
+        }));
+      }
+    }
+
+    const currentKeys = new Set();
+    for (let i = 1; i < window.length; i += 1) {
+      const prev = window[i - 1];
+      const bar = window[i];
+      const prevClose = prev.t_close_ms ?? prev.t_open_ms + tfMs;
+      let issue = null;
+      if (bar.t_open_ms < prevClose) {
+        issue = continuityIssue("overlap", bar, {
+          prev_bar_uid: prev.uid,
+          gap_start_ms: bar.t_open_ms,
+          gap_end_ms: prevClose,
+          calendar: calendarName,
+        });
+      } else if (bar.t_open_ms > prevClose) {
+        const expected = expectedBarsBetween(cal, prevClose, bar.t_open_ms, tfMs, MATERIALIZER_CONTINUITY_MAX_SLOTS);
+        if (expected !== 0) {
+          issue = continuityIssue("missing_bars", bar, {
+            prev_bar_uid: prev.uid,
+            gap_start_ms: prevClose,
+            gap_end_ms: bar.t_open_ms,
+            expected_bars: expected,
+            calendar: calendarName,
+            notes: expected === null ? "gap_too_large_to_enumerate" : null,
+          });
+        }
+      }
+      if (issue) {
+        issues.push(issue);
+        currentKeys.add(issue.issue_key);
+      }
+    }
+
+    if (window.length >= 2) {
+      const open = await client.query(
+        `
+          select id, issue_key
+          from bar_continuity_issues
+          where stream_id is not distinct from $1 and symbol = $2 and tf_sec = $3
+            and issue_type in ('missing_bars', 'overlap')
+            and resolved_at is null
+            and gap_start_ms >= $4 and gap_end_ms <= $5
+        `,
+        [streamId, symbol, tfSec, window[0].t_open_ms, window[window.length - 1].t_open_ms + tfMs]
+      );
+      const stale = open.rows.filter((row) => !currentKeys.has(row.issue_key)).map((row) => row.id);
+      if (stale.length) {
+        await client.query(
+          `update bar_continuity_issues set resolved_at = now() where id = any($1::bigint[])`,
+          [stale]
+        );
+        resolved += stale.length;
+      }
+    }
+  }
+
+  if (!issues.length) return { inserted: [], resolved };
+  const rs = await client.query(
+    `
+      insert into bar_continuity_issues (
+        issue_key, issue_type, stream_id, exchange, symbol, tf_sec, bar_uid, prev_bar_uid,
+        t_open_ms, t_close_ms, gap_start_ms, gap_end_ms, expected_bars, calendar, notes
+      )
+      select
+        issue_key, issue_type, stream_id, exchange, symbol, tf_sec, bar_uid, prev_bar_uid,
+        t_open_ms, t_close_ms, gap_start_ms, gap_end_ms, expected_bars, calendar, notes
+      from jsonb_to_recordset($1::jsonb) as r(
+        issue_key text, issue_type text, stream_id text, exchange text, symbol text, tf_sec integer,
+        bar_uid text, prev_bar_uid text, t_open_ms bigint, t_close_ms bigint, gap_start_ms bigint,
+        gap_end_ms bigint, expected_bars integer, calendar text, notes text
+      )
+      on conflict (issue_key) do update set resolved_at = null
+      returning issue_type, (xmax = 0) as inserted
+    `,
+    [JSON.stringify(issues)]
+  );
+  return { inserted: rs.rows.filter((r) => r.inserted).map((r) => r.issue_type), resolved };
+}
+
+// Logical records are split across workers by run_id so every run keeps its id order
+// (and CONFIG ahead of BAR/EVAL) inside a single partition.
+function partitionForRun(runId) {
+  return parseInt(sha256Hex(String(runId)).slice(0, 8), 16) % MATERIALIZER_PARTITIONS;
+}
+
+// Same hash as partitionForRun over raw_events.run_id. Legacy bundle rows have no run_id column
+// value, so every partition fetches them and partitionForRun picks their records apart.
+const RAW_EVENT_PARTITION_SQL =
+  `(run_id is null or ('x' || left(encode(sha256(convert_to(run_id, 'UTF8')), 'hex'), 8))::bit(32)::bigint % $4 = $5)`;
+
+async function ensureMaterializerPartitions() {
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    await client.query(`select pg_advisory_xact_lock(hashtext('materializer_partitions'))`);
+    const rs = await client.query(
+      `
+        select count(*)::int as n,
+          count(*) filter (where partition_count = $1)::int as matching,
+          min(last_raw_event_id) as min_last
+        from materializer_partitions
+      `,
+      [MATERIALIZER_PARTITIONS]
+    );
+    const { n, matching, min_last: minLast } = rs.rows[0];
+    if (n === MATERIALIZER_PARTITIONS && matching === n) {
+      await client.query("commit");
+      return;
+    }
+
+    // Resharding restarts every partition from the slowest one; inserts are idempotent on uid.
+    const st = await client.query(`select last_raw_event_id from materializer_state where id = 1`);
+    const base = n > 0 ? minLast : st.rows[0]?.last_raw_event_id || 0;
+    await client.query(`delete from materializer_partitions`);
+    await client.query(
+      `
+        insert into materializer_partitions (partition_no, partition_count, last_raw_event_id)
+        select g, $1, $2 from generate_series(0, $1 - 1) as g
+      `,
+      [MATERIALIZER_PARTITIONS, String(base)]
+    );
+    await client.query("commit");
+    console.log(`materializer partitions set to ${MATERIALIZER_PARTITIONS} (was ${n}) starting after raw_events id ${base}`);
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function advanceGlobalWatermark() {
+  await pool.query(
+    `
+      update materializer_state s
+      set last_raw_event_id = m.min_last,
+          updated_at = now()
+      from (
+        select min(last_raw_event_id) as min_last
+        from materializer_partitions
+        where partition_count = $1
+      ) m
+      where s.id = 1
+        and m.min_last is not null
+        and s.last_raw_event_id < m.min_last
+    `,
+    [MATERIALIZER_PARTITIONS]
+  );
+}
+
+// raw_events ids come from a sequence at insert time, so a slow writer can commit an id below ones
+// already visible. Sample the sequence head, then only trust a sample once every receiver
+// transaction that was writing when it was taken has finished and the visibility lag has passed.
+// Writers are recognised by application_name so unrelated long transactions do not hold it back.
+const watermarkSamples = [];
+
+async function sampleSafeUpperBound() {
+  const head = await pool.query(`
+    select
+      (extract(epoch from clock_timestamp()) * 1000)::bigint as sampled_ms,
+      coalesce(pg_sequence_last_value(pg_get_serial_sequence('raw_events', 'id')::regclass), 0) as seq_value
+  `);
+  const sample = { atMs: Number(head.rows[0].sampled_ms), seq: BigInt(head.rows[0].seq_value) };
+  let at = watermarkSamples.length;
+  while (at > 0 && watermarkSamples[at - 1].atMs > sample.atMs) at -= 1;
+  watermarkSamples.splice(at, 0, sample);
+
+  const writers = await pool.query(`
+    select
+      (extract(epoch from clock_timestamp()) * 1000)::bigint as now_ms,
+      (extract(epoch from min(xact_start)) * 1000)::bigint as oldest_writer_ms
+    from pg_stat_activity
+    where datname = current_database()
+      and backend_xid is not null
+      and application_name = any($1::text[])
+      and pid <> pg_backend_pid()
+  `, [MATERIALIZER_WRITER_APPLICATION_NAMES]);
+  const nowMs = Number(writers.rows[0].now_ms);
+  const oldestWriterMs = writers.rows[0].oldest_writer_ms == null ? null : Number(writers.rows[0].oldest_writer_ms);
+  const cutoffMs = nowMs - MATERIALIZER_VISIBILITY_LAG_MS;
+
+  let bound = null;
+  for (const s of watermarkSamples) {
+    if (s.atMs > cutoffMs) break;
+    if (oldestWriterMs != null && s.atMs >= oldestWriterMs) break;
+    bound = s.seq;
+  }
+
+  const keepFrom = watermarkSamples.findIndex((s) => s.atMs > cutoffMs || (oldestWriterMs != null && s.atMs >= oldestWriterMs));
+  const drop = keepFrom < 0 ? watermarkSamples.length - 1 : keepFrom - 1;
+  if (drop > 0) watermarkSamples.splice(0, drop);
+
+  setMetric("materializer_oldest_writer_age_seconds", {}, oldestWriterMs == null ? 0 : Math.max(0, (nowMs - oldestWriterMs) / 1000));
+  setMetric("materializer_safe_bound_holdback_events", {}, Number(sample.seq - (bound ?? 0n)));
+  return { bound, head: sample.seq };
+}
+
+async function warnIfWriterVisibilityLimited() {
+  const rs = await pool.query(`
+    select count(*)::int as hidden
+    from pg_stat_activity
+    where datname = current_database()
+      and query = '<insufficient privilege>'
+  `);
+  if (rs.rows[0].hidden > 0) {
+    console.warn(
+      `WARN: ${rs.rows[0].hidden} sessions are hidden from pg_stat_activity; the watermark relies on MATERIALIZER_VISIBILITY_LAG_MS=${MATERIALIZER_VISIBILITY_LAG_MS} alone (grant pg_read_all_stats to see open writers)`
+    );
+  }
+}
+
+async function materializeBatch(batchSize = 300, workerId = null) {
   const client = await pool.connect();
   let fetched = 0;
   let insertedConfigs = 0;
   let insertedBars = 0;
   let insertedEvals = 0;
+  let continuity = { inserted: [], resolved: 0 };
+  let advanced = false;
+  let partition = null;
+  let lagEvents = null;
 
   try {
+    const { bound, head } = await sampleSafeUpperBound();
+    if (bound == null) {
+      return { ok: true, fetched, advanced, partition, lagEvents, insertedConfigs, insertedBars, insertedEvals, continuity };
+    }
+
     await client.query("begin");
 
-    const st = await client.query(
-      `select last_raw_event_id from materializer_state where id = 1 for update`
+    const claim = await client.query(
+      `
+        select partition_no, last_raw_event_id
+        from materializer_partitions
+        where partition_count = $1
+        order by last_raw_event_id asc, partition_no asc
+        for update skip locked
+        limit 1
+      `,
+      [MATERIALIZER_PARTITIONS]
     );
-    const lastId = BigInt(st.rows[0]?.last_raw_event_id || 0);
+    if (!claim.rowCount) {
+      await client.query("commit");
+      const layout = await pool.query(`select count(*)::int as n from materializer_partitions where partition_count = $1`, [MATERIALIZER_PARTITIONS]);
+      if (layout.rows[0].n === 0) {
+        return {
+          ok: false,
+          layoutChanged: true,
+          error: `materializer_partitions no longer has ${MATERIALIZER_PARTITIONS} partitions; another materializer resharded it`,
+          fetched,
+        };
+      }
+      return { ok: true, fetched, advanced, partition, lagEvents, insertedConfigs, insertedBars, insertedEvals, continuity };
+    }
+    partition = claim.rows[0].partition_no;
+    const lastId = BigInt(claim.rows[0].last_raw_event_id);
 
     const rs = await client.query(
       `
         select id, received_at, path, request_id, row_type, payload
         from raw_events
         where id > $1
-          and (path in ('/tv', '/webhook') or path is null)
+          and id <= $3
+          and replay_generation = 0
+          and (path in ('/tv', '/webhook', '/backfill') or path is null)
+          and ${RAW_EVENT_PARTITION_SQL}
         order by id asc
         limit $2
       `,
-      [lastId.toString(), batchSize]
+      [lastId.toString(), batchSize, bound.toString(), MATERIALIZER_PARTITIONS, partition]
     );
 
     fetched = rs.rows.length;
     let newLast = lastId;
     const configCache = new Set();
+    const newBars = [];
 
+    const pending = [];
     for (const row of rs.rows) {
       const rawEventId = BigInt(row.id);
       if (rawEventId > newLast) newLast = rawEventId;
 
-      const logicalRecords = extractLogicalRecordsFromRawRow(row);
-      for (const rec of logicalRecords) {
+      for (const rec of extractLogicalRecordsFromRawRow(row)) {
         const rowType = String(rec.row_type || "").toUpperCase();
-        if (!["CONFIG", "BAR", "EVAL"].includes(rowType)) continue;
+        if (!MATERIALIZED_ROW_TYPES.includes(rowType)) continue;
 
         const norm = normalizeRecord(rec, row);
         if (!norm.uid || !norm.run_id) continue;
+        if (partitionForRun(norm.run_id) !== partition) continue;
+        pending.push({ rowType, norm });
+      }
+    }
 
-        if (rowType === "CONFIG") {
-          const before = await client.query(`select 1 from configs where uid = $1`, [norm.uid]);
-          await insertConfig(client, norm, configCache);
-          if (before.rowCount === 0) insertedConfigs += 1;
-        } else if (rowType === "BAR") {
-          const before = await client.query(`select 1 from bars where uid = $1`, [norm.uid]);
-          await insertBar(client, norm, configCache);
-          if (before.rowCount === 0) insertedBars += 1;
-        } else if (rowType === "EVAL") {
-          const before = await client.query(`select 1 from evals where uid = $1`, [norm.uid]);
-          await insertEval(client, norm, configCache);
-          if (before.rowCount === 0) insertedEvals += 1;
+    const existing = {};
+    for (const [rowType, table] of Object.entries(MATERIALIZED_TABLES)) {
+      const uids = [...new Set(pending.filter((p) => p.rowType === rowType).map((p) => p.norm.uid))];
+      const found = uids.length ? await client.query(`select uid from ${table} where uid = any($1::text[])`, [uids]) : { rows: [] };
+      existing[rowType] = new Set(found.rows.map((r) => r.uid));
+    }
+
+    for (const { rowType, norm } of pending) {
+      const isNew = !existing[rowType].has(norm.uid);
+      existing[rowType].add(norm.uid);
+      if (rowType === "CONFIG") {
+        await insertConfig(client, norm, configCache);
+        if (isNew) insertedConfigs += 1;
+      } else if (rowType === "BAR") {
+        await insertBar(client, norm, configCache);
+        if (isNew) {
+          insertedBars += 1;
+          newBars.push(norm);
         }
+      } else if (rowType === "EVAL") {
+        await insertEval(client, norm, configCache);
+        if (isNew) insertedEvals += 1;
       }
     }
 
-    if (fetched > 0) {
+    continuity = await checkBarContinuity(client, newBars);
+
+    // A short batch saw everything up to the bound, including ids that were skipped or filtered.
+    if (fetched < batchSize && bound > newLast) newLast = bound;
+    advanced = newLast > lastId;
+
+    if (advanced) {
       await client.query(
         `
-          update materializer_state
-          set last_raw_event_id = $1,
+          update materializer_partitions
+          set last_raw_event_id = $2,
+              worker_id = $3,
+              claimed_at = now(),
               updated_at = now()
-          where id = 1
+          where partition_no = $1
         `,
-        [newLast.toString()]
+        [partition, newLast.toString(), workerId]
       );
     }
 
     await client.query("commit");
-    return { ok: true, fetched, insertedConfigs, insertedBars, insertedEvals };
+    if (advanced) await advanceGlobalWatermark();
+    lagEvents = Number(head - newLast);
+    return { ok: true, fetched, advanced, partition, lagEvents, insertedConfigs, insertedBars, insertedEvals, continuity };
   } catch (e) {
     await client.query("rollback").catch(() => {});
     return {
       ok: false,
       error: `${e?.code || ""} ${e?.message || e}`.trim(),
+      partition,
       fetched,
       insertedConfigs,
       insertedBars,
@@ -979,6 +1542,142 @@ async function materializeBatch(batchSize = 300) {
   }
 }
 
+async function reconcileMaterialized({ fromId = null, sampleLimit = 50, pageSize = 1000 } = {}) {
+  const st = await pool.query(`select last_raw_event_id from materializer_state where id = 1`);
+  const watermark = BigInt(st.rows[0]?.last_raw_event_id || 0);
+  let cursor = fromId != null ? BigInt(fromId) : watermark - BigInt(MATERIALIZER_RECONCILE_WINDOW_EVENTS);
+  if (cursor < 0n) cursor = 0n;
+
+  const report = {
+    watermark: watermark.toString(),
+    from_id: cursor.toString(),
+    scanned_raw_events: 0,
+    checked: { CONFIG: 0, BAR: 0, EVAL: 0 },
+    missing: { CONFIG: 0, BAR: 0, EVAL: 0 },
+    samples: [],
+  };
+
+  while (cursor < watermark) {
+    const rs = await pool.query(
+      `
+        select id, received_at, path, request_id, row_type, payload
+        from raw_events
+        where id > $1
+          and id <= $2
+          and replay_generation = 0
+          and (path in ('/tv', '/webhook', '/backfill') or path is null)
+        order by id asc
+        limit $3
+      `,
+      [cursor.toString(), watermark.toString(), pageSize]
+    );
+    if (rs.rows.length === 0) break;
+    cursor = BigInt(rs.rows[rs.rows.length - 1].id);
+    report.scanned_raw_events += rs.rows.length;
+
+    const expected = { CONFIG: new Map(), BAR: new Map(), EVAL: new Map() };
+    for (const row of rs.rows) {
+      for (const rec of extractLogicalRecordsFromRawRow(row)) {
+        const rowType = String(rec.row_type || "").toUpperCase();
+        if (!MATERIALIZED_ROW_TYPES.includes(rowType)) continue;
+        const keys = recordKeys(rec);
+        if (!keys.uid || !keys.run_id) continue;
+        if (!expected[rowType].has(keys.uid)) expected[rowType].set(keys.uid, row);
+      }
+    }
+
+    for (const [rowType, byUid] of Object.entries(expected)) {
+      if (byUid.size === 0) continue;
+      report.checked[rowType] += byUid.size;
+      const found = await pool.query(`select uid from ${MATERIALIZED_TABLES[rowType]} where uid = any($1::text[])`, [[...byUid.keys()]]);
+      const present = new Set(found.rows.map((r) => r.uid));
+      for (const [uid, row] of byUid) {
+        if (present.has(uid)) continue;
+        report.missing[rowType] += 1;
+        if (report.samples.length < sampleLimit) {
+          report.samples.push({
+            raw_event_id: String(row.id),
+            received_at: row.received_at,
+            request_id: row.request_id || null,
+            row_type: rowType,
+            uid,
+          });
+        }
+      }
+    }
+  }
+
+  report.samples.sort((a, b) => (BigInt(a.raw_event_id) < BigInt(b.raw_event_id) ? -1 : 1));
+  report.to_id = cursor.toString();
+  report.total_missing = report.missing.CONFIG + report.missing.BAR + report.missing.EVAL;
+  return report;
+}
+
+async function runReconcile(options = {}) {
+  let report;
+  try {
+    report = await reconcileMaterialized(options);
+  } catch (e) {
+    incMetric("materializer_reconcile_runs_total", { status: "error" });
+    throw e;
+  }
+  incMetric("materializer_reconcile_runs_total", { status: "ok" });
+  for (const [rowType, n] of Object.entries(report.missing)) setMetric("materializer_reconcile_missing", { row_type: rowType }, n);
+  if (report.total_missing > 0) {
+    console.warn(
+      `WARN: reconcile found ${report.total_missing} unmaterialized records below watermark ${report.watermark} (configs=${report.missing.CONFIG} bars=${report.missing.BAR} evals=${report.missing.EVAL})`
+    );
+    await enqueueNotification({
+      kind: "materializer_reconcile_missing",
+      severity: "error",
+      dedup_key: "materializer_reconcile_missing",
+      summary: `${report.total_missing} raw_events records below the materializer watermark have no configs/bars/evals row`,
+      details: { watermark: report.watermark, from_id: report.from_id, missing: report.missing, samples: report.samples.slice(0, 10) },
+    }).catch((e) => console.error("notification enqueue failed:", e?.message || String(e)));
+  }
+  return report;
+}
+
+function parseCliArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf("=");
+    if (eq > 0) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      flags[arg.slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      flags[arg.slice(2)] = "1";
+    }
+  }
+  return { positional, flags };
+}
+
+async function runReconcileCommand(argv) {
+  const { flags } = parseCliArgs(argv);
+  let fromId = null;
+  if (flags.all === "1") {
+    fromId = 0;
+  } else if (flags["from-id"] != null) {
+    if (!/^\d+$/.test(flags["from-id"])) throw new Error("--from-id must be a non-negative integer");
+    fromId = flags["from-id"];
+  }
+  const sampleLimit = flags.limit != null ? parseInt(flags.limit, 10) : 50;
+  if (!Number.isFinite(sampleLimit) || sampleLimit < 0) throw new Error("--limit must be a non-negative integer");
+
+  await ensureMaterializerSchema();
+  const report = await runReconcile({ fromId, sampleLimit });
+  console.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
 async function shutdown(signal) {
   try {
     console.log(`materializer shutting down (${signal})...`);
@@ -1007,33 +1706,82 @@ async function main() {
     parseInt(process.env.MATERIALIZER_ERROR_SLEEP_MS || "5000", 10) || 5000
   );
 
+  SESSION_CALENDAR = loadSessionCalendar(MATERIALIZER_SESSION_CALENDAR_PATH);
+  console.log(`session calendar loaded: ${SESSION_CALENDAR.exchanges.size} exchanges, ${SESSION_CALENDAR.instrumentTypes.size} instrument types`);
   await ensureMaterializerSchema();
+  for (const warning of await notificationTargetWarnings(pool, NOTIFY_TARGETS)) console.warn(`WARN: ${warning}`);
+  await warnIfWriterVisibilityLimited();
+  startMetricsServer();
 
   console.log(
-    `materializer starting: batchSize=${batchSize} idleSleepMs=${idleSleepMs} errorSleepMs=${errorSleepMs}`
+    `materializer starting: batchSize=${batchSize} idleSleepMs=${idleSleepMs} errorSleepMs=${errorSleepMs} visibilityLagMs=${MATERIALIZER_VISIBILITY_LAG_MS} partitions=${MATERIALIZER_PARTITIONS} workers=${MATERIALIZER_WORKERS}`
   );
 
+  const workerPrefix = `${os.hostname()}:${process.pid}`;
+  await Promise.all(
+    Array.from({ length: MATERIALIZER_WORKERS }, (_, i) =>
+      runWorker(`${workerPrefix}:${i}`, { batchSize, idleSleepMs, errorSleepMs, reconcile: i === 0 })
+    )
+  );
+}
+
+async function runWorker(workerId, { batchSize, idleSleepMs, errorSleepMs, reconcile }) {
+  let lastReconcileAt = Date.now();
   while (true) {
-    const r = await materializeBatch(batchSize);
+    if (reconcile && MATERIALIZER_RECONCILE_INTERVAL_MS > 0 && Date.now() - lastReconcileAt >= MATERIALIZER_RECONCILE_INTERVAL_MS) {
+      lastReconcileAt = Date.now();
+      await runReconcile().catch((e) => console.error("reconcile failed:", e?.message || String(e)));
+    }
+
+    const batchStartedAt = process.hrtime.bigint();
+    const r = await materializeBatch(batchSize, workerId);
+    incMetric("materializer_batches_total", { worker: workerId, status: r.ok ? "ok" : "error" });
+    observeMetric("materializer_batch_duration_seconds", { worker: workerId }, Number(process.hrtime.bigint() - batchStartedAt) / 1e9);
+
+    if (r.layoutChanged) {
+      console.error(`FATAL: ${r.error}`);
+      process.exit(1);
+    }
 
     if (!r.ok) {
-      console.error("materializer error:", r.error);
+      console.error(`materializer error [${workerId}]:`, r.error);
+      await enqueueNotification({
+        kind: "materializer_error",
+        severity: "error",
+        dedup_key: "materializer_error",
+        summary: `materializer batch failed: ${r.error}`,
+        details: { error: String(r.error), worker: workerId, partition: r.partition ?? null },
+      }).catch((e) => console.error("notification enqueue failed:", e?.message || String(e)));
       await sleep(errorSleepMs);
       continue;
     }
 
+    observeMetric("materializer_batch_size", { worker: workerId }, r.fetched);
+    incMetric("materializer_inserted_total", { worker: workerId, row_type: "CONFIG" }, r.insertedConfigs);
+    incMetric("materializer_inserted_total", { worker: workerId, row_type: "BAR" }, r.insertedBars);
+    incMetric("materializer_inserted_total", { worker: workerId, row_type: "EVAL" }, r.insertedEvals);
+    if (r.lagEvents !== null) setMetric("materializer_worker_lag_events", { worker: workerId }, r.lagEvents);
+    for (const issueType of r.continuity.inserted) incMetric("materializer_continuity_issues_total", { issue_type: issueType });
+    incMetric("materializer_continuity_resolved_total", {}, r.continuity.resolved);
+
     if (r.fetched === 0) {
       await sleep(idleSleepMs);
       continue;
     }
 
     console.log(
-      `materialized: fetched_raw=${r.fetched} inserted_configs=${r.insertedConfigs} inserted_bars=${r.insertedBars} inserted_evals=${r.insertedEvals}`
+      `materialized [${workerId} p${r.partition}]: fetched_raw=${r.fetched} inserted_configs=${r.insertedConfigs} inserted_bars=${r.insertedBars} inserted_evals=${r.insertedEvals} continuity_issues=${r.continuity.inserted.length} continuity_resolved=${r.continuity.resolved} lag_events=${r.lagEvents}`
     );
   }
 }
 
-main().catch((e) => {
+const command = process.argv[2] || "run";
+const entry =
+  command === "reconcile"
+    ? runReconcileCommand(process.argv.slice(3)).then((report) => pool.end().then(() => process.exit(report.total_missing > 0 ? 2 : 0)))
+    : main();
+
+entry.catch((e) => {
   console.error("FATAL:", e);
   process.exit(1);
 });
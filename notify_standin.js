@@ -0,0 +1,60 @@
+import http from "http";
+
+const NOTIFY_STANDIN_PORT = parseInt(process.env.NOTIFY_STANDIN_PORT || "18090", 10);
+const NOTIFY_STANDIN_FAIL_FIRST = parseInt(process.env.NOTIFY_STANDIN_FAIL_FIRST || "0", 10);
+const NOTIFY_STANDIN_FAIL_STATUS = parseInt(process.env.NOTIFY_STANDIN_FAIL_STATUS || "503", 10);
+const NOTIFY_STANDIN_DELAY_MS = parseInt(process.env.NOTIFY_STANDIN_DELAY_MS || "0", 10);
+
+if (!Number.isFinite(NOTIFY_STANDIN_FAIL_STATUS) || NOTIFY_STANDIN_FAIL_STATUS < 100 || NOTIFY_STANDIN_FAIL_STATUS > 599) {
+  console.error("FATAL: NOTIFY_STANDIN_FAIL_STATUS must be an HTTP status code");
+  process.exit(1);
+}
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    received += 1;
+    const n = received;
+    const body = Buffer.concat(chunks).toString("utf8");
+    let payload = null;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      payload = null;
+    }
+
+    const status = n <= NOTIFY_STANDIN_FAIL_FIRST ? NOTIFY_STANDIN_FAIL_STATUS : 200;
+    console.log(JSON.stringify({
+      n,
+      at: new Date().toISOString(),
+      method: req.method,
+      path: req.url,
+      notification_id: req.headers["x-notification-id"] || null,
+      attempt: req.headers["x-notification-attempt"] || null,
+      responded: status,
+      payload: payload ?? body,
+    }));
+
+    setTimeout(() => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify({ ok: status < 300, n }));
+    }, NOTIFY_STANDIN_DELAY_MS);
+  });
+});
+
+server.listen(NOTIFY_STANDIN_PORT, "127.0.0.1", () => {
+  console.log(
+    `notify stand-in listening on http://127.0.0.1:${NOTIFY_STANDIN_PORT} ` +
+    `fail_first=${NOTIFY_STANDIN_FAIL_FIRST} fail_status=${NOTIFY_STANDIN_FAIL_STATUS} delay_ms=${NOTIFY_STANDIN_DELAY_MS}`
+  );
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    server.close(() => process.exit(0));
+    server.closeAllConnections();
+  });
+}
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, postJson, adminGet, barBundle, skipWithoutDb } from "./helpers.js";
+
+describe("admin query API", { skip: skipWithoutDb }, () => {
+  let db;
+  let receiver;
+  let requestId;
+  before(async () => {
+    db = await createTestDatabase();
+    receiver = await startReceiver(baseEnv(db.url));
+    const sentAtMs = Date.now();
+    const res = await postJson(receiver.baseUrl, "/tv", barBundle({ runId: "run_admin", seqs: [1, 2, 3], configSeq: 0, sentAtMs }));
+    requestId = (await res.json()).request_id;
+    await postJson(receiver.baseUrl, "/tv", barBundle({ runId: "run_admin", seqs: [3], sentAtMs }));
+  });
+  after(async () => {
+    await receiver?.stop();
+    await db?.drop();
+  });
+
+  it("requires the bearer token", async () => {
+    const anonymous = await fetch(`${receiver.baseUrl}/admin/runs`);
+    assert.equal(anonymous.status, 401);
+    const wrong = await fetch(`${receiver.baseUrl}/admin/runs`, { headers: { authorization: "Bearer nope" } });
+    assert.equal(wrong.status, 401);
+  });
+
+  it("is disabled without ADMIN_API_TOKEN", async () => {
+    const closed = await startReceiver(baseEnv(db.url, { ADMIN_API_TOKEN: "" }));
+    try {
+      const res = await fetch(`${closed.baseUrl}/admin/runs`, { headers: { authorization: "Bearer anything" } });
+      assert.equal(res.status, 404);
+      assert.equal((await res.json()).error, "admin_api_disabled");
+    } finally {
+      await closed.stop();
+    }
+  });
+
+  it("lists runs and filters by env", async () => {
+    const all = await (await adminGet(receiver.baseUrl, "/admin/runs")).json();
+    assert.deepEqual(all.runs.map((r) => r.run_id), ["run_admin"]);
+    const none = await (await adminGet(receiver.baseUrl, "/admin/runs?env=prod")).json();
+    assert.deepEqual(none.runs, []);
+  });
+
+  it("describes a run with counts and sequence ranges", async () => {
+    const body = await (await adminGet(receiver.baseUrl, "/admin/runs/run_admin")).json();
+    const counts = Object.fromEntries(body.counts_by_row_type.map((r) => [r.row_type, Number(r.events)]));
+    assert.deepEqual(counts, { BAR: 3, CONFIG: 1, DUPLICATE: 1 });
+    assert.deepEqual(body.seq_ranges.map((r) => [Number(r.seq_start), Number(r.seq_end)]), [[0, 3]]);
+    assert.equal((await adminGet(receiver.baseUrl, "/admin/runs/run_missing")).status, 404);
+  });
+
+  it("returns a request with its events and per-event outcome", async () => {
+    const body = await (await adminGet(receiver.baseUrl, `/admin/requests/${requestId}`)).json();
+    assert.equal(body.request.request_id, requestId);
+    assert.equal(body.events.length, 4);
+    assert.ok(body.events.every((e) => e.outcome === "accepted"));
+  });
+
+  it("pages through events with a cursor", async () => {
+    const first = await (await adminGet(receiver.baseUrl, "/admin/events?run_id=run_admin&limit=3")).json();
+    assert.equal(first.events.length, 3);
+    assert.ok(first.next_cursor);
+    const second = await (await adminGet(receiver.baseUrl, `/admin/events?run_id=run_admin&limit=3&cursor=${first.next_cursor}`)).json();
+    assert.deepEqual(second.events.map((e) => e.outcome), ["accepted", "duplicate"]);
+    assert.equal(second.next_cursor, null);
+    const duplicates = await (await adminGet(receiver.baseUrl, "/admin/events?row_type=duplicate")).json();
+    assert.deepEqual(duplicates.events.map((e) => e.outcome), ["duplicate"]);
+  });
+});
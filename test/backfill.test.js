@@ -0,0 +1,98 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { createTestDatabase, baseEnv, startReceiver, runScript, parseJsonOutput, barBundle, tempDir, ADMIN_TOKEN, skipWithoutDb } from "./helpers.js";
+
+function captureLine(runId, seqs, extra = {}) {
+  return JSON.stringify({ t_received_ms: Date.now(), body: barBundle({ runId, seqs }), ...extra });
+}
+
+describe("backfill limits", { skip: skipWithoutDb }, () => {
+  let db;
+  let env;
+  before(async () => {
+    db = await createTestDatabase();
+    env = baseEnv(db.url, { TV_MAX_BODY_BYTES: "4000", BACKFILL_MAX_DECOMPRESSED_BYTES: "40000" });
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("ingests a gzipped file and skips lines over TV_MAX_BODY_BYTES", async () => {
+    const file = path.join(tempDir(), "bundles.ndjson.gz");
+    const lines = [captureLine("run_bf_cli", [1, 2]), captureLine("run_bf_huge", [1], { padding: "x".repeat(5000) }), captureLine("run_bf_cli", [3])];
+    fs.writeFileSync(file, zlib.gzipSync(lines.join("\r\n") + "\n"));
+
+    const r = await runScript("index.js", ["backfill", "--file", file], env);
+    assert.equal(r.code, 1, "a skipped line fails the run");
+    const summary = parseJsonOutput(r.stdout);
+    assert.deepEqual([summary.lines, summary.ingested, summary.accepted, summary.failed], [3, 2, 3, 1]);
+    assert.deepEqual(summary.errors, [{ line: 2, error: "line_too_large" }]);
+    assert.equal(summary.aborted, undefined);
+    const rs = await db.query(`select count(*)::int as n from raw_events where run_id = 'run_bf_huge'`);
+    assert.equal(rs.rows[0].n, 0);
+  });
+
+  it("stops the CLI at BACKFILL_MAX_DECOMPRESSED_BYTES", async () => {
+    const file = path.join(tempDir(), "bomb.ndjson.gz");
+    fs.writeFileSync(file, zlib.gzipSync(Buffer.alloc(200_000, 10)));
+    const r = await runScript("index.js", ["backfill", "--file", file], env);
+    assert.equal(r.code, 1);
+    const summary = parseJsonOutput(r.stdout);
+    assert.equal(summary.ok, false);
+    assert.equal(summary.aborted, "backfill_too_large");
+  });
+
+  it("applies both limits to /admin/backfill", async () => {
+    const receiver = await startReceiver(env);
+    const post = (body, headers = {}) => fetch(`${receiver.baseUrl}/admin/backfill`, {
+      method: "POST",
+      headers: { authorization: `Bearer ${ADMIN_TOKEN}`, "content-type": "application/x-ndjson", ...headers },
+      body,
+    });
+    try {
+      const ok = await post([captureLine("run_bf_http", [1]), "y".repeat(5000)].join("\n"));
+      assert.equal(ok.status, 200);
+      const summary = await ok.json();
+      assert.deepEqual([summary.ingested, summary.failed, summary.errors[0].error], [1, 1, "line_too_large"]);
+
+      const plain = await post(Buffer.alloc(60_000, 10));
+      assert.equal(plain.status, 413);
+      assert.equal((await plain.json()).error, "backfill_too_large");
+
+      const bomb = await post(zlib.gzipSync(Buffer.alloc(200_000, 10)), { "content-encoding": "gzip" });
+      assert.equal(bomb.status, 413);
+      assert.equal((await bomb.json()).error, "backfill_too_large");
+
+      assert.equal((await fetch(`${receiver.baseUrl}/readyz`)).status, 200);
+    } finally {
+      await receiver.stop();
+    }
+  });
+
+  it("streams /admin/backfill/ too and answers 400 for a corrupt compressed body", async () => {
+    const receiver = await startReceiver(env);
+    const post = (route, body, headers = {}) => fetch(`${receiver.baseUrl}${route}`, {
+      method: "POST",
+      headers: { authorization: `Bearer ${ADMIN_TOKEN}`, "content-type": "application/x-ndjson", ...headers },
+      body,
+    });
+    try {
+      const slash = await post("/admin/backfill/", zlib.gzipSync(captureLine("run_bf_slash", [1]) + "\n"), { "content-encoding": "gzip" });
+      assert.equal(slash.status, 200);
+      assert.equal((await slash.json()).ingested, 1);
+
+      for (const encoding of ["gzip", "deflate", "br"]) {
+        const corrupt = await post("/admin/backfill", Buffer.from(captureLine("run_bf_corrupt", [1])), { "content-encoding": encoding });
+        assert.equal(corrupt.status, 400, encoding);
+        assert.equal((await corrupt.json()).error, "body_decompress_failed");
+      }
+      const rs = await db.query(`select count(*)::int as n from raw_events where run_id = 'run_bf_corrupt'`);
+      assert.equal(rs.rows[0].n, 0);
+    } finally {
+      await receiver.stop();
+    }
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, skipWithoutDb } from "./helpers.js";
+
+describe("plain-text and key=value bodies", { skip: skipWithoutDb }, () => {
+  let db;
+  let receiver;
+  before(async () => {
+    db = await createTestDatabase();
+    receiver = await startReceiver(baseEnv(db.url, { TV_DELIMITED_FIELDS: "symbol,close,alert_tag" }));
+  });
+  after(async () => {
+    await receiver?.stop();
+    await db?.drop();
+  });
+
+  const post = async (body, contentType = "text/plain") => {
+    const res = await fetch(`${receiver.baseUrl}/tv`, { method: "POST", headers: { "content-type": contentType }, body });
+    const json = await res.json();
+    if (!json.ok) return { status: res.status, json, payloads: null };
+    const rs = await db.query(`select payload from raw_events where request_id = $1 order by record_index`, [json.request_id]);
+    return { status: res.status, json, payloads: rs.rows.map((r) => r.payload) };
+  };
+
+  it("decodes key=value alert bodies", async () => {
+    const { status, payloads } = await post("symbol=BTCUSDT; close=42000.5\nrun_id=run_kv");
+    assert.equal(status, 200);
+    assert.equal(payloads[0].decoder, "kv");
+    assert.equal(payloads[0].row_type, "ALERT");
+    assert.equal(payloads[0].symbol, "BTCUSDT");
+    assert.equal(payloads[0].close, "42000.5");
+    assert.equal(payloads[0].run_id, "run_kv");
+  });
+
+  it("url-decodes form-encoded bodies", async () => {
+    const { status, payloads } = await post("symbol=ETH%2FUSD&note=hello+world", "application/x-www-form-urlencoded");
+    assert.equal(status, 200);
+    assert.equal(payloads[0].symbol, "ETH/USD");
+    assert.equal(payloads[0].note, "hello world");
+  });
+
+  it("maps delimited plain text onto TV_DELIMITED_FIELDS and keeps the text", async () => {
+    const { status, payloads } = await post("BTCUSDT|41999|breakout|extra");
+    assert.equal(status, 200);
+    assert.equal(payloads[0].decoder, "delimited");
+    assert.equal(payloads[0].symbol, "BTCUSDT");
+    assert.equal(payloads[0].close, "41999");
+    assert.equal(payloads[0].alert_tag, "breakout");
+    assert.equal(payloads[0].field_4, "extra");
+    assert.equal(payloads[0].alert_text, "BTCUSDT|41999|breakout|extra");
+  });
+
+  it("leaves one-line text that does not fill TV_DELIMITED_FIELDS to the error path", async () => {
+    for (const body of ["Price crossed 42000 on BTCUSDT", "BTCUSDT|41999", "BTCUSDT||breakout"]) {
+      const { status, json } = await post(body);
+      assert.equal(status, 400, body);
+      assert.equal(json.error, "body_decode_failed");
+    }
+  });
+
+  it("decodes NDJSON into one document per line", async () => {
+    const body = [
+      JSON.stringify({ row_type: "ALERT", run_id: "run_nd", uid: "nd1", symbol: "A" }),
+      JSON.stringify({ row_type: "ALERT", run_id: "run_nd", uid: "nd2", symbol: "B" }),
+    ].join("\n");
+    const { status, json, payloads } = await post(body, "application/x-ndjson");
+    assert.equal(status, 200);
+    assert.equal(json.accepted, 2);
+    assert.deepEqual(payloads.map((p) => [p.decoder, p.symbol]), [["ndjson", "A"], ["ndjson", "B"]]);
+  });
+
+  it("rejects malformed JSON instead of falling through to the text decoders", async () => {
+    const { status, json } = await post(`{"row_type": "BAR",`, "application/json");
+    assert.equal(status, 400);
+    assert.equal(json.error, "json_parse_failed");
+  });
+
+  it("honours TV_BODY_DECODERS", async () => {
+    const jsonOnly = await startReceiver(baseEnv(db.url, { TV_BODY_DECODERS: "json" }));
+    try {
+      const res = await fetch(`${jsonOnly.baseUrl}/tv`, { method: "POST", headers: { "content-type": "text/plain" }, body: "symbol=BTCUSDT" });
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error, "body_decode_failed");
+    } finally {
+      await jsonOnly.stop();
+    }
+  });
+});
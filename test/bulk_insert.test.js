@@ -0,0 +1,57 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, runScript, parseJsonOutput, postJson, barBundle, skipWithoutDb } from "./helpers.js";
+
+describe("set-based bundle inserts", { skip: skipWithoutDb }, () => {
+  let db;
+  let env;
+  before(async () => {
+    db = await createTestDatabase();
+    env = baseEnv(db.url);
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("inserts a large bundle in one request with outcomes in record order", async () => {
+    const receiver = await startReceiver(env);
+    try {
+      const seqs = Array.from({ length: 400 }, (_, i) => i + 1);
+      const bundle = barBundle({ runId: "run_bulk", seqs, configSeq: 0 });
+      bundle.records.push({ ...bundle.records[5] });
+      const res = await postJson(receiver.baseUrl, "/tv", bundle);
+      assert.equal(res.status, 200);
+      const body = await res.json();
+      assert.equal(body.accepted, 401);
+      assert.equal(body.duplicate, 1);
+      assert.deepEqual(body.outcomes.map((o) => o.record_index), [...Array(402).keys()]);
+      assert.equal(body.outcomes[401].outcome, "duplicate");
+      assert.equal(body.outcomes[401].duplicate_of_raw_event_id, body.outcomes[5].raw_event_id);
+
+      const rs = await db.query(`select count(*)::int as n, count(distinct uid)::int as uids from raw_events where run_id = 'run_bulk' and row_type in ('BAR', 'CONFIG')`);
+      assert.deepEqual(rs.rows[0], { n: 401, uids: 401 });
+      const runs = await db.query(`select count(*)::int as n from runs where run_id = 'run_bulk'`);
+      assert.equal(runs.rows[0].n, 1);
+    } finally {
+      await receiver.stop();
+    }
+  });
+
+  it("bench ingests synthetic bundles and removes what it wrote", async () => {
+    const r = await runScript("index.js", ["bench", "--records", "50", "--iterations", "3"], env, { timeoutMs: 120_000 });
+    assert.equal(r.code, 0, r.stderr);
+    const summary = parseJsonOutput(r.stdout);
+    assert.equal(summary.records_inserted, 153);
+    assert.equal(summary.kept_rows, false);
+
+    const left = await db.query(`
+      select (select count(*) from raw_events where run_id like 'BENCH_%')::int as events,
+             (select count(*) from raw_requests where path = '/bench')::int as requests,
+             (select count(*) from runs where run_id like 'BENCH_%')::int as runs,
+             (select count(*) from run_seq_ranges where run_id like 'BENCH_%')::int as ranges,
+             (select count(*) from seq_gaps where run_id like 'BENCH_%')::int as gaps,
+             (select count(*) from unknown_fields where stream_id = 'BENCH')::int as unknown_fields
+    `);
+    assert.deepEqual(left.rows[0], { events: 0, requests: 0, runs: 0, ranges: 0, gaps: 0, unknown_fields: 0 });
+  });
+});
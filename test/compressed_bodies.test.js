@@ -0,0 +1,60 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { createTestDatabase, baseEnv, startReceiver, barBundle, skipWithoutDb } from "./helpers.js";
+
+describe("compressed request bodies", { skip: skipWithoutDb }, () => {
+  let db;
+  let receiver;
+  before(async () => {
+    db = await createTestDatabase();
+    receiver = await startReceiver(baseEnv(db.url, { TV_MAX_BODY_BYTES: "20000", TV_MAX_DECOMPRESSED_BYTES: "60000" }));
+  });
+  after(async () => {
+    await receiver?.stop();
+    await db?.drop();
+  });
+
+  const post = (body, encoding) => fetch(`${receiver.baseUrl}/tv`, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...(encoding ? { "content-encoding": encoding } : {}) },
+    body,
+  });
+
+  for (const [encoding, compress] of [["gzip", zlib.gzipSync], ["deflate", zlib.deflateSync], ["br", zlib.brotliCompressSync]]) {
+    it(`accepts ${encoding} bodies and records both sizes`, async () => {
+      const json = JSON.stringify(barBundle({ runId: `run_${encoding}`, seqs: [1, 2] }));
+      const res = await post(compress(Buffer.from(json)), encoding);
+      assert.equal(res.status, 200);
+      const { request_id, accepted } = await res.json();
+      assert.equal(accepted, 2);
+      const rs = await db.query(`select content_encoding, compressed_size_bytes, decompressed_size_bytes from raw_requests where request_id = $1`, [request_id]);
+      assert.equal(rs.rows[0].content_encoding, encoding);
+      assert.equal(Number(rs.rows[0].decompressed_size_bytes), Buffer.byteLength(json));
+      assert.ok(Number(rs.rows[0].compressed_size_bytes) < Buffer.byteLength(json));
+    });
+  }
+
+  it("decodes stacked encodings in reverse order", async () => {
+    const json = JSON.stringify(barBundle({ runId: "run_stacked" }));
+    const res = await post(zlib.brotliCompressSync(zlib.gzipSync(Buffer.from(json))), "gzip, br");
+    assert.equal(res.status, 200);
+    const { request_id } = await res.json();
+    const rs = await db.query(`select content_encoding from raw_requests where request_id = $1`, [request_id]);
+    assert.equal(rs.rows[0].content_encoding, "gzip, br");
+  });
+
+  it("rejects unsupported encodings, corrupt streams and oversized bodies", async () => {
+    const unsupported = await post("{}", "compress");
+    assert.deepEqual([unsupported.status, (await unsupported.json()).error], [415, "unsupported_content_encoding"]);
+
+    const corrupt = await post(Buffer.from("not gzip at all"), "gzip");
+    assert.deepEqual([corrupt.status, (await corrupt.json()).error], [400, "body_decompress_failed"]);
+
+    const bomb = await post(zlib.gzipSync(Buffer.alloc(200_000, 32)), "gzip");
+    assert.deepEqual([bomb.status, (await bomb.json()).error], [413, "decompressed_body_too_large"]);
+
+    const wire = await post(Buffer.alloc(30_000, 32));
+    assert.deepEqual([wire.status, (await wire.json()).error], [413, "body_too_large"]);
+  });
+});
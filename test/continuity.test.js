@@ -0,0 +1,69 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, materializerEnv, materializeAll, startReceiver, postJson, barBundle, skipWithoutDb } from "./helpers.js";
+
+const TF_MS = 30 * 60_000;
+
+function barsAt(runId, { exchange, symbol, instrumentType = "crypto" }, opens, { durationMs = TF_MS, firstSeq = 1 } = {}) {
+  const bundle = barBundle({ runId, symbol, tf: "30", seqs: opens.map((_t, i) => firstSeq + i) });
+  bundle.records.forEach((rec, i) => {
+    Object.assign(rec, { exchange, tickerid: `${exchange}:${symbol}`, instrument_type: instrumentType, t_open_ms: opens[i], t_close_ms: opens[i] + durationMs });
+  });
+  return bundle;
+}
+
+describe("bar continuity", { skip: skipWithoutDb }, () => {
+  let db;
+  let receiver;
+  let env;
+  before(async () => {
+    db = await createTestDatabase();
+    receiver = await startReceiver(baseEnv(db.url));
+    env = materializerEnv(db.url);
+  });
+  after(async () => {
+    await receiver?.stop();
+    await db?.drop();
+  });
+
+  const ingest = async (bundle) => assert.equal((await postJson(receiver.baseUrl, "/tv", bundle)).status, 200);
+  const issues = async (symbol) => (await db.query(
+    `select issue_type, expected_bars, calendar, resolved_at is not null as resolved
+     from bar_continuity_issues where symbol = $1 order by issue_type, t_open_ms`, [symbol]
+  )).rows;
+
+  it("flags missing, overlapping and mis-sized bars on a 24/7 exchange", async () => {
+    const crypto = { exchange: "BINANCE", symbol: "CONTUSDT" };
+    const t0 = Date.parse("2026-10-17T00:00:00Z");
+    await ingest(barsAt("run_cont", crypto, [t0, t0 + TF_MS, t0 + 3 * TF_MS]));
+    await ingest(barsAt("run_cont", crypto, [t0 + 3.5 * TF_MS], { firstSeq: 4 }));
+    await ingest(barsAt("run_cont", crypto, [t0 + 5 * TF_MS], { firstSeq: 5, durationMs: TF_MS - 60_000 }));
+    await materializeAll(db, env);
+
+    const found = await issues("CONTUSDT");
+    assert.deepEqual(found.map((i) => [i.issue_type, i.expected_bars, i.calendar]), [
+      ["bad_duration", null, null],
+      ["missing_bars", 1, "exchange:BINANCE"],
+      ["overlap", null, "exchange:BINANCE"],
+    ]);
+  });
+
+  it("resolves a missing-bars issue when the late bar arrives", async () => {
+    const t0 = Date.parse("2026-10-17T00:00:00Z");
+    await ingest(barsAt("run_cont", { exchange: "BINANCE", symbol: "CONTUSDT" }, [t0 + 2 * TF_MS], { firstSeq: 6 }));
+    await materializeAll(db, env);
+    const missing = (await issues("CONTUSDT")).filter((i) => i.issue_type === "missing_bars");
+    assert.deepEqual(missing.map((i) => i.resolved), [true]);
+  });
+
+  it("skips closed sessions and weekends from the exchange calendar", async () => {
+    const stock = { exchange: "NYSE", symbol: "CONTSTK", instrumentType: "stock" };
+    const fridayLast = Date.parse("2026-10-16T19:30:00Z");
+    const mondayOpen = Date.parse("2026-10-19T13:30:00Z");
+    await ingest(barsAt("run_cont_stock", stock, [fridayLast, mondayOpen, mondayOpen + 2 * TF_MS]));
+    await materializeAll(db, env);
+
+    const found = await issues("CONTSTK");
+    assert.deepEqual(found.map((i) => [i.issue_type, i.expected_bars, i.calendar]), [["missing_bars", 1, "exchange:NYSE"]]);
+  });
+});
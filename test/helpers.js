@@ -0,0 +1,221 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import net from "net";
+import crypto from "crypto";
+import { execFile, spawn } from "child_process";
+import { fileURLToPath } from "url";
+import pg from "pg";
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const TEST_DATABASE_URL = (process.env.TEST_DATABASE_URL || "").trim();
+export const ADMIN_TOKEN = "test-admin-token-0123456789abcdefghij";
+export const skipWithoutDb = TEST_DATABASE_URL ? false : "TEST_DATABASE_URL is not set";
+
+function databaseUrl(name) {
+  const url = new URL(TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+  return url.toString();
+}
+
+export async function createTestDatabase() {
+  const name = `tvtest_${crypto.randomBytes(6).toString("hex")}`;
+  const admin = new pg.Client({ connectionString: TEST_DATABASE_URL });
+  await admin.connect();
+  try {
+    await admin.query(`create database ${name}`);
+  } finally {
+    await admin.end();
+  }
+  const url = databaseUrl(name);
+  const pool = new pg.Pool({ connectionString: url, max: 4 });
+  return {
+    url,
+    query: (sql, params) => pool.query(sql, params),
+    connect: () => pool.connect(),
+    async drop() {
+      await pool.end();
+      const client = new pg.Client({ connectionString: TEST_DATABASE_URL });
+      await client.connect();
+      try {
+        await client.query(`drop database if exists ${name} with (force)`);
+      } finally {
+        await client.end();
+      }
+    },
+  };
+}
+
+export function tempDir(prefix = "tvtest-") {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+export function baseEnv(dbUrl, extra = {}) {
+  const scratch = tempDir();
+  return {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME || scratch,
+    DATABASE_URL: dbUrl,
+    PGSSL_INSECURE: "1",
+    PGSSLMODE: "disable",
+    RECEIVER_ENV: "dev",
+    ALLOW_UNTRUSTED_INGRESS: "1",
+    ADMIN_API_TOKEN: ADMIN_TOKEN,
+    SPOOL_DIR: path.join(scratch, "spool"),
+    RETENTION_ARCHIVE_DIR: path.join(scratch, "archive"),
+    SCHEMA_REGISTRY_DIR: path.join(scratch, "schema_registry"),
+    WATCHDOG_INTERVAL_MS: "0",
+    ...extra,
+  };
+}
+
+export function runScript(script, args, env, { timeoutMs = 60_000, input = null } = {}) {
+  return new Promise((resolve) => {
+    const child = execFile(process.execPath, [script, ...args], { cwd: ROOT, env, timeout: timeoutMs, maxBuffer: 32 * 1024 * 1024 }, (error, stdout, stderr) => {
+      resolve({ code: error ? (typeof error.code === "number" ? error.code : 1) : 0, stdout, stderr });
+    });
+    if (input !== null) child.stdin.end(input);
+  });
+}
+
+export function parseJsonOutput(stdout) {
+  const start = stdout.indexOf("{");
+  return JSON.parse(stdout.slice(start));
+}
+
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+export async function waitFor(check, { timeoutMs = 20_000, intervalMs = 200, message = "condition not met in time" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(message);
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+export function startProcess(script, args, env) {
+  const child = spawn(process.execPath, [script, ...args], { cwd: ROOT, env, stdio: ["ignore", "pipe", "pipe"] });
+  let output = "";
+  child.stdout.on("data", (d) => { output += d; });
+  child.stderr.on("data", (d) => { output += d; });
+  const exited = new Promise((resolve) => child.once("exit", (code) => resolve(code)));
+  return {
+    child,
+    exited,
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) child.kill("SIGTERM");
+      const timer = setTimeout(() => child.kill("SIGKILL"), 30_000);
+      const code = await exited;
+      clearTimeout(timer);
+      return code;
+    },
+  };
+}
+
+export async function startReceiver(env, { script = "index.js", args = [], waitForSchema = true } = {}) {
+  const port = await freePort();
+  const proc = startProcess(script, args, { ...env, PORT: String(port) });
+  const baseUrl = `http://127.0.0.1:${port}`;
+  try {
+    await waitFor(async () => {
+      if (proc.child.exitCode !== null) throw new Error(`receiver exited early:\n${proc.output()}`);
+      const ready = await fetch(`${baseUrl}/readyz`).then((r) => r.ok && r.json()).catch(() => null);
+      return ready && (ready.schema_ready || !waitForSchema);
+    }, { intervalMs: 100, message: "receiver did not become ready" });
+  } catch (e) {
+    proc.child.kill("SIGKILL");
+    throw new Error(`${e.message}\n${proc.output()}`);
+  }
+  return { baseUrl, port, child: proc.child, exited: proc.exited, output: proc.output, stop: proc.stop };
+}
+
+export function materializerEnv(dbUrl, extra = {}) {
+  return baseEnv(dbUrl, {
+    MATERIALIZER_VISIBILITY_LAG_MS: "0",
+    MATERIALIZER_IDLE_SLEEP_MS: "100",
+    MATERIALIZER_RECONCILE_INTERVAL_MS: "0",
+    ...extra,
+  });
+}
+
+export async function materializeAll(db, env, { timeoutMs = 30_000 } = {}) {
+  const proc = startProcess("materializer.js", [], env);
+  try {
+    await waitFor(async () => {
+      if (proc.child.exitCode !== null) throw new Error(`materializer exited early:\n${proc.output()}`);
+      const rs = await db.query(`
+        select (select coalesce(max(id), 0) from raw_events) as head,
+               (select last_raw_event_id from materializer_state where id = 1) as done
+      `).catch(() => null);
+      return rs && rs.rows[0].done !== null && BigInt(rs.rows[0].done) >= BigInt(rs.rows[0].head);
+    }, { timeoutMs, message: "materializer did not catch up" });
+  } finally {
+    await proc.stop();
+  }
+  return proc.output();
+}
+
+export function postJson(baseUrl, pathName, body, headers = {}) {
+  return fetch(`${baseUrl}${pathName}`, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+}
+
+export function adminGet(baseUrl, pathName) {
+  return fetch(`${baseUrl}${pathName}`, { headers: { authorization: `Bearer ${ADMIN_TOKEN}` } });
+}
+
+export function barBundle({ runId, seqs = [1], symbol = "BTCUSDT", tf = "15", streamId = "TEST", configSeq = null, extra = {}, sentAtMs = Date.now() }) {
+  const tfMs = Number(tf) * 60_000;
+  const common = {
+    run_id: runId,
+    stream_id: streamId,
+    env: "dev",
+    deployment_id: "TEST",
+    exchange: "BINANCE",
+    symbol,
+    tickerid: `BINANCE:${symbol}`,
+    instrument_type: "crypto",
+    tf,
+    schema_version: 1,
+    cfg_sig_raw: `test|${runId}`,
+  };
+  const records = [];
+  if (configSeq !== null) records.push({ ...common, row_type: "CONFIG", uid: `${runId}|CONFIG|${configSeq}`, seq: configSeq });
+  const base = Math.floor(sentAtMs / tfMs) * tfMs - 1000 * tfMs;
+  for (const seq of seqs) {
+    const close = 100 + seq / 100;
+    records.push({
+      ...common,
+      row_type: "BAR",
+      uid: `${runId}|BAR|${seq}`,
+      seq,
+      t_close_ms: base + seq * tfMs,
+      open: close - 0.5,
+      high: close + 1,
+      low: close - 1,
+      close,
+      volume: 10 + seq,
+      ...extra,
+    });
+  }
+  return { bundle_version: 1, bundle_type: "TEST", sent_at_ms: sentAtMs, records };
+}
+
+export function rawBodyKey(kid) {
+  return `${kid}:${crypto.randomBytes(32).toString("base64")}`;
+}
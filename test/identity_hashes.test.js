@@ -0,0 +1,44 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, runScript, parseJsonOutput, postJson, adminGet, barBundle, skipWithoutDb } from "./helpers.js";
+
+describe("identity hashes", { skip: skipWithoutDb }, () => {
+  let db;
+  const peppered = (dbUrl) => baseEnv(dbUrl, { HASH_PEPPERS: `v1:${"p".repeat(32)}` });
+  before(async () => {
+    db = await createTestDatabase();
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("warns at startup while hashes are unkeyed", async () => {
+    const unkeyed = await startReceiver(baseEnv(db.url));
+    await unkeyed.stop();
+    assert.match(unkeyed.output(), /HASH_PEPPERS is not set: client IP and user agent hashes are unkeyed sha256/);
+
+    const keyed = await startReceiver(peppered(db.url));
+    await keyed.stop();
+    assert.doesNotMatch(keyed.output(), /HASH_PEPPERS is not set/);
+  });
+
+  it("records the hash key version on raw_events and keeps cleartext addresses out of the admin API", async () => {
+    const receiver = await startReceiver(peppered(db.url));
+    try {
+      const { request_id: requestId } = await (await postJson(receiver.baseUrl, "/tv", barBundle({ runId: "run_hashes", seqs: [1, 2] }))).json();
+      const events = await db.query(`select distinct hash_key_version from raw_events where request_id = $1`, [requestId]);
+      assert.deepEqual(events.rows, [{ hash_key_version: "v1" }]);
+
+      const body = await (await adminGet(receiver.baseUrl, `/admin/requests/${requestId}`)).json();
+      assert.equal(body.request.hash_key_version, "v1");
+      assert.ok(!("client_ip" in body.request) && !("proxy_chain" in body.request));
+    } finally {
+      await receiver.stop();
+    }
+
+    const status = await runScript("index.js", ["hash-peppers", "status"], peppered(db.url));
+    assert.equal(status.code, 0, status.stderr);
+    const total = (await db.query(`select count(*)::int as n from raw_events`)).rows[0].n;
+    assert.deepEqual(parseJsonOutput(status.stdout).raw_events, [{ hash_key_version: "v1", rows: total }]);
+  });
+});
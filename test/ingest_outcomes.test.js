@@ -0,0 +1,60 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, postJson, barBundle, skipWithoutDb } from "./helpers.js";
+
+describe("per-record ingest outcomes", { skip: skipWithoutDb }, () => {
+  let db;
+  let receiver;
+  before(async () => {
+    db = await createTestDatabase();
+    receiver = await startReceiver(baseEnv(db.url));
+  });
+  after(async () => {
+    await receiver?.stop();
+    await db?.drop();
+  });
+
+  const sentAtMs = Date.now();
+  const ingest = async (bundle) => {
+    const res = await postJson(receiver.baseUrl, "/tv", bundle);
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+
+  it("reports accepted, duplicate and conflict per record", async () => {
+    const first = await ingest(barBundle({ runId: "run_dup", seqs: [1, 2], sentAtMs }));
+    assert.deepEqual([first.accepted, first.duplicate, first.conflict], [2, 0, 0]);
+    assert.deepEqual(first.outcomes.map((o) => o.outcome), ["accepted", "accepted"]);
+
+    const again = await ingest(barBundle({ runId: "run_dup", seqs: [1, 2, 3], sentAtMs }));
+    assert.deepEqual(again.outcomes.map((o) => o.outcome), ["duplicate", "duplicate", "accepted"]);
+    assert.equal(again.outcomes[0].duplicate_of_raw_event_id, first.outcomes[0].raw_event_id);
+
+    const changed = await ingest(barBundle({ runId: "run_dup", seqs: [2], sentAtMs, extra: { close: 999 } }));
+    assert.deepEqual(changed.outcomes.map((o) => o.outcome), ["conflict"]);
+    assert.equal(changed.outcomes[0].duplicate_of_raw_event_id, first.outcomes[1].raw_event_id);
+  });
+
+  it("stores explicit DUPLICATE rows pointing at the original", async () => {
+    const rs = await db.query(`
+      select d.duplicate_of_raw_event_id, d.duplicate_payload_identical, o.uid as original_uid
+      from raw_events d join raw_events o on o.id = d.duplicate_of_raw_event_id
+      where d.row_type = 'DUPLICATE' and d.run_id = 'run_dup'
+      order by d.id
+    `);
+    assert.deepEqual(rs.rows.map((r) => [r.original_uid, r.duplicate_payload_identical]), [
+      ["run_dup|BAR|1", true],
+      ["run_dup|BAR|2", true],
+      ["run_dup|BAR|2", false],
+    ]);
+    const bars = await db.query(`select count(*)::int as n from raw_events where run_id = 'run_dup' and row_type = 'BAR'`);
+    assert.equal(bars.rows[0].n, 3);
+  });
+
+  it("treats a different uid with the same run_id and seq as a duplicate key", async () => {
+    const bundle = barBundle({ runId: "run_dup", seqs: [3], sentAtMs });
+    bundle.records[0].uid = "run_dup|BAR|3|renamed";
+    const res = await ingest(bundle);
+    assert.equal(res.outcomes[0].outcome, "conflict");
+  });
+});
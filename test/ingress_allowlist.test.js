@@ -0,0 +1,61 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, runScript, postJson, barBundle, skipWithoutDb } from "./helpers.js";
+
+describe("ingress allowlist", { skip: skipWithoutDb }, () => {
+  let db;
+  before(async () => {
+    db = await createTestDatabase();
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  const send = (receiver, xff) => postJson(receiver.baseUrl, "/tv", barBundle({ runId: `run_${Math.random()}` }), xff ? { "x-forwarded-for": xff } : {});
+
+  it("matches CIDR blocks against the address left of the trusted proxies", async () => {
+    const receiver = await startReceiver(baseEnv(db.url, {
+      ALLOW_UNTRUSTED_INGRESS: "",
+      TV_ALLOWED_IPS: "10.0.0.0/8,2001:db8::/32",
+      TV_TRUSTED_PROXIES: "127.0.0.1,192.168.0.0/16",
+    }));
+    try {
+      assert.equal((await send(receiver, "10.20.30.40")).status, 200);
+      assert.equal((await send(receiver, "10.20.30.40, 192.168.1.1")).status, 200);
+      assert.equal((await send(receiver, "2001:db8::7")).status, 200);
+      assert.equal((await send(receiver, "8.8.8.8")).status, 403);
+      assert.equal((await send(receiver, "10.20.30.40, 8.8.8.8")).status, 403, "spoofed left-most entry must not be trusted");
+      assert.equal((await send(receiver, null)).status, 403, "the trusted proxy itself is not an allowed source");
+
+      const rs = await db.query(`select allow_rule, client_ip_source from raw_requests where auth_ok order by id`);
+      assert.deepEqual(rs.rows.map((r) => r.allow_rule), ["10.0.0.0/8", "10.0.0.0/8", "2001:db8::/32"]);
+      assert.ok(rs.rows.every((r) => r.client_ip_source === "trusted_proxies"));
+    } finally {
+      await receiver.stop();
+    }
+  });
+
+  it("counts a fixed number of proxy hops from the right", async () => {
+    const receiver = await startReceiver(baseEnv(db.url, {
+      ALLOW_UNTRUSTED_INGRESS: "",
+      TV_ALLOWED_IPS: "10.0.0.0/8",
+      TV_TRUSTED_PROXY_HOPS: "1",
+    }));
+    try {
+      assert.equal((await send(receiver, "8.8.8.8, 10.1.1.1")).status, 200);
+      assert.equal((await send(receiver, "10.1.1.1, 8.8.8.8")).status, 403);
+    } finally {
+      await receiver.stop();
+    }
+  });
+
+  it("refuses to start with an invalid CIDR block or with both proxy settings", async () => {
+    const bad = await runScript("index.js", ["serve"], baseEnv(db.url, { TV_ALLOWED_IPS: "10.0.0.0/33" }), { timeoutMs: 15_000 });
+    assert.equal(bad.code, 1);
+    assert.match(bad.stderr, /TV_ALLOWED_IPS contains an invalid address or CIDR block: 10\.0\.0\.0\/33/);
+
+    const both = await runScript("index.js", ["serve"], baseEnv(db.url, { TV_TRUSTED_PROXIES: "127.0.0.1", TV_TRUSTED_PROXY_HOPS: "1" }), { timeoutMs: 15_000 });
+    assert.equal(both.code, 1);
+    assert.match(both.stderr, /set either TV_TRUSTED_PROXIES or TV_TRUSTED_PROXY_HOPS/);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  createTestDatabase, baseEnv, materializerEnv, materializeAll, startReceiver, startProcess, runScript,
+  postJson, barBundle, freePort, tempDir, waitFor, skipWithoutDb,
+} from "./helpers.js";
+
+function sample(text, name, labels = "") {
+  const line = text.split("\n").find((l) => l.startsWith(`${name}${labels ? `{${labels}}` : ""} `));
+  return line === undefined ? undefined : Number(line.slice(line.lastIndexOf(" ") + 1));
+}
+
+describe("prometheus metrics", { skip: skipWithoutDb }, () => {
+  let db;
+  before(async () => {
+    db = await createTestDatabase();
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("receiver exposes request, record and latency series", async () => {
+    const receiver = await startReceiver(baseEnv(db.url));
+    try {
+      await postJson(receiver.baseUrl, "/tv", barBundle({ runId: "run_metrics", seqs: [1, 2, 3] }));
+      await postJson(receiver.baseUrl, "/tv?token=x", "{}");
+      const text = await (await fetch(`${receiver.baseUrl}/metrics`)).text();
+      assert.match(text, /^# TYPE tv_receiver_requests_total counter$/m);
+      assert.equal(sample(text, "tv_receiver_requests_total", 'path="/tv",outcome="ok"'), 1);
+      assert.equal(sample(text, "tv_receiver_requests_total", 'path="/tv",outcome="rejected"'), 1);
+      assert.equal(sample(text, "tv_receiver_records_total", 'path="/tv",outcome="accepted",row_type="BAR"'), 3);
+      assert.equal(sample(text, "tv_receiver_rejections_total", 'reason="secret_in_query_forbidden"'), 1);
+      assert.match(text, /^tv_receiver_ingest_duration_seconds_bucket\{path="\/tv",le="\+Inf"\} 2$/m);
+    } finally {
+      await receiver.stop();
+    }
+  });
+
+  it("materializer serves /metrics on MATERIALIZER_METRICS_PORT", async () => {
+    const port = await freePort();
+    const env = materializerEnv(db.url, { MATERIALIZER_METRICS_PORT: String(port) });
+    await materializeAll(db, env);
+    const proc = startProcess("materializer.js", [], env);
+    try {
+      const text = await waitFor(() => fetch(`http://127.0.0.1:${port}/metrics`).then((r) => r.text()).catch(() => null));
+      const head = (await db.query(`select max(id)::int as id from raw_events`)).rows[0].id;
+      assert.equal(sample(text, "materializer_watermark"), head);
+      assert.equal(sample(text, "materializer_watermark_lag_events"), 0);
+      assert.match(text, /^# TYPE materializer_batches_total counter$/m);
+    } finally {
+      await proc.stop();
+    }
+  });
+
+  it("drive exporter writes a textfile with run metrics", async () => {
+    const out = tempDir();
+    const textfile = path.join(out, "drive_exporter.prom");
+    const r = await runScript("drive_exporter.js", [], baseEnv(db.url, {
+      EXPORTER_ENV: "dev",
+      DRIVE_EXPORTER_SKIP_DRIVE_UPLOAD: "1",
+      DRIVE_EXPORTER_LOCAL_OUTPUT_DIR: out,
+      DRIVE_EXPORTER_METRICS_TEXTFILE: textfile,
+    }), { timeoutMs: 120_000 });
+    assert.equal(r.code, 0, r.stderr);
+    const text = fs.readFileSync(textfile, "utf8");
+    assert.equal(sample(text, "drive_exporter_runs_total", 'status="success"'), 1);
+    assert.equal(sample(text, "drive_exporter_artifact_rows", 'artifact="LEDGER.csv"'), 3);
+    const head = (await db.query(`select max(id)::int as id from raw_events`)).rows[0].id;
+    assert.equal(sample(text, "drive_exporter_source_watermark"), head);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, startProcess, runScript, freePort, waitFor, skipWithoutDb } from "./helpers.js";
+import {
+  parseNotifyTargets, ensureNotificationSchema, registerNotificationTargets, enqueueNotification, notificationTargetWarnings,
+} from "../lib/notifications.js";
+
+describe("notification target config", () => {
+  it("rejects invalid and repeated webhook URLs", () => {
+    assert.throws(() => parseNotifyTargets("ftp://example.com/hook"), /invalid http\(s\) URL/);
+    assert.throws(() => parseNotifyTargets("https://a.example/x, https://a.example/x"), /same URL more than once/);
+    assert.deepEqual(parseNotifyTargets(" https://a.example/x ,").map((t) => t.origin), ["https://a.example"]);
+  });
+});
+
+describe("notification outbox", { skip: skipWithoutDb }, () => {
+  let db;
+  const [target] = parseNotifyTargets("https://hooks.example/notify");
+  const enqueue = (conn, key, windowSec = 900) => enqueueNotification(conn, { source: "test", dedupWindowSec: windowSec }, {
+    kind: "test", dedup_key: key, summary: `test ${key}`,
+  });
+  const rows = async (key) => (await db.query(
+    `select target, status, duplicate_count, dedup_active from notification_outbox where dedup_key = $1 order by id`, [key]
+  )).rows;
+
+  before(async () => {
+    db = await createTestDatabase();
+    await ensureNotificationSchema(db);
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("drops notifications and warns while no target is registered", async () => {
+    assert.deepEqual(await notificationTargetWarnings(db, [target]), [
+      "no notification targets are registered (set NOTIFY_WEBHOOK_URLS on the receiver); notifications will be dropped",
+      "NOTIFY_WEBHOOK_URLS target https://hooks.example is not registered by the receiver and will not be notified",
+    ]);
+    assert.equal(await enqueue(db, "none"), 0);
+    assert.deepEqual(await rows("none"), []);
+  });
+
+  it("fans out to registered targets and collapses concurrent duplicates onto one row", async () => {
+    await registerNotificationTargets(db, [target]);
+    assert.deepEqual(await notificationTargetWarnings(db, [target]), []);
+
+    const clients = await Promise.all([1, 2, 3].map(() => db.connect()));
+    try {
+      const inserted = await Promise.all([...clients, ...clients].map((c) => enqueue(c, "race")));
+      assert.equal(inserted.reduce((a, b) => a + b, 0), 1);
+    } finally {
+      clients.forEach((c) => c.release());
+    }
+    assert.deepEqual(await rows("race"), [{ target: target.id, status: "PENDING", duplicate_count: 5, dedup_active: true }]);
+  });
+
+  it("starts a new row once the window passes or the anchor is DEAD", async () => {
+    await enqueue(db, "window");
+    assert.equal(await enqueue(db, "window", 0), 1);
+    assert.deepEqual((await rows("window")).map((r) => r.dedup_active), [false, true]);
+
+    await db.query(`update notification_outbox set status = 'DEAD' where dedup_key = 'window'`);
+    assert.equal(await enqueue(db, "window"), 1);
+    assert.deepEqual((await rows("window")).map((r) => [r.status, r.dedup_active]), [["DEAD", false], ["DEAD", false], ["PENDING", true]]);
+  });
+
+  it("delivers producer rows through the receiver's targets and retires unknown targets", async () => {
+    const port = await freePort();
+    const standin = startProcess("notify_standin.js", [], { PATH: process.env.PATH, NOTIFY_STANDIN_PORT: String(port) });
+    await waitFor(() => standin.output().includes("listening"));
+    const receiver = await startReceiver(baseEnv(db.url, {
+      NOTIFY_WEBHOOK_URLS: `http://127.0.0.1:${port}/hook`,
+      NOTIFY_DISPATCH_INTERVAL_MS: "200",
+    }));
+    try {
+      const [local] = parseNotifyTargets(`http://127.0.0.1:${port}/hook`);
+      const active = await db.query(`select id from notification_targets where active`);
+      assert.deepEqual(active.rows.map((r) => r.id), [local.id], "the receiver's targets replace the earlier registration");
+
+      assert.equal(await enqueue(db, "deliver"), 1);
+      await waitFor(async () => (await rows("deliver"))[0].status === "DELIVERED");
+      assert.match(standin.output(), /"dedup_key":"deliver"/);
+
+      await waitFor(async () => (await rows("race"))[0].status === "DEAD");
+      const dead = await db.query(`select last_error from notification_outbox where dedup_key = 'race'`);
+      assert.equal(dead.rows[0].last_error, "target_not_configured");
+    } finally {
+      await receiver.stop();
+      await standin.stop();
+    }
+  });
+
+  it("exits on an invalid NOTIFY_WEBHOOK_URLS in every process", async () => {
+    for (const script of ["materializer.js", "drive_exporter.js"]) {
+      const r = await runScript(script, [], baseEnv(db.url, {
+        NOTIFY_WEBHOOK_URLS: "not a url",
+        EXPORTER_ENV: "dev",
+        DRIVE_EXPORTER_SKIP_DRIVE_UPLOAD: "1",
+      }));
+      assert.equal(r.code, 1, script);
+      assert.match(r.stderr, /FATAL: NOTIFY_WEBHOOK_URLS contains an invalid http\(s\) URL/);
+    }
+  });
+});
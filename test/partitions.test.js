@@ -0,0 +1,75 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, materializerEnv, materializeAll, startReceiver, postJson, barBundle, skipWithoutDb } from "./helpers.js";
+
+const RUNS = ["run_part_a", "run_part_b", "run_part_c", "run_part_d", "run_part_e", "run_part_f"];
+
+function fetchedRaw(output) {
+  return [...output.matchAll(/fetched_raw=(\d+)/g)].reduce((sum, m) => sum + Number(m[1]), 0);
+}
+
+describe("materializer partitions", { skip: skipWithoutDb }, () => {
+  let db;
+  let env;
+  const ingest = async (bundles) => {
+    const receiver = await startReceiver(env);
+    try {
+      for (const bundle of bundles) await postJson(receiver.baseUrl, "/tv", bundle);
+    } finally {
+      await receiver.stop();
+    }
+  };
+  const configPresence = async (runIds) => {
+    const rs = await db.query(
+      `select run_id, count(*)::int as bars, count(*) filter (where config_present)::int as with_config
+       from bars where run_id = any($1) group by run_id order by run_id`,
+      [runIds]
+    );
+    return rs.rows;
+  };
+
+  before(async () => {
+    db = await createTestDatabase();
+    env = baseEnv(db.url);
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("keeps CONFIG ahead of BAR within a run and fetches each raw event in one partition only", async () => {
+    // The CONFIG and its BARs arrive in separate requests, so they are separate raw_events rows.
+    await ingest(RUNS.map((runId) => barBundle({ runId, seqs: [], configSeq: 0 })));
+    await ingest(RUNS.map((runId) => barBundle({ runId, seqs: [1, 2, 3] })));
+
+    const output = await materializeAll(db, materializerEnv(db.url, { MATERIALIZER_PARTITIONS: "4", MATERIALIZER_WORKERS: "2" }));
+    assert.deepEqual(await configPresence(RUNS), RUNS.map((runId) => ({ run_id: runId, bars: 3, with_config: 3 })));
+
+    const events = await db.query(`select count(*)::int as n from raw_events`);
+    assert.equal(fetchedRaw(output), events.rows[0].n);
+    const partitions = await db.query(`select partition_no from materializer_partitions where partition_count = 4 order by partition_no`);
+    assert.equal(partitions.rowCount, 4);
+  });
+
+  it("reshards from the slowest partition without losing or duplicating rows", async () => {
+    const runs = RUNS.map((runId) => `${runId}_reshard`);
+    await ingest(runs.map((runId) => barBundle({ runId, seqs: [], configSeq: 0 })));
+    await materializeAll(db, materializerEnv(db.url, { MATERIALIZER_PARTITIONS: "2" }));
+
+    // Hold one partition back so the new layout has to replay events the other one already applied.
+    const applied = await db.query(`select min(last_raw_event_id) as min_last from materializer_partitions`);
+    assert.ok(BigInt(applied.rows[0].min_last) > 0n);
+    await db.query(`update materializer_partitions set last_raw_event_id = 0 where partition_no = 0`);
+    await ingest(runs.map((runId) => barBundle({ runId, seqs: [1, 2] })));
+
+    const output = await materializeAll(db, materializerEnv(db.url, { MATERIALIZER_PARTITIONS: "3" }));
+    assert.match(output, /materializer partitions set to 3 \(was 2\) starting after raw_events id 0/);
+
+    assert.deepEqual(await configPresence(runs), runs.map((runId) => ({ run_id: runId, bars: 2, with_config: 2 })));
+    const configs = await db.query(`select count(*)::int as n from configs where run_id = any($1)`, [runs]);
+    assert.equal(configs.rows[0].n, runs.length);
+
+    const head = (await db.query(`select max(id) as id from raw_events`)).rows[0].id;
+    const layout = await db.query(`select partition_count, last_raw_event_id from materializer_partitions order by partition_no`);
+    assert.deepEqual(layout.rows, [0, 1, 2].map(() => ({ partition_count: 3, last_raw_event_id: head })));
+  });
+});
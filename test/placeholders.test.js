@@ -0,0 +1,48 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, postJson, barBundle, skipWithoutDb } from "./helpers.js";
+
+describe("unrendered placeholder detection", { skip: skipWithoutDb }, () => {
+  let db;
+  let receiver;
+  before(async () => {
+    db = await createTestDatabase();
+    receiver = await startReceiver(baseEnv(db.url));
+  });
+  after(async () => {
+    await receiver?.stop();
+    await db?.drop();
+  });
+
+  it("flags fields that still hold {{...}} templates", async () => {
+    const bundle = barBundle({ runId: "run_ph", seqs: [1, 2], streamId: "PH" });
+    bundle.records[1].close = "{{close}}";
+    bundle.records[1].ext_meta = { note: "{{ strategy.order.comment }}" };
+    const res = await postJson(receiver.baseUrl, "/tv", bundle);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).accepted, 2);
+
+    const rs = await db.query(`select seq, placeholder_fields, schema_match_ok, notes from raw_events where run_id = 'run_ph' order by seq`);
+    assert.equal(rs.rows[0].placeholder_fields, null);
+    assert.equal(rs.rows[0].schema_match_ok, true);
+    assert.deepEqual(rs.rows[1].placeholder_fields, ["close", "ext_meta.note"]);
+    assert.equal(rs.rows[1].schema_match_ok, false);
+    assert.match(rs.rows[1].notes, /unrendered_placeholders:close,ext_meta\.note/);
+  });
+
+  it("flags plain-text alerts that were never rendered", async () => {
+    const res = await fetch(`${receiver.baseUrl}/tv`, { method: "POST", headers: { "content-type": "text/plain" }, body: "{{ticker}},{{close}}" });
+    assert.equal(res.status, 200);
+    const { request_id } = await res.json();
+    const rs = await db.query(`select placeholder_fields from raw_events where request_id = $1`, [request_id]);
+    assert.ok(rs.rows[0].placeholder_fields.includes("alert_text"));
+  });
+
+  it("reports placeholder records per stream in /healthz and /metrics", async () => {
+    const health = await (await fetch(`${receiver.baseUrl}/healthz`)).json();
+    assert.equal(health.placeholder_records_by_stream.PH.records, 1);
+    assert.deepEqual(health.placeholder_records_by_stream.PH.last_fields, ["close", "ext_meta.note"]);
+    const metrics = await (await fetch(`${receiver.baseUrl}/metrics`)).text();
+    assert.match(metrics, /tv_receiver_placeholder_records_total\{stream_id="PH"\} 1/);
+  });
+});
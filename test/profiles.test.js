@@ -0,0 +1,66 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, runScript, parseJsonOutput, skipWithoutDb } from "./helpers.js";
+
+describe("profiles CLI", { skip: skipWithoutDb }, () => {
+  let db;
+  let env;
+  const profiles = (...args) => runScript("index.js", ["profiles", ...args], env);
+
+  before(async () => {
+    db = await createTestDatabase();
+    env = baseEnv(db.url);
+    const created = await profiles("create", "--name", "desk", "--stream-id", "S1", "--env", "Prod", "--deployment-id", "D1");
+    assert.equal(created.code, 0, created.stderr);
+  });
+
+  after(async () => {
+    await db?.drop();
+  });
+
+  const row = async () => (await db.query(`select stream_id, env, deployment_id, route_key_sha256, previous_route_key_sha256 from ingest_profiles where profile_name = 'desk'`)).rows[0];
+
+  it("update only touches the fields that were passed", async () => {
+    const r = await profiles("update", "--name", "desk", "--deployment-id", "D2");
+    assert.equal(r.code, 0, r.stderr);
+    assert.deepEqual(parseJsonOutput(r.stdout).updated, ["deployment_id"]);
+    const after = await row();
+    assert.equal(after.stream_id, "S1");
+    assert.equal(after.env, "prod");
+    assert.equal(after.deployment_id, "D2");
+  });
+
+  it("update --clear nulls only the named fields", async () => {
+    const r = await profiles("update", "--name", "desk", "--clear", "deployment-id");
+    assert.equal(r.code, 0, r.stderr);
+    const after = await row();
+    assert.equal(after.stream_id, "S1");
+    assert.equal(after.deployment_id, null);
+  });
+
+  it("update without any field flag is rejected", async () => {
+    const r = await profiles("update", "--name", "desk");
+    assert.notEqual(r.code, 0);
+    assert.match(r.stderr, /requires at least one of/);
+    assert.equal((await row()).stream_id, "S1");
+  });
+
+  it("rotate rejects an invalid --grace-minutes and keeps the current key", async () => {
+    const before = await row();
+    for (const bad of ["abc", "-5", "1.5"]) {
+      const r = await profiles("rotate", "--name", "desk", `--grace-minutes=${bad}`);
+      assert.notEqual(r.code, 0, `accepted --grace-minutes=${bad}`);
+      assert.match(r.stderr, /--grace-minutes must be a non-negative integer/);
+    }
+    assert.equal((await row()).route_key_sha256, before.route_key_sha256);
+  });
+
+  it("rotate with a grace period keeps the previous key hash", async () => {
+    const before = await row();
+    const r = await profiles("rotate", "--name", "desk", "--grace-minutes", "15");
+    assert.equal(r.code, 0, r.stderr);
+    const after = await row();
+    assert.notEqual(after.route_key_sha256, before.route_key_sha256);
+    assert.equal(after.previous_route_key_sha256, before.route_key_sha256);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import {
+  createTestDatabase, baseEnv, startReceiver, startProcess, runScript, parseJsonOutput, postJson, barBundle, rawBodyKey, waitFor, skipWithoutDb,
+} from "./helpers.js";
+
+const sha256 = (text) => crypto.createHash("sha256").update(text, "utf8").digest("hex");
+
+describe("raw body policy", { skip: skipWithoutDb }, () => {
+  let db;
+  const k1 = rawBodyKey("k1");
+  const k2 = rawBodyKey("k2");
+  before(async () => {
+    db = await createTestDatabase();
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("warns at startup when bodies are dropped only because no keys are configured", async () => {
+    const implicit = await startReceiver(baseEnv(db.url));
+    await implicit.stop();
+    assert.match(implicit.output(), /RAW_BODY_POLICY defaults to drop .* replay and retention restore have no bodies/);
+
+    const explicit = await startReceiver(baseEnv(db.url, { RAW_BODY_POLICY: "drop" }));
+    await explicit.stop();
+    assert.doesNotMatch(explicit.output(), /RAW_BODY_POLICY defaults to drop/);
+  });
+
+  it("rotates archived bodies, including plaintext ones, so the old key can be retired", async () => {
+    const archiveEnv = { RETENTION_RESTORE_HOLD_HOURS: "0" };
+    const first = baseEnv(db.url, { ...archiveEnv, RAW_BODY_KEYS: k1, RAW_BODY_POLICY: "plaintext" });
+    const dir = first.RETENTION_ARCHIVE_DIR;
+    const ids = [];
+    for (const env of [first, { ...first, RAW_BODY_POLICY: "encrypt" }]) {
+      const receiver = await startReceiver(env);
+      try {
+        ids.push((await (await postJson(receiver.baseUrl, "/tv", barBundle({ runId: `run_rotate_${ids.length}` }))).json()).request_id);
+      } finally {
+        await receiver.stop();
+      }
+    }
+    await db.query(`update raw_requests set received_at = received_at - interval '40 days' where request_id = any($1)`, [ids]);
+    const archived = await runScript("index.js", ["retention", "archive"], first);
+    assert.equal(archived.code, 0, archived.stderr);
+    const { day } = parseJsonOutput(archived.stdout).results.find((r) => r.table === "raw_requests");
+
+    const rotateEnv = { ...first, RAW_BODY_POLICY: "encrypt", RAW_BODY_KEYS: `${k1},${k2}` };
+    const rotated = await runScript("index.js", ["raw-body", "rotate"], rotateEnv);
+    assert.equal(rotated.code, 0, rotated.stderr);
+    const summary = parseJsonOutput(rotated.stdout);
+    assert.equal(summary.active_key_id, "k2");
+    assert.deepEqual(summary.archives, { scanned: 1, rewritten: 1, rewrapped: 1, encrypted: 1, dropped: 0, failed: [] });
+    const rows = summary.encrypted_rows_by_key.filter((r) => r.archived_rows > 0);
+    assert.deepEqual(rows, [{ key_id: "k2", rows: 0, archived_rows: 2 }]);
+
+    assert.deepEqual(fs.readdirSync(path.join(dir, day)).filter((f) => f.startsWith("raw_requests")), ["raw_requests.part-001.g1.ndjson.gz"]);
+    const lines = zlib.gunzipSync(fs.readFileSync(path.join(dir, day, "raw_requests.part-001.g1.ndjson.gz"))).toString("utf8").trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(lines.map((l) => [l.raw_body, l.raw_body_enc.kid]), [[null, "k2"], [null, "k2"]]);
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, day, "manifest.json"), "utf8"));
+    assert.ok(manifest.files.some((f) => f.file === "raw_requests.part-001.g1.ndjson.gz"));
+
+    const k2Only = { ...rotateEnv, RAW_BODY_KEYS: k2 };
+    const restored = await runScript("index.js", ["retention", "restore", "--day", day, "--table", "raw_requests"], k2Only);
+    assert.equal(restored.code, 0, restored.stderr);
+    for (const requestId of ids) {
+      const r = await runScript("index.js", ["raw-body", "decrypt", "--request-id", requestId, "--reason", "test"], k2Only);
+      assert.equal(r.code, 0, r.stderr);
+      const stored = await db.query(`select payload_sha256, raw_body_key_id, raw_body_policy from raw_requests where request_id = $1`, [requestId]);
+      assert.equal(sha256(r.stdout.replace(/\n$/, "")), stored.rows[0].payload_sha256);
+      assert.deepEqual([stored.rows[0].raw_body_key_id, stored.rows[0].raw_body_policy], ["k2", "encrypt"]);
+    }
+  });
+
+  it("refuses to start while undrained spool lines use a key that is no longer configured", async () => {
+    const env = baseEnv(db.url, { RAW_BODY_KEYS: k1, SPOOL_DRAIN_INTERVAL_MS: "200" });
+    const missing = new URL(db.url);
+    missing.pathname = `${missing.pathname}_missing`;
+    const down = await startReceiver({ ...env, DATABASE_URL: missing.toString() }, { waitForSchema: false });
+    let requestId;
+    try {
+      requestId = (await (await postJson(down.baseUrl, "/tv", barBundle({ runId: "run_spool_key" }))).json()).request_id;
+    } finally {
+      await down.stop();
+    }
+
+    const retired = startProcess("index.js", [], { ...env, RAW_BODY_KEYS: k2, PORT: "0" });
+    assert.equal(await retired.exited, 1);
+    assert.match(retired.output(), /FATAL: the spool holds undrained requests wrapped with raw body keys that are no longer configured: "k1" \(1 request\(s\)\)/);
+
+    const up = await startReceiver({ ...env, RAW_BODY_KEYS: `${k1},${k2}` });
+    try {
+      await waitFor(async () => (await db.query(`select raw_body_key_id from raw_requests where request_id = $1`, [requestId])).rows[0]);
+      const stored = await db.query(`select raw_body_key_id from raw_requests where request_id = $1`, [requestId]);
+      assert.equal(stored.rows[0].raw_body_key_id, "k2");
+    } finally {
+      await up.stop();
+    }
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  ROOT, createTestDatabase, baseEnv, materializerEnv, materializeAll, startReceiver, runScript, postJson, barBundle, tempDir, skipWithoutDb,
+} from "./helpers.js";
+import { loadRedactionPolicy, redactDeep } from "../lib/redaction.js";
+
+const policy = loadRedactionPolicy(path.join(ROOT, "redaction_policy.json"));
+const RUN_ID = "run_20261019T170000Z_BTCUSDT_15m_researchProfileB";
+const EXP_ID = "exp_2026Q4_ATR14_macdCross_wtProfileA_pivotStd_v2";
+const BEARER = "Bearer abcdefghijklmnopqrstuvwxyz0123456789";
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n") {
+      rows.push([...row, field]);
+      row = [];
+      field = "";
+    } else if (c !== "\r") {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  const [header, ...body] = rows;
+  return body.map((r) => Object.fromEntries(header.map((h, i) => [h, r[i]])));
+}
+
+describe("redaction policy", () => {
+  it("keeps identity fields intact even when they look like secrets", () => {
+    const counts = {};
+    const out = redactDeep(policy, { run_id: RUN_ID, exp_id: EXP_ID, symbol: "BTCUSDT", notes: `paste ${BEARER}` }, { counts, scan: "all" });
+    assert.deepEqual(out, { run_id: RUN_ID, exp_id: EXP_ID, symbol: "BTCUSDT", notes: "paste [REDACTED:bearer_token]" });
+    assert.deepEqual(counts, { bearer_token: 1 });
+  });
+
+  it("runs value detectors only on free-text fields unless the whole document is scanned", () => {
+    const rec = { label: RUN_ID.replace(/_/g, ""), alert_text: BEARER, exp_note: { detail: BEARER } };
+    assert.deepEqual(redactDeep(policy, rec), {
+      label: rec.label,
+      alert_text: "[REDACTED:bearer_token]",
+      exp_note: { detail: "[REDACTED:bearer_token]" },
+    });
+    assert.equal(redactDeep(policy, rec, { scan: "all" }).label, "[REDACTED:long_base64]");
+  });
+
+  it("still walks objects nested under an exempt key", () => {
+    const out = redactDeep(policy, { cfg_sig_raw: { api_key: "k", notes: BEARER, id: RUN_ID }, uid: [RUN_ID.replace(/_/g, "")] }, { scan: "all" });
+    assert.deepEqual(out, { cfg_sig_raw: { api_key: "[REDACTED]", notes: "[REDACTED:bearer_token]", id: "[REDACTED:long_base64]" }, uid: [RUN_ID.replace(/_/g, "")] });
+  });
+});
+
+describe("redaction in the pipeline", { skip: skipWithoutDb }, () => {
+  let db;
+  let env;
+  before(async () => {
+    db = await createTestDatabase();
+    env = baseEnv(db.url);
+    const receiver = await startReceiver(env);
+    try {
+      await postJson(receiver.baseUrl, "/tv", barBundle({ runId: RUN_ID, extra: { exp_id: EXP_ID, alert_tag: BEARER } }));
+    } finally {
+      await receiver.stop();
+    }
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("redacts the stored raw body without touching identifiers", async () => {
+    const rs = await db.query(`select raw_body_redacted, redaction_counts from raw_requests`);
+    const body = JSON.parse(rs.rows[0].raw_body_redacted);
+    assert.equal(body.records[0].run_id, RUN_ID);
+    assert.equal(body.records[0].exp_id, EXP_ID);
+    assert.equal(body.records[0].alert_tag, "[REDACTED:bearer_token]");
+    assert.deepEqual(rs.rows[0].redaction_counts, { bearer_token: 1 });
+  });
+
+  it("redacts only the exporter's raw_json column", async () => {
+    await materializeAll(db, materializerEnv(db.url));
+    const out = tempDir();
+    const r = await runScript("drive_exporter.js", [], {
+      ...env,
+      EXPORTER_ENV: "dev",
+      DRIVE_EXPORTER_SKIP_DRIVE_UPLOAD: "1",
+      DRIVE_EXPORTER_LOCAL_OUTPUT_DIR: out,
+    }, { timeoutMs: 120_000 });
+    assert.equal(r.code, 0, r.stderr);
+    const runDir = r.stdout.match(/local artifacts path: (.+)/)[1].trim();
+    const ledger = parseCsv(fs.readFileSync(path.join(runDir, "LEDGER.csv"), "utf8"));
+    const bar = ledger.find((row) => row.run_id === RUN_ID);
+    assert.ok(bar, "ledger row for the run");
+    const rawJson = JSON.parse(bar.raw_json);
+    assert.equal(rawJson.run_id, RUN_ID);
+    assert.equal(rawJson.exp_id, EXP_ID);
+    assert.equal(rawJson.alert_tag, "[REDACTED:bearer_token]");
+  });
+});
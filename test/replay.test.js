@@ -0,0 +1,72 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, runScript, parseJsonOutput, postJson, adminGet, barBundle, rawBodyKey, skipWithoutDb } from "./helpers.js";
+
+describe("replay", { skip: skipWithoutDb }, () => {
+  let db;
+  let env;
+  const ids = {};
+  before(async () => {
+    db = await createTestDatabase();
+    env = baseEnv(db.url, { RAW_BODY_KEYS: rawBodyKey("k1") });
+    const receiver = await startReceiver(env);
+    try {
+      ids.bars = (await (await postJson(receiver.baseUrl, "/tv", barBundle({ runId: "run_replay", seqs: [1, 2] }))).json()).request_id;
+      ids.text = (await (await fetch(`${receiver.baseUrl}/tv`, { method: "POST", headers: { "content-type": "text/plain" }, body: "ETHUSDT,2500" })).json()).request_id;
+      ids.query = (await (await postJson(receiver.baseUrl, "/tv?token=abc", barBundle({ runId: "run_replay_q" }))).json()).request_id;
+    } finally {
+      await receiver.stop();
+    }
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("requires a bounded selector", async () => {
+    const r = await runScript("index.js", ["replay"], env);
+    assert.notEqual(r.code, 0);
+    assert.match(r.stderr, /replay requires request_id, from_id and to_id, or since and until/);
+  });
+
+  it("re-ingests stored bodies into a new generation and diffs the result", async () => {
+    const r = await runScript("index.js", ["replay", "--from-id", "1", "--to-id", "1000"], { ...env, TV_DELIMITED_FIELDS: "symbol,price" });
+    assert.equal(r.code, 0, r.stderr);
+    const summary = parseJsonOutput(r.stdout);
+    assert.equal(summary.status, "DONE");
+    assert.equal(summary.generation, 1);
+    assert.equal(summary.requests_selected, 2, "the request rejected for its query string is not replayable");
+    assert.equal(summary.records_changed, 1);
+
+    const gens = await db.query(`select replay_generation, count(*)::int as n from raw_events where request_id = any($1) group by 1 order by 1`, [[ids.bars, ids.text]]);
+    assert.deepEqual(gens.rows, [{ replay_generation: 0, n: 3 }, { replay_generation: 1, n: 3 }]);
+
+    const diff = await db.query(`select request_id, change_type, changed_fields from replay_diffs where generation = 1`);
+    assert.equal(diff.rows.length, 1);
+    assert.equal(diff.rows[0].request_id, ids.text);
+    assert.deepEqual(diff.rows[0].changed_fields, ["unknown_keys_count", "unknown_keys", "payload_sha256"]);
+  });
+
+  it("leaves generation 0 untouched and exposes the run through the admin API", async () => {
+    const original = await db.query(`select payload->>'close' as close from raw_events where request_id = $1 and replay_generation = 0`, [ids.text]);
+    assert.equal(original.rows[0].close, "2500");
+    const replayed = await db.query(`select payload->>'price' as price from raw_events where request_id = $1 and replay_generation = 1`, [ids.text]);
+    assert.equal(replayed.rows[0].price, "2500");
+
+    const receiver = await startReceiver(env);
+    try {
+      const runId = (await db.query(`select id from replay_runs where generation = 1`)).rows[0].id;
+      const body = await (await adminGet(receiver.baseUrl, `/admin/replay/${runId}`)).json();
+      assert.equal(body.ok, true);
+      assert.equal(JSON.stringify(body).includes(ids.text), true);
+    } finally {
+      await receiver.stop();
+    }
+  });
+
+  it("replays a single request by id into the next generation", async () => {
+    const r = await runScript("index.js", ["replay", "--request-id", ids.bars], env);
+    assert.equal(r.code, 0, r.stderr);
+    const summary = parseJsonOutput(r.stdout);
+    assert.deepEqual([summary.generation, summary.requests_replayed, summary.records_changed], [2, 1, 0]);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  createTestDatabase, baseEnv, materializerEnv, materializeAll, startReceiver, runScript, parseJsonOutput,
+  postJson, barBundle, rawBodyKey, skipWithoutDb,
+} from "./helpers.js";
+
+describe("retention archive and restore", { skip: skipWithoutDb }, () => {
+  let db;
+  let env;
+  let day;
+  let original;
+  const retention = async (...args) => {
+    const r = await runScript("index.js", ["retention", ...args], env);
+    return { ...r, summary: r.code === 0 ? parseJsonOutput(r.stdout) : null };
+  };
+  const bulky = async () => {
+    const requests = await db.query(`select id, raw_body_enc, archived_at is not null as archived, archive_id from raw_requests order by id`);
+    const events = await db.query(`select id, payload, archived_at is not null as archived, archive_id from raw_events order by id`);
+    return { requests: requests.rows, events: events.rows };
+  };
+  const parts = async () => (await db.query(
+    `select table_name, part, file_name, completed_at is not null as completed from retention_archives order by table_name, part`
+  )).rows;
+
+  before(async () => {
+    db = await createTestDatabase();
+    env = baseEnv(db.url, { RAW_BODY_KEYS: rawBodyKey("k1"), RETENTION_RESTORE_HOLD_HOURS: "0" });
+    const receiver = await startReceiver(env);
+    try {
+      await postJson(receiver.baseUrl, "/tv", barBundle({ runId: "run_retention", seqs: [1, 2], configSeq: 0 }));
+      await postJson(receiver.baseUrl, "/tv", barBundle({ runId: "run_retention", seqs: [3] }));
+    } finally {
+      await receiver.stop();
+    }
+    await materializeAll(db, materializerEnv(db.url));
+    await db.query(`update raw_requests set received_at = received_at - interval '40 days'`);
+    await db.query(`update raw_events set received_at = received_at - interval '40 days'`);
+    day = (await db.query(`select to_char(min(received_at) at time zone 'UTC', 'YYYY-MM-DD') as day from raw_requests`)).rows[0].day;
+    original = await bulky();
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("archives payload columns into verified parts listed in the manifest", async () => {
+    const r = await retention("archive");
+    assert.equal(r.code, 0, r.stderr);
+    assert.deepEqual(r.summary.results.map((x) => [x.table, x.part, x.rows]), [["raw_requests", 1, 2], ["raw_events", 1, 4]]);
+
+    const now = await bulky();
+    assert.ok(now.requests.every((row) => row.raw_body_enc === null && row.archived));
+    assert.ok(now.events.every((row) => row.payload === null && row.archived));
+    assert.deepEqual(await parts(), [
+      { table_name: "raw_events", part: 1, file_name: "raw_events.part-001.ndjson.gz", completed: true },
+      { table_name: "raw_requests", part: 1, file_name: "raw_requests.part-001.ndjson.gz", completed: true },
+    ]);
+    const manifest = JSON.parse(fs.readFileSync(path.join(env.RETENTION_ARCHIVE_DIR, day, "manifest.json"), "utf8"));
+    assert.deepEqual(manifest.files.map((f) => f.file).sort(), ["raw_events.part-001.ndjson.gz", "raw_requests.part-001.ndjson.gz"]);
+  });
+
+  it("restores every archived value exactly", async () => {
+    const r = await retention("restore", "--day", day);
+    assert.equal(r.code, 0, r.stderr);
+    assert.deepEqual(r.summary.results.map((x) => [x.table, x.restored, x.missing]), [["raw_events", 4, 0], ["raw_requests", 2, 0]]);
+    const now = await bulky();
+    assert.deepEqual(now.requests.map((row) => row.raw_body_enc), original.requests.map((row) => row.raw_body_enc));
+    assert.deepEqual(now.events.map((row) => row.payload), original.events.map((row) => row.payload));
+  });
+
+  it("re-archives restored rows into their verified original part", async () => {
+    const r = await retention("archive");
+    assert.equal(r.code, 0, r.stderr);
+    assert.deepEqual(r.summary.results.map((x) => [x.table, x.rearchived, x.unverified, x.rows]), [["raw_requests", 2, 0, 0], ["raw_events", 4, 0, 0]]);
+    assert.equal((await parts()).length, 2);
+  });
+
+  it("writes restored rows into a new part when the original file is gone", async () => {
+    assert.equal((await retention("restore", "--day", day)).code, 0);
+    fs.unlinkSync(path.join(env.RETENTION_ARCHIVE_DIR, day, "raw_events.part-001.ndjson.gz"));
+
+    const r = await retention("archive");
+    assert.equal(r.code, 0, r.stderr);
+    const events = r.summary.results.find((x) => x.table === "raw_events");
+    assert.deepEqual([events.part, events.rows, events.rearchived, events.unverified], [2, 4, 0, 4]);
+    assert.match(r.stderr, /raw_events\.part-001\.ndjson\.gz is missing or fails verification/);
+
+    const restored = await retention("restore", "--day", day, "--table", "raw_events");
+    assert.equal(restored.code, 0, restored.stderr);
+    assert.deepEqual(restored.summary.skipped.map((x) => x.file), ["raw_events.part-001.ndjson.gz"]);
+    assert.deepEqual((await bulky()).events.map((row) => row.payload), original.events.map((row) => row.payload));
+  });
+
+  it("never reuses a part whose final transaction failed", async () => {
+    assert.equal((await retention("restore", "--day", day, "--table", "raw_events")).code, 0);
+    fs.unlinkSync(path.join(env.RETENTION_ARCHIVE_DIR, day, "raw_events.part-002.ndjson.gz"));
+    await db.query(`
+      create function fail_archive() returns trigger language plpgsql as $$
+      begin raise exception 'simulated archive failure'; end $$;
+      create trigger fail_archive before update on raw_events
+        for each row when (old.archive_id is null and new.archive_id is not null) execute function fail_archive();
+    `);
+    const failed = await retention("archive");
+    assert.notEqual(failed.code, 0);
+    assert.match(failed.stderr, /simulated archive failure/);
+    const orphan = (await parts()).find((p) => p.table_name === "raw_events" && p.part === 3);
+    assert.deepEqual(orphan, { table_name: "raw_events", part: 3, file_name: "raw_events.part-003.ndjson.gz", completed: false });
+    const orphanFile = path.join(env.RETENTION_ARCHIVE_DIR, day, orphan.file_name);
+    const orphanBytes = fs.readFileSync(orphanFile);
+
+    await db.query(`drop trigger fail_archive on raw_events`);
+    const r = await retention("archive");
+    assert.equal(r.code, 0, r.stderr);
+    assert.equal(r.summary.results.find((x) => x.table === "raw_events").part, 4);
+    assert.deepEqual(fs.readFileSync(orphanFile), orphanBytes);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(env.RETENTION_ARCHIVE_DIR, day, "manifest.json"), "utf8"));
+    assert.ok(!manifest.files.some((f) => f.part === 3 && f.table === "raw_events"), "incomplete parts stay out of the manifest");
+    const restored = await retention("restore", "--day", day, "--table", "raw_events");
+    assert.equal(restored.code, 0, restored.stderr);
+    assert.deepEqual((await bulky()).events.map((row) => row.payload), original.events.map((row) => row.payload));
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { createTestDatabase, baseEnv, startReceiver, postJson, barBundle, tempDir, ROOT, skipWithoutDb } from "./helpers.js";
+
+function stableStringify(x) {
+  if (x === null || x === undefined) return "null";
+  if (typeof x !== "object") return JSON.stringify(x);
+  if (Array.isArray(x)) return "[" + x.map((v) => stableStringify(v)).join(",") + "]";
+  return "{" + Object.keys(x).sort().map((k) => JSON.stringify(k) + ":" + stableStringify(x[k])).join(",") + "}";
+}
+
+function docHash(doc) {
+  return crypto.createHash("sha256").update(stableStringify(doc)).digest("hex");
+}
+
+const sampleBar = JSON.parse(fs.readFileSync(path.join(ROOT, "schema_registry", "_default", "bar", "1.json"), "utf8"));
+
+const strictStreamBar = {
+  type: "object",
+  required: ["row_type", "uid", "run_id", "symbol", "close"],
+  additionalProperties: false,
+  properties: Object.fromEntries([
+    "row_type", "uid", "run_id", "stream_id", "env", "deployment_id", "exchange", "symbol", "tickerid",
+    "instrument_type", "tf", "tf_sec", "schema_version", "seq", "t_close_ms", "open", "high", "low", "close", "volume",
+    "cfg_sig_raw", "cfg_sig_full", "cfg_sig_sha256", "bundle_version", "bundle_type", "bundle_sent_at_ms",
+    "t_event_ms", "t_subject_ms", "schema_registry_hash",
+  ].map((k) => [k, {}])),
+};
+
+describe("schema registry", { skip: skipWithoutDb }, () => {
+  let db;
+  let receiver;
+  before(async () => {
+    db = await createTestDatabase();
+    const registry = tempDir();
+    fs.cpSync(path.join(ROOT, "schema_registry"), registry, { recursive: true });
+    fs.mkdirSync(path.join(registry, "STRICT", "bar"), { recursive: true });
+    fs.writeFileSync(path.join(registry, "STRICT", "bar", "1.json"), JSON.stringify(strictStreamBar));
+    receiver = await startReceiver(baseEnv(db.url, { SCHEMA_REGISTRY_DIR: registry }));
+  });
+  after(async () => {
+    await receiver?.stop();
+    await db?.drop();
+  });
+
+  const ingestOne = async (bundle) => {
+    const res = await postJson(receiver.baseUrl, "/tv", bundle);
+    assert.equal(res.status, 200);
+    const { request_id } = await res.json();
+    const rs = await db.query(
+      `select schema_check_source, schema_document_sha256, schema_violations, schema_match_ok from raw_events where request_id = $1 and row_type = 'BAR'`,
+      [request_id]
+    );
+    return rs.rows[0];
+  };
+
+  it("validates BAR records against the shipped _default document", async () => {
+    const row = await ingestOne(barBundle({ runId: "run_schema_ok" }));
+    assert.equal(row.schema_check_source, "registry");
+    assert.equal(row.schema_document_sha256, docHash(sampleBar));
+    assert.equal(row.schema_violations, null);
+    assert.equal(row.schema_match_ok, true);
+  });
+
+  it("reports the failing paths", async () => {
+    const row = await ingestOne(barBundle({ runId: "run_schema_bad", extra: { close: "n/a", seq: undefined } }));
+    assert.deepEqual(row.schema_violations.sort(), ["/close", "/seq"]);
+    assert.equal(row.schema_match_ok, false);
+  });
+
+  it("validates the record as sent, not the stored payload with receiver-added fields", async () => {
+    const row = await ingestOne(barBundle({ runId: "run_schema_strict", streamId: "STRICT" }));
+    assert.equal(row.schema_check_source, "registry");
+    assert.equal(row.schema_violations, null);
+  });
+
+  it("reports a declared hash that matches no document even without a registered schema", async () => {
+    const bundle = barBundle({ runId: "run_schema_v9", extra: { schema_version: 9, schema_registry_hash: "f".repeat(64) } });
+    const row = await ingestOne(bundle);
+    assert.equal(row.schema_check_source, "required_keys");
+    assert.deepEqual(row.schema_violations, ["schema_registry_hash_unknown"]);
+    assert.equal(row.schema_match_ok, false);
+  });
+
+  it("distinguishes a known hash of another document from an unknown one", async () => {
+    const mismatch = await ingestOne(barBundle({ runId: "run_schema_mm", extra: { schema_registry_hash: docHash(strictStreamBar) } }));
+    assert.deepEqual(mismatch.schema_violations, ["schema_registry_hash_mismatch"]);
+    const matching = await ingestOne(barBundle({ runId: "run_schema_hash", extra: { schema_registry_hash: docHash(sampleBar) } }));
+    assert.equal(matching.schema_violations, null);
+  });
+});
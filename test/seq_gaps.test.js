@@ -0,0 +1,92 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, postJson, barBundle, waitFor, skipWithoutDb } from "./helpers.js";
+
+describe("sequence gap tracking", { skip: skipWithoutDb }, () => {
+  let db;
+  let receiver;
+  before(async () => {
+    db = await createTestDatabase();
+    receiver = await startReceiver(baseEnv(db.url));
+  });
+  after(async () => {
+    await receiver?.stop();
+    await db?.drop();
+  });
+
+  const sentAtMs = Date.now();
+  const ingest = async (runId, seqs) => {
+    const res = await postJson(receiver.baseUrl, "/tv", barBundle({ runId, seqs, sentAtMs }));
+    assert.equal(res.status, 200);
+  };
+  const ranges = async (runId) => (await db.query(
+    `select seq_start::int, seq_end::int from run_seq_ranges where run_id = $1 order by seq_start`, [runId]
+  )).rows.map((r) => [r.seq_start, r.seq_end]);
+  const gaps = async (runId, status = "OPEN") => (await db.query(
+    `select kind, first_missing_seq::int as a, last_missing_seq::int as b, close_reason, detected_at
+     from seq_gaps where run_id = $1 and status = $2 order by first_missing_seq, id`, [runId, status]
+  )).rows;
+
+  it("opens a leading gap when a run starts after SEQ_EXPECTED_START", async () => {
+    await ingest("run_lead", [3, 4]);
+    const [lead] = await gaps("run_lead");
+    assert.deepEqual([lead.kind, lead.a, lead.b], ["LEADING", 0, 2]);
+
+    await ingest("run_lead", [1]);
+    assert.deepEqual(await ranges("run_lead"), [[1, 1], [3, 4]]);
+    const open = await gaps("run_lead");
+    assert.deepEqual(open.map((g) => [g.kind, g.a, g.b]), [["LEADING", 0, 0], ["INTERIOR", 2, 2]]);
+    assert.ok(open.every((g) => g.detected_at.getTime() === lead.detected_at.getTime()), "split gaps keep the original detection time");
+    assert.deepEqual((await gaps("run_lead", "CLOSED")).map((g) => g.close_reason), ["partially_filled"]);
+  });
+
+  it("closes interior gaps filled by late data", async () => {
+    await ingest("run_fill", [0, 1, 2, 5]);
+    assert.deepEqual((await gaps("run_fill")).map((g) => [g.kind, g.a, g.b]), [["INTERIOR", 3, 4]]);
+    await ingest("run_fill", [3, 4]);
+    assert.deepEqual(await ranges("run_fill"), [[0, 5]]);
+    assert.deepEqual(await gaps("run_fill"), []);
+    assert.deepEqual((await gaps("run_fill", "CLOSED")).map((g) => g.close_reason), ["filled"]);
+  });
+
+  it("rewrites only the ranges next to the new seqs", async () => {
+    await ingest("run_incr", [0, 1, 2, 10, 11, 20, 21]);
+    const xmins = async () => Object.fromEntries((await db.query(
+      `select seq_start::int, xmin::text from run_seq_ranges where run_id = 'run_incr'`
+    )).rows.map((r) => [r.seq_start, r.xmin]));
+    const beforeIngest = await xmins();
+
+    await ingest("run_incr", [22]);
+    const afterIngest = await xmins();
+    assert.deepEqual(await ranges("run_incr"), [[0, 2], [10, 11], [20, 22]]);
+    assert.equal(afterIngest[0], beforeIngest[0]);
+    assert.equal(afterIngest[10], beforeIngest[10]);
+    assert.notEqual(afterIngest[20], beforeIngest[20]);
+  });
+
+  it("opens a trailing gap when the stream goes stale and closes it when the run resumes", async () => {
+    const watched = await startReceiver(baseEnv(db.url, {
+      WATCHDOG_INTERVAL_MS: "200",
+      WATCHDOG_MIN_SILENCE_MS: "300",
+      WATCHDOG_STALE_MULTIPLE: "0.001",
+    }));
+    try {
+      const bundle = barBundle({ runId: "run_tail", seqs: [0, 1, 2], symbol: "TAILUSDT", sentAtMs });
+      await postJson(watched.baseUrl, "/tv", bundle);
+      const [tail] = await waitFor(async () => {
+        const open = await gaps("run_tail");
+        return open.length ? open : null;
+      });
+      assert.deepEqual([tail.kind, tail.a, tail.b], ["TRAILING", 3, null]);
+
+      await postJson(watched.baseUrl, "/tv", barBundle({ runId: "run_tail", seqs: [5], symbol: "TAILUSDT", sentAtMs }));
+      const open = await gaps("run_tail");
+      assert.ok(open.every((g) => g.kind !== "TRAILING" || g.a === 6));
+      assert.ok(open.some((g) => g.kind === "INTERIOR" && g.a === 3 && g.b === 4));
+      const closed = await gaps("run_tail", "CLOSED");
+      assert.deepEqual(closed.map((g) => [g.kind, g.close_reason]), [["TRAILING", "resumed"]]);
+    } finally {
+      await watched.stop();
+    }
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { createTestDatabase, baseEnv, startReceiver, postJson, barBundle, waitFor, skipWithoutDb } from "./helpers.js";
+
+describe("graceful shutdown", { skip: skipWithoutDb }, () => {
+  let db;
+  before(async () => {
+    db = await createTestDatabase();
+    const receiver = await startReceiver(baseEnv(db.url));
+    await receiver.stop();
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  async function blockedIngest(receiver, runId) {
+    const lock = await db.connect();
+    await lock.query("begin");
+    await lock.query("lock table raw_requests in exclusive mode");
+    const pending = postJson(receiver.baseUrl, "/tv", barBundle({ runId })).catch((e) => e);
+    await waitFor(async () => {
+      const rs = await db.query(`select count(*)::int as n from pg_locks where relation = 'raw_requests'::regclass and not granted`);
+      return rs.rows[0].n > 0;
+    });
+    return { lock, pending };
+  }
+
+  it("finishes in-flight requests before exiting", async () => {
+    const receiver = await startReceiver(baseEnv(db.url, { SHUTDOWN_DRAIN_DEADLINE_MS: "20000" }));
+    const { lock, pending } = await blockedIngest(receiver, "run_drain_ok");
+    receiver.child.kill("SIGTERM");
+    await waitFor(() => receiver.output().includes("draining (SIGTERM), in_flight=1"));
+    await assert.rejects(fetch(`${receiver.baseUrl}/readyz`), "the listener is closed while draining");
+
+    await lock.query("commit");
+    lock.release();
+    const res = await pending;
+    assert.equal(res.status, 200);
+    assert.equal(await receiver.exited, 0);
+    const rs = await db.query(`select count(*)::int as n from raw_events where run_id = 'run_drain_ok'`);
+    assert.equal(rs.rows[0].n, 1);
+  });
+
+  it("exits non-zero at the deadline and leaves the request in the spool", async () => {
+    const env = baseEnv(db.url, { SHUTDOWN_DRAIN_DEADLINE_MS: "500" });
+    const receiver = await startReceiver(env);
+    const { lock, pending } = await blockedIngest(receiver, "run_drain_deadline");
+    receiver.child.kill("SIGTERM");
+    assert.equal(await receiver.exited, 1);
+    assert.ok((await pending) instanceof Error, "the connection is closed at the deadline");
+    await lock.query("rollback");
+    lock.release();
+    assert.match(receiver.output(), /drain deadline reached with 1 request\(s\) in flight/);
+
+    const spooled = fs.readdirSync(env.SPOOL_DIR).map((f) => fs.readFileSync(`${env.SPOOL_DIR}/${f}`, "utf8")).join("");
+    assert.ok(spooled.includes("run_drain_deadline"));
+
+    const again = await startReceiver(env);
+    try {
+      await waitFor(async () => (await db.query(`select count(*)::int as n from raw_events where run_id = 'run_drain_deadline'`)).rows[0].n === 1);
+    } finally {
+      await again.stop();
+    }
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createTestDatabase, baseEnv, startReceiver, startProcess, postJson, barBundle, waitFor, skipWithoutDb } from "./helpers.js";
+
+describe("write-ahead spool", { skip: skipWithoutDb }, () => {
+  let db;
+  before(async () => {
+    db = await createTestDatabase();
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("accepts requests while the database is down and drains them after restart", async () => {
+    const env = baseEnv(db.url, { SPOOL_DRAIN_INTERVAL_MS: "200" });
+    const missing = new URL(db.url);
+    missing.pathname = `${missing.pathname}_missing`;
+
+    const down = await startReceiver({ ...env, DATABASE_URL: missing.toString() }, { waitForSchema: false });
+    const requestIds = [];
+    try {
+      for (const runId of ["run_spool_a", "run_spool_b"]) {
+        const res = await postJson(down.baseUrl, "/tv", barBundle({ runId }));
+        assert.equal(res.status, 202);
+        const body = await res.json();
+        assert.equal(body.spooled, true);
+        requestIds.push(body.request_id);
+      }
+      const health = await (await fetch(`${down.baseUrl}/readyz`)).json();
+      assert.equal(health.schema_ready, false);
+    } finally {
+      await down.stop();
+    }
+
+    const files = fs.readdirSync(env.SPOOL_DIR).map((f) => path.join(env.SPOOL_DIR, f));
+    for (const file of files) assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    const spooled = files.map((file) => fs.readFileSync(file, "utf8")).join("");
+    for (const id of requestIds) assert.ok(spooled.includes(id), `request ${id} missing from spool`);
+
+    const up = await startReceiver(env);
+    try {
+      await waitFor(async () => (await db.query(`select count(*)::int as n from raw_requests where request_id = any($1)`, [requestIds])).rows[0].n === 2);
+      const events = await db.query(`select run_id from raw_events where request_id = any($1) and row_type = 'BAR' order by run_id`, [requestIds]);
+      assert.deepEqual(events.rows.map((r) => r.run_id), ["run_spool_a", "run_spool_b"]);
+      await waitFor(async () => fs.readdirSync(env.SPOOL_DIR).length === 0);
+    } finally {
+      await up.stop();
+    }
+  });
+
+  it("removes the active segment once every spooled request is persisted", async () => {
+    const env = baseEnv(db.url, { SPOOL_DRAIN_INTERVAL_MS: "200" });
+    const receiver = await startReceiver(env);
+    try {
+      for (const runId of ["run_spool_clean_a", "run_spool_clean_b"]) {
+        const res = await postJson(receiver.baseUrl, "/tv", barBundle({ runId }));
+        assert.equal(res.status, 200);
+        assert.deepEqual(fs.readdirSync(env.SPOOL_DIR), []);
+      }
+    } finally {
+      await receiver.stop();
+    }
+  });
+
+  it("does not ingest a spooled request twice when the ack was lost", async () => {
+    const env = baseEnv(db.url, { SPOOL_DRAIN_INTERVAL_MS: "200" });
+    const missing = new URL(db.url);
+    missing.pathname = `${missing.pathname}_missing`;
+    const down = await startReceiver({ ...env, DATABASE_URL: missing.toString() }, { waitForSchema: false });
+    let requestId;
+    try {
+      requestId = (await (await postJson(down.baseUrl, "/tv", barBundle({ runId: "run_spool_ack" }))).json()).request_id;
+    } finally {
+      await down.stop();
+    }
+
+    const [name] = fs.readdirSync(env.SPOOL_DIR);
+    const segment = path.join(env.SPOOL_DIR, name);
+    const unacked = fs.readFileSync(segment);
+    const up = await startReceiver(env);
+    try {
+      await waitFor(async () => !fs.existsSync(segment));
+    } finally {
+      await up.stop();
+    }
+    fs.writeFileSync(segment, unacked);
+
+    const again = await startReceiver(env);
+    try {
+      await waitFor(async () => !fs.existsSync(segment));
+      const rs = await db.query(`select count(*)::int as n from raw_requests where request_id = $1`, [requestId]);
+      assert.equal(rs.rows[0].n, 1);
+    } finally {
+      await again.stop();
+    }
+  });
+
+  it("refuses to serve in prod without raw body keys", async () => {
+    const env = {
+      ...baseEnv(db.url),
+      RECEIVER_ENV: "prod",
+      PGSSL_INSECURE: "",
+      ALLOW_UNTRUSTED_INGRESS: "",
+      CA_CERT: "unused",
+      TV_ALLOWED_IPS: "127.0.0.1/32",
+      HASH_PEPPERS: `v1:${"p".repeat(32)}`,
+      PORT: "0",
+    };
+    const receiver = startProcess("index.js", [], env);
+    assert.equal(await receiver.exited, 1);
+    assert.match(receiver.output(), /FATAL: RAW_BODY_KEYS \(or RAW_BODY_KEYS_FILE\) must be set in prod/);
+    assert.equal(fs.existsSync(env.SPOOL_DIR), false);
+  });
+});
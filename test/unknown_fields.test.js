@@ -0,0 +1,53 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDatabase, baseEnv, startReceiver, postJson, adminGet, barBundle, skipWithoutDb } from "./helpers.js";
+
+describe("unknown field catalog", { skip: skipWithoutDb }, () => {
+  let db;
+  let receiver;
+  before(async () => {
+    db = await createTestDatabase();
+    receiver = await startReceiver(baseEnv(db.url));
+  });
+  after(async () => {
+    await receiver?.stop();
+    await db?.drop();
+  });
+
+  const sentAtMs = Date.now();
+  const ingest = async (bundle) => (await postJson(receiver.baseUrl, "/tv", bundle)).json();
+  const catalog = async () => {
+    const body = await (await adminGet(receiver.baseUrl, "/admin/unknown-fields")).json();
+    return body.fields;
+  };
+
+  it("stores the sorted unknown keys per record", async () => {
+    await ingest(barBundle({ runId: "run_unknown", seqs: [1, 2], sentAtMs, extra: { zeta_hint: 1, alpha_hint: "a" } }));
+    const rs = await db.query(`select unknown_keys, unknown_keys_count from raw_events where run_id = 'run_unknown' order by seq`);
+    for (const row of rs.rows) {
+      assert.deepEqual(row.unknown_keys, ["alpha_hint", "zeta_hint"]);
+      assert.equal(row.unknown_keys_count, 2);
+    }
+
+    const fields = await catalog();
+    assert.deepEqual(fields.map((f) => [f.field, f.stream_id, Number(f.seen_count), f.sample_value]), [
+      ["alpha_hint", "TEST", 2, "a"],
+      ["zeta_hint", "TEST", 2, "1"],
+    ]);
+    assert.ok(fields.every((f) => f.allowed_now === false));
+  });
+
+  it("counts only accepted records", async () => {
+    const dup = await ingest(barBundle({ runId: "run_unknown", seqs: [1, 2], sentAtMs, extra: { zeta_hint: 1, alpha_hint: "a" } }));
+    assert.equal(dup.duplicate, 2);
+    const conflict = await ingest(barBundle({ runId: "run_unknown", seqs: [1], sentAtMs, extra: { zeta_hint: 2, alpha_hint: "a", extra_hint: true } }));
+    assert.equal(conflict.conflict, 1);
+
+    const fields = await catalog();
+    assert.deepEqual(fields.map((f) => [f.field, Number(f.seen_count)]), [["alpha_hint", 2], ["zeta_hint", 2]]);
+
+    await ingest(barBundle({ runId: "run_unknown", seqs: [3], sentAtMs, extra: { zeta_hint: 3 } }));
+    const after = await catalog();
+    assert.deepEqual(after.map((f) => [f.field, Number(f.seen_count), f.sample_value]), [["zeta_hint", 3, "3"], ["alpha_hint", 2, "a"]]);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createTestDatabase, baseEnv, startReceiver, postJson, adminGet, barBundle, tempDir, waitFor, skipWithoutDb } from "./helpers.js";
+
+describe("stream watchdog", { skip: skipWithoutDb }, () => {
+  let db;
+  let receiver;
+  before(async () => {
+    db = await createTestDatabase();
+    const calendarPath = path.join(tempDir(), "session_calendar.json");
+    fs.writeFileSync(calendarPath, JSON.stringify({
+      default: { always_open: true },
+      exchanges: {
+        BINANCE: { always_open: true },
+        SHUTX: { timezone: "UTC", sessions: [{ days: [], open: "00:00", close: "00:00" }] },
+      },
+    }));
+    receiver = await startReceiver(baseEnv(db.url, {
+      WATCHDOG_INTERVAL_MS: "200",
+      WATCHDOG_MIN_SILENCE_MS: "300",
+      WATCHDOG_STALE_MULTIPLE: "0.001",
+      WATCHDOG_SESSION_CALENDAR_PATH: calendarPath,
+    }));
+  });
+  after(async () => {
+    await receiver?.stop();
+    await db?.drop();
+  });
+
+  it("marks silent open-market streams STALE but not streams whose session is closed", async () => {
+    await postJson(receiver.baseUrl, "/tv", barBundle({ runId: "run_wd_open", symbol: "OPENUSDT" }));
+    const closed = barBundle({ runId: "run_wd_closed", symbol: "SHUT" });
+    for (const rec of closed.records) Object.assign(rec, { exchange: "SHUTX", tickerid: "SHUTX:SHUT" });
+    await postJson(receiver.baseUrl, "/tv", closed);
+
+    const rows = await waitFor(async () => {
+      const rs = await db.query(`select symbol, state, calendar, silence_ms::int as silence_ms from stream_health_current order by symbol`);
+      return rs.rows.length === 2 && rs.rows.find((r) => r.symbol === "OPENUSDT").state === "STALE" ? rs.rows : null;
+    });
+    assert.deepEqual(rows.map((r) => [r.symbol, r.state, r.calendar]), [
+      ["OPENUSDT", "STALE", "exchange:BINANCE"],
+      ["SHUT", "OK", "exchange:SHUTX"],
+    ]);
+    assert.equal(rows[1].silence_ms, 0);
+
+    const transitions = await db.query(`select symbol, to_state from stream_health where to_state = 'STALE'`);
+    assert.deepEqual(transitions.rows, [{ symbol: "OPENUSDT", to_state: "STALE" }]);
+  });
+
+  it("serves /healthz/streams to admins only", async () => {
+    assert.equal((await fetch(`${receiver.baseUrl}/healthz/streams`)).status, 401);
+    const body = await (await adminGet(receiver.baseUrl, "/healthz/streams?state=stale")).json();
+    assert.equal(body.ok, true);
+    assert.deepEqual(body.streams.map((s) => [s.symbol, s.calendar]), [["OPENUSDT", "exchange:BINANCE"]]);
+  });
+});
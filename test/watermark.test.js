@@ -0,0 +1,116 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  ROOT, createTestDatabase, baseEnv, materializerEnv, materializeAll, startReceiver, startProcess, postJson, barBundle, freePort, tempDir, waitFor,
+  skipWithoutDb,
+} from "./helpers.js";
+
+function sample(text, name, labels = "") {
+  const line = text.split("\n").find((l) => l.startsWith(`${name}${labels ? `{${labels}}` : ""} `));
+  return line === undefined ? undefined : Number(line.slice(line.lastIndexOf(" ") + 1));
+}
+
+describe("materializer watermark", { skip: skipWithoutDb }, () => {
+  let db;
+  let env;
+  let matEnv;
+  const ingest = async (runId, extra = {}) => {
+    const receiver = await startReceiver(env);
+    try {
+      await postJson(receiver.baseUrl, "/tv", barBundle({ runId, seqs: [1, 2], extra }));
+    } finally {
+      await receiver.stop();
+    }
+  };
+  const watermark = async () => {
+    const rs = await db.query(`select last_raw_event_id from materializer_state where id = 1`).catch(() => ({ rows: [] }));
+    return rs.rows[0] ? BigInt(rs.rows[0].last_raw_event_id) : null;
+  };
+  // Holds an open transaction with an xid, as a receiver mid-insert (or any other session) would.
+  const openWriter = async (applicationName) => {
+    const client = await db.connect();
+    await client.query(`set application_name = '${applicationName}'`);
+    await client.query("begin");
+    const reserved = await client.query(`select nextval(pg_get_serial_sequence('raw_events', 'id')) as id`);
+    await client.query("select txid_current()");
+    return {
+      id: BigInt(reserved.rows[0].id),
+      async close() {
+        await client.query("commit");
+        client.release();
+      },
+    };
+  };
+
+  before(async () => {
+    db = await createTestDatabase();
+    env = baseEnv(db.url);
+    // The materializer gets a detector the receiver lacks, so its payload copies have something to count.
+    const policy = JSON.parse(fs.readFileSync(path.join(ROOT, "redaction_policy.json"), "utf8"));
+    policy.value_detectors.push({ name: "marker", pattern: "MARKER[0-9]+" });
+    const policyPath = path.join(tempDir(), "redaction_policy.json");
+    fs.writeFileSync(policyPath, JSON.stringify(policy));
+    matEnv = (extra = {}) => materializerEnv(db.url, { REDACTION_POLICY_PATH: policyPath, ...extra });
+
+    await ingest("run_wm_first", { alert_tag: "MARKER42" });
+    await materializeAll(db, matEnv());
+  });
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("holds the watermark below an id reserved by an open receiver transaction", async () => {
+    const writer = await openWriter("tv-receiver");
+    const port = await freePort();
+    let proc;
+    try {
+      await ingest("run_wm_after_lagging_writer");
+      proc = startProcess("materializer.js", [], matEnv({ MATERIALIZER_METRICS_PORT: String(port) }));
+      await waitFor(async () => {
+        const text = await fetch(`http://127.0.0.1:${port}/metrics`).then((r) => r.text()).catch(() => "");
+        return sample(text, "materializer_oldest_writer_age_seconds") > 0;
+      });
+      assert.ok((await watermark()) < writer.id, "watermark must stay below the lagging writer's id");
+    } finally {
+      await writer.close();
+    }
+    try {
+      const head = (await db.query(`select max(id) as id from raw_events`)).rows[0].id;
+      await waitFor(async () => (await watermark()) >= BigInt(head));
+    } finally {
+      await proc.stop();
+    }
+  });
+
+  it("ignores open transactions from other applications", async () => {
+    const other = await openWriter("nightly-report");
+    try {
+      await ingest("run_wm_unrelated_writer");
+      await materializeAll(db, matEnv());
+      const bars = await db.query(`select count(*)::int as n from bars where run_id = 'run_wm_unrelated_writer'`);
+      assert.equal(bars.rows[0].n, 2);
+    } finally {
+      await other.close();
+    }
+  });
+
+  it("reconciles without counting redactions again", async () => {
+    const port = await freePort();
+    const proc = startProcess("materializer.js", [], matEnv({
+      MATERIALIZER_METRICS_PORT: String(port),
+      MATERIALIZER_RECONCILE_INTERVAL_MS: "200",
+    }));
+    try {
+      const text = await waitFor(async () => {
+        const t = await fetch(`http://127.0.0.1:${port}/metrics`).then((r) => r.text()).catch(() => "");
+        return sample(t, "materializer_reconcile_runs_total", 'status="ok"') >= 1 ? t : null;
+      });
+      assert.equal(sample(text, "materializer_reconcile_missing", 'row_type="BAR"'), 0);
+      assert.equal(sample(text, "materializer_redactions_total", 'rule="marker"'), undefined);
+    } finally {
+      await proc.stop();
+    }
+  });
+});